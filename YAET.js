@@ -1,14 +1,16 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, collection, query, onSnapshot, addDoc, updateDoc, deleteDoc } from 'firebase/firestore';
-import { Plus, Wallet, TrendingUp, BarChart, Settings, Home, Tag, Pencil, ArrowUpRight, ArrowDownLeft, X, Check, DollarSign, Euro, PoundSterling, IndianRupee, XCircle, Trash2 } from 'lucide-react';
+import { getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken, signInWithCredential, linkWithCredential, linkWithPopup, signOut, onAuthStateChanged, EmailAuthProvider, GoogleAuthProvider } from 'firebase/auth';
+import { initializeFirestore, connectFirestoreEmulator, persistentLocalCache, persistentMultipleTabManager, doc, getDoc, getDocs, setDoc, collection, query, where, onSnapshot, addDoc, updateDoc, deleteDoc, deleteField, arrayUnion, arrayRemove, serverTimestamp, runTransaction, writeBatch } from 'firebase/firestore';
+import { Plus, Wallet, TrendingUp, BarChart, Settings, Home, Tag, Pencil, ArrowUpRight, ArrowDownLeft, X, Check, DollarSign, Euro, PoundSterling, IndianRupee, XCircle, Trash2, Repeat, Pause, Play, Upload, Download, Archive, RotateCcw, Cloud, CloudOff, RefreshCw, AlertTriangle, Users, ChevronDown, ChevronRight, ChevronLeft, Search, Banknote, Landmark, CreditCard, ArrowLeftRight, PiggyBank } from 'lucide-react';
 import { PieChart, Pie, Cell, ResponsiveContainer, BarChart as RechartsBarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
 
 // --- Firebase Initialization and Constants ---
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'expense-manager-app';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Optional emulator hosts for local testing, e.g. { "auth": "http://127.0.0.1:9099", "firestore": "127.0.0.1:8080" }
+const firebaseEmulators = typeof __firebase_emulators !== 'undefined' ? JSON.parse(__firebase_emulators) : null;
 
 // Currency options and map for display
 const CURRENCIES = {
@@ -18,14 +20,52 @@ const CURRENCIES = {
   INR: { symbol: '₹', name: 'Indian Rupee', icon: IndianRupee },
 };
 const DEFAULT_CURRENCY_CODE = 'USD';
+const DEFAULT_SETTINGS = {
+  currencyCode: DEFAULT_CURRENCY_CODE,
+  cycleType: 'months', // See CYCLE_TYPES
+  cycleMonths: 1, // 1, 2, 3, 6, 12 (month cycles only)
+  cycleAnchorDate: '2000-01-01', // YYYY-MM-DD; any date a cycle started on
+  notificationsEnabled: false, // System notifications for budget thresholds (see NotificationsCard)
+  alertThresholds: [75, 100], // Default percentages of a category's cycle limit; categories can override them
+  incomeAlertThreshold: 100, // Percent of the cycle's income spent; 0 turns the alert off
+  cycleSummaryEnabled: true, // A summary notification once a cycle has ended
+};
 
 // Budget Frequency Options
+// Day-based frequencies are prorated by days in the cycle, month-based ones by months; 'custom' means per baseFrequencyDays days
 const FREQUENCIES = [
-  { code: 'monthly', name: 'Monthly' },
-  { code: 'bimonthly', name: 'Bi-Monthly' },
-  { code: 'daily', name: 'Daily' },
+  { code: 'daily', name: 'Daily', days: 1, unit: 'day' },
+  { code: 'weekly', name: 'Weekly', days: 7, unit: 'week' },
+  { code: 'biweekly', name: 'Every 2 Weeks', days: 14, unit: '2 weeks' },
+  { code: 'monthly', name: 'Monthly', months: 1, unit: 'month' },
+  { code: 'bimonthly', name: 'Every 2 Months', months: 2, unit: '2 months' },
+  { code: 'quarterly', name: 'Quarterly', months: 3, unit: 'quarter' },
+  { code: 'yearly', name: 'Yearly', months: 12, unit: 'year' },
+  { code: 'custom', name: 'Every N Days' },
+];
+
+// The frequency a category is budgeted at, resolving custom ones to their day count (unknown codes fall back to monthly)
+const getFrequency = (category) => {
+  if (category.baseFrequency === 'custom') {
+    const days = Math.max(1, parseInt(category.baseFrequencyDays, 10) || 1);
+    return { code: 'custom', name: `Every ${days} Days`, days, unit: days === 1 ? 'day' : `${days} days` };
+  }
+  return FREQUENCIES.find(f => f.code === category.baseFrequency) || FREQUENCIES.find(f => f.code === 'monthly');
+};
+
+// Recurring Transaction Options
+const RECURRENCE_INTERVALS = [
+  { code: 'daily', name: 'Day', plural: 'Days' },
+  { code: 'weekly', name: 'Week', plural: 'Weeks' },
+  { code: 'monthly', name: 'Month', plural: 'Months' },
+  { code: 'yearly', name: 'Year', plural: 'Years' },
 ];
-const AVG_DAYS_PER_MONTH = 30.4375; // Used for converting daily budgets to cycle budget
+const RECURRENCE_END_TYPES = [
+  { code: 'never', name: 'Never Ends' },
+  { code: 'until', name: 'Ends On Date' },
+  { code: 'count', name: 'Ends After N Times' },
+];
+const MAX_OCCURRENCES_PER_RUN = 200; // Keeps a single generation transaction well below Firestore's write limit
 
 // --- Custom Colors for Material You look ---
 const COLORS = [
@@ -35,347 +75,4685 @@ const COLORS = [
 
 // --- Utility Functions for Date and Time & Calculations ---
 
-const startOfCycle = (cycleMonths) => {
-  const now = new Date();
-  const date = new Date(now.getFullYear(), now.getMonth(), 1);
-  date.setMonth(now.getMonth() - (cycleMonths - 1));
-  date.setDate(1);
-  return date;
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Formats a Date as the local 'YYYY-MM-DD' string expected by <input type="date">
+const toDateInputValue = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+// Formats a Date as the local 'HH:MM' string expected by <input type="time">
+const toTimeInputValue = (date) => `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+
+/**
+ * Combines the values of a date and a time input into a local Date.
+ * @param {string} dateStr - 'YYYY-MM-DD'.
+ * @param {string} timeStr - 'HH:MM' (defaults to midnight when empty).
+ * @returns {Date|null} The combined date, or null if the input is not a valid date.
+ */
+const combineDateAndTime = (dateStr, timeStr) => {
+  if (!dateStr) return null;
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hours, minutes] = (timeStr || '00:00').split(':').map(Number);
+  const date = new Date(year, month - 1, day, hours || 0, minutes || 0);
+  return isNaN(date.getTime()) ? null : date;
 };
 
-const formatCurrency = (amount, currencyCode) => {
-  const { symbol } = CURRENCIES[currencyCode] || CURRENCIES[DEFAULT_CURRENCY_CODE];
-  return `${symbol} ${parseFloat(amount).toFixed(2)}`;
+// A transaction dated in the future is "scheduled" and does not count until its date arrives
+const isScheduled = (transaction, now = new Date()) => transaction.timestamp > now;
+
+// Blank state for the expense/income modals, dated "now"
+const emptyTransactionForm = (categoryId = '', currencyCode = DEFAULT_CURRENCY_CODE, accountId = '') => {
+  const now = new Date();
+  return { amount: '', categoryId, accountId, source: '', currencyCode, date: toDateInputValue(now), time: toTimeInputValue(now), split: null, note: '', tagsText: '' };
 };
 
+// Parses "#trip-goa, Work" into ['trip-goa', 'work']: tags are lowercase, without the '#', and unique
+const parseTags = (text) => [...new Set(
+  String(text || '').split(/[\s,]+/).map(tag => tag.replace(/^#+/, '').trim().toLowerCase()).filter(Boolean)
+)];
+
 /**
- * Calculates the total budget for a category over the current cycle duration.
- * @param {number} baseLimit - The budget amount set for the base frequency (e.g., $100).
- * @param {string} baseFrequency - 'daily', 'monthly', or 'bimonthly'.
- * @param {number} cycleMonths - The global budget cycle duration in months (e.g., 2).
- * @returns {number} The total budget for the cycle.
+ * Checks a transaction against a search query. Every word of the query has to appear somewhere in the
+ * note, tags, source or category name (case-insensitive); "#word" only matches tags starting with the word.
+ * @param {object} transaction - An entry from the expenses collection.
+ * @param {string} query - The search text.
+ * @param {object} categoryMap - Category lookup for the category name.
+ * @returns {boolean} True when the transaction matches (always for an empty query).
  */
-const calculateCycleBudget = (baseLimit, baseFrequency, cycleMonths) => {
-  const limit = parseFloat(baseLimit) || 0;
-  if (limit <= 0) return 0;
+const matchesSearch = (transaction, query, categoryMap) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const tags = transaction.tags || [];
+  const text = [transaction.note, transaction.source, transactionCategoryName(transaction, categoryMap), ...tags]
+    .filter(Boolean).join(' ').toLowerCase();
+  return terms.every(term => (
+    term.startsWith('#') ? tags.some(tag => tag.startsWith(term.slice(1))) : text.includes(term)
+  ));
+};
 
-  switch (baseFrequency) {
+/**
+ * Returns the date `steps` intervals after `start`.
+ * Monthly and yearly steps keep the start's day of month, clamped to the month's last day (e.g. Jan 31 -> Feb 28).
+ * @param {Date} start - The first occurrence.
+ * @param {string} interval - 'daily', 'weekly', 'monthly' or 'yearly'.
+ * @param {number} steps - Number of intervals to add.
+ * @returns {Date}
+ */
+const addRecurrenceInterval = (start, interval, steps) => {
+  const date = new Date(start);
+  switch (interval) {
     case 'daily':
-      // Calculate total days in the cycle and multiply by daily limit
-      return limit * cycleMonths * AVG_DAYS_PER_MONTH;
+      date.setDate(date.getDate() + steps);
+      return date;
+    case 'weekly':
+      date.setDate(date.getDate() + steps * 7);
+      return date;
     case 'monthly':
-      // Multiply monthly limit by the number of months in the cycle
-      return limit * cycleMonths;
-    case 'bimonthly':
-      // Divide cycleMonths by 2 to get the number of bi-monthly periods
-      return limit * (cycleMonths / 2);
+    case 'yearly': {
+      const months = interval === 'yearly' ? steps * 12 : steps;
+      const target = new Date(start.getFullYear(), start.getMonth() + months, 1, start.getHours(), start.getMinutes());
+      const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+      target.setDate(Math.min(start.getDate(), lastDay));
+      return target;
+    }
     default:
-      return limit * cycleMonths; // Default to monthly if frequency is unknown
+      return date;
   }
 };
 
+/**
+ * Lists the occurrences of a recurring rule that are due but not generated yet.
+ * @param {object} rule - The recurring rule (startDate, interval, every, endType, endDate, occurrenceCount, lastGeneratedDate, paused).
+ * @param {Date} now - Occurrences after this moment are not due yet.
+ * @param {number} limit - Maximum number of occurrences to return.
+ * @param {Date} [after] - Occurrences at or before this moment are left out, e.g. those before a cycle.
+ * @returns {Date[]} The due occurrence dates, oldest first.
+ */
+const getDueOccurrences = (rule, now, limit = MAX_OCCURRENCES_PER_RUN, after = null) => {
+  if (rule.paused || !rule.startDate) return [];
+  const every = Math.max(1, parseInt(rule.every, 10) || 1);
+  const due = [];
 
-// --- PWA Helper Functions and Constants ---
+  for (let n = 0; due.length < limit; n++) {
+    if (rule.endType === 'count' && n >= (parseInt(rule.occurrenceCount, 10) || 0)) break;
+    const date = addRecurrenceInterval(rule.startDate, rule.interval, n * every);
+    if (date > now) break;
+    if (rule.endType === 'until' && rule.endDate && date > rule.endDate) break;
+    if ((!rule.lastGeneratedDate || date > rule.lastGeneratedDate) && (!after || date > after)) {
+      due.push(date);
+    }
+  }
+  return due;
+};
 
-// 1. Web Manifest JSON
-const PWA_MANIFEST = {
-  name: "Gemini Expense Tracker",
-  short_name: "FinTrack",
-  description: "Your personalized, mobile-first expense and budget manager.",
-  start_url: "/",
-  display: "standalone", // Makes it feel like a native app
-  background_color: "#f9fafb", // Match light theme background
-  theme_color: "#4f46e5", // Indigo theme color
-  icons: [
-    // Standard icon sizes for mobile/PWA
-    { src: 'https://placehold.co/192x192/4f46e5/ffffff?text=FT', sizes: '192x192', type: 'image/png' },
-    { src: 'https://placehold.co/512x512/4f46e5/ffffff?text=FT', sizes: '512x512', type: 'image/png' }
-  ]
+// Human-readable schedule, e.g. "Every 2 Months from 1/25/2026, 12 times"
+const describeRecurrence = (rule) => {
+  const every = Math.max(1, parseInt(rule.every, 10) || 1);
+  const interval = RECURRENCE_INTERVALS.find(i => i.code === rule.interval) || RECURRENCE_INTERVALS[2];
+  const schedule = every === 1 ? `Every ${interval.name}` : `Every ${every} ${interval.plural}`;
+  const start = rule.startDate ? ` from ${rule.startDate.toLocaleDateString()}` : '';
+  if (rule.endType === 'until' && rule.endDate) return `${schedule}${start} until ${rule.endDate.toLocaleDateString()}`;
+  if (rule.endType === 'count') return `${schedule}${start}, ${rule.occurrenceCount} times`;
+  return `${schedule}${start}`;
 };
 
-// 2. Service Worker (SW) Content
-const SERVICE_WORKER_CONTENT = `
-  const CACHE_NAME = 'finance-tracker-cache-v1';
-  const urlsToCache = [
-    '/',
-  ];
+// Blank state for the recurring rule modal, starting today
+const emptyRecurringForm = (categoryId = '', currencyCode = DEFAULT_CURRENCY_CODE) => ({
+  amount: '',
+  currencyCode,
+  type: 'expense',
+  categoryId,
+  accountId: '',
+  source: '',
+  interval: 'monthly',
+  every: '1',
+  startDate: toDateInputValue(new Date()),
+  endType: 'never',
+  endDate: '',
+  occurrenceCount: '12',
+});
 
-  self.addEventListener('install', (event) => {
-    event.waitUntil(
-      caches.open(CACHE_NAME)
-        .then((cache) => {
-          console.log('Opened cache');
-          return cache.addAll(urlsToCache);
-        })
-    );
-  });
+const formatCurrency = (amount, currencyCode) => {
+  const { symbol } = CURRENCIES[currencyCode] || CURRENCIES[DEFAULT_CURRENCY_CODE];
+  return `${symbol} ${parseFloat(amount).toFixed(2)}`;
+};
 
-  self.addEventListener('fetch', (event) => {
-    event.respondWith(
-      caches.match(event.request)
-        .then((response) => {
-          if (response) {
-            return response;
-          }
-          return fetch(event.request);
-        }
-      )
-    );
-  });
-  
-  self.addEventListener('activate', (event) => {
-    const cacheWhitelist = [CACHE_NAME];
-    event.waitUntil(
-      caches.keys().then((cacheNames) => {
-        return Promise.all(
-          cacheNames.map((cacheName) => {
-            if (cacheWhitelist.indexOf(cacheName) === -1) {
-              return caches.delete(cacheName);
-            }
-          })
-        );
-      })
-    );
-  });
-`;
+/**
+ * Finds the rate that converts one unit of `from` into `to` on a given date.
+ * Uses the latest rate effective on or before the date and falls back to the earliest later one.
+ * A rate recorded for the opposite direction is inverted.
+ * @param {string} from - Currency code of the amount.
+ * @param {string} to - Target currency code.
+ * @param {Date} date - The transaction date.
+ * @param {object[]} rates - The exchange-rate table ({ fromCurrency, toCurrency, rate, effectiveDate }).
+ * @returns {number|null} The rate, or null if no rate links the two currencies.
+ */
+const findExchangeRate = (from, to, date, rates) => {
+  if (from === to) return 1;
+  const candidates = rates
+    .filter(r => r.rate > 0 && ((r.fromCurrency === from && r.toCurrency === to) || (r.fromCurrency === to && r.toCurrency === from)))
+    .map(r => ({ effectiveDate: r.effectiveDate, rate: r.fromCurrency === from ? r.rate : 1 / r.rate }))
+    .sort((a, b) => a.effectiveDate - b.effectiveDate);
+  if (candidates.length === 0) return null;
+  const effective = candidates.filter(c => c.effectiveDate <= date);
+  return (effective.length > 0 ? effective[effective.length - 1] : candidates[0]).rate;
+};
 
-// --- Supporting Components (Extracted for stability) ---
+// Converts a transaction into the base currency; entries without a currency are already in it
+const convertToBaseCurrency = (transaction, baseCurrency, rates) => {
+  const rate = findExchangeRate(transaction.currencyCode || baseCurrency, baseCurrency, transaction.timestamp, rates);
+  return rate === null ? null : transaction.amount * rate;
+};
 
-const IconComponent = ({ name, size = 20, color = 'currentColor' }) => {
-  const LucideIcon = { Tag, Wallet, TrendingUp, DollarSign, Euro, PoundSterling, IndianRupee, Pencil, Home, BarChart, Settings }[name] || Tag;
-  return <LucideIcon size={size} color={color} />;
+/**
+ * Validates the form data of an expense or income entry before it is written.
+ * @param {object} data - The modal form state ({ amount, categoryId, source, date, time, split }).
+ * @param {string} type - 'expense' or 'budget'.
+ * @returns {string|null} An error message, or null if the entry is valid.
+ */
+const validateTransaction = (data, type) => {
+  const amount = parseFloat(data.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return 'Please enter an amount greater than zero.';
+  if (type === 'expense' && !data.categoryId) return 'Please select a category.';
+  if (type === 'budget' && !data.categoryId && !(data.source || '').trim()) return 'Please enter an income source or pick an income category.';
+  if (!combineDateAndTime(data.date, data.time)) return 'Please enter a valid date.';
+  if (type === 'expense' && data.split) return validateSplit(amount, data.split);
+  return null;
 };
 
-const Modal = ({ children, title, closeModal }) => (
-  <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={closeModal}>
-    <div className="bg-white dark:bg-gray-800 rounded-2xl w-full max-w-sm shadow-2xl transform transition-all duration-300 scale-100" onClick={e => e.stopPropagation()}>
-      <div className="flex justify-between items-center p-5 border-b border-gray-200 dark:border-gray-700">
-        <h3 className="text-xl font-bold text-gray-900 dark:text-white">{title}</h3>
-        <button onClick={closeModal} className="p-2 text-gray-500 hover:text-gray-900 dark:hover:text-white transition rounded-full hover:bg-gray-100 dark:hover:bg-gray-700">
-          <X size={20} />
-        </button>
-      </div>
-      <div className="p-5">
-        {children}
-      </div>
-    </div>
-  </div>
-);
+// --- Budget Cycle Engine ---
 
-const AddExpenseModal = ({ newExpense, setNewExpense, handleModalSubmit, closeModal, categories }) => (
-  <Modal title="Log New Expense" closeModal={closeModal}>
-    <form onSubmit={handleModalSubmit} className="space-y-4">
-      <input
-        type="number"
-        placeholder="Amount Spent"
-        value={newExpense.amount}
-        onChange={(e) => setNewExpense({ ...newExpense, amount: e.target.value })}
-        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-pink-500 focus:border-pink-500"
-        required
-        step="0.01"
-        min="0"
-      />
-      <select
-        value={newExpense.categoryId}
-        onChange={(e) => setNewExpense({ ...newExpense, categoryId: e.target.value })}
-        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-pink-500 focus:border-pink-500"
-        required
-      >
-        <option value="" disabled>Select Category</option>
-        {categories.map(cat => (
-          <option key={cat.id} value={cat.id}>{cat.name}</option>
-        ))}
-      </select>
-      <input
-        type="text"
-        placeholder="Source (e.g., Google Pay, Cash)"
-        value={newExpense.source}
-        onChange={(e) => setNewExpense({ ...newExpense, source: e.target.value })}
-        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-pink-500 focus:border-pink-500"
-      />
-      <button type="submit" className="w-full bg-pink-600 text-white p-3 rounded-xl font-semibold hover:bg-pink-700 transition">
-        Record Expense
-      </button>
-    </form>
-  </Modal>
+const CYCLE_TYPES = [
+  { code: 'months', name: 'Every N Months' },
+  { code: 'weekly', name: 'Weekly' },
+  { code: 'biweekly', name: 'Every 2 Weeks' },
+];
+const CYCLE_MONTH_OPTIONS = [1, 2, 3, 6, 12];
+const DEFAULT_CYCLE_ANCHOR = '2000-01-01'; // Cycles start on the 1st; multi-month cycles are counted from January
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reads the cycle settings ({ cycleType, cycleMonths, cycleAnchorDate }) into { type, months, anchor }, with defaults for older data
+const getCycleConfig = (settings) => ({
+  type: CYCLE_TYPES.some(t => t.code === settings.cycleType) ? settings.cycleType : 'months',
+  months: Math.max(1, parseInt(settings.cycleMonths, 10) || 1),
+  anchor: combineDateAndTime(settings.cycleAnchorDate, '00:00') || combineDateAndTime(DEFAULT_CYCLE_ANCHOR, '00:00'),
+});
+
+// Before cycle anchors, an N-month cycle was the N calendar months ending with the current one. Settings saved back then
+// are pinned to the cycle they show today, so upgrading does not move it.
+const legacyCycleAnchorDate = (cycleMonths, now) => toDateInputValue(
+  new Date(now.getFullYear(), now.getMonth() - (Math.max(1, parseInt(cycleMonths, 10) || 1) - 1), 1)
 );
 
-const AddBudgetModal = ({ newBudget, setNewBudget, handleModalSubmit, closeModal }) => (
-  <Modal title="Log New Income" closeModal={closeModal}>
-    <form onSubmit={handleModalSubmit} className="space-y-4">
-      <input
-        type="number"
-        placeholder="Income Amount"
-        value={newBudget.amount}
-        onChange={(e) => setNewBudget({ ...newBudget, amount: e.target.value })}
-        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
-        required
-        step="0.01"
-        min="0"
-      />
-      <input
-        type="text"
-        placeholder="Source (e.g., Salary, Gift, Borrowed)"
-        value={newBudget.source}
-        onChange={(e) => setNewBudget({ ...newBudget, source: e.target.value })}
-        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
-        required
-      />
-      <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
-        Record Income
-      </button>
-    </form>
-  </Modal>
+// Whole calendar days between two dates; UTC avoids daylight-saving hours skewing the count
+const daysBetween = (from, to) => Math.round(
+  (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / DAY_MS
 );
 
-const AddCategoryModal = ({ newCategory, setNewCategory, handleModalSubmit, closeModal }) => (
-  <Modal title="Create New Budget Category" closeModal={closeModal}>
-    <form onSubmit={handleModalSubmit} className="space-y-4">
-      <input
-        type="text"
-        placeholder="Category Name (e.g., Groceries, Rent)"
-        value={newCategory.name}
-        onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
-        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
-        required
-      />
-      <input
-        type="number"
-        placeholder="Base Budget Amount (e.g., $100)"
-        value={newCategory.baseLimit}
-        onChange={(e) => setNewCategory({ ...newCategory, baseLimit: e.target.value })}
-        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
-        required
-        step="0.01"
-        min="0"
-      />
-      <select
-        value={newCategory.baseFrequency}
-        onChange={(e) => setNewCategory({ ...newCategory, baseFrequency: e.target.value })}
-        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
-        required
-      >
-        <option value="" disabled>Select Budget Frequency</option>
-        {FREQUENCIES.map(f => (
-          <option key={f.code} value={f.code}>{f.name}</option>
-        ))}
-      </select>
-      <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Color Selection</h4>
-      <div className="flex space-x-2 overflow-x-auto pb-2">
-        {COLORS.map(color => (
-          <button
-            type="button"
-            key={color}
-            style={{ backgroundColor: color }}
-            className={`w-10 h-10 rounded-full flex-shrink-0 transition ${newCategory.color === color ? 'ring-4 ring-offset-2 ring-indigo-500' : ''}`}
-            onClick={() => setNewCategory({ ...newCategory, color })}
-            aria-label={`Select color ${color}`}
-          ></button>
-        ))}
-      </div>
-      <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
-        Create Category
-      </button>
-    </form>
-  </Modal>
+// The given day of the month at a month index (year * 12 + month), clamped to that month's last day
+const dateInMonth = (monthIndex, day) => {
+  const year = Math.floor(monthIndex / 12);
+  const month = monthIndex - year * 12;
+  return new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+};
+
+/**
+ * Returns the budget cycle that contains a date.
+ * Month cycles start on the anchor's day of month (clamped in shorter months, so the 31st becomes Feb 28) and repeat every
+ * N months counted from the anchor's month. Weekly and biweekly cycles repeat every 7 or 14 days from the anchor date.
+ * @param {object} config - From getCycleConfig.
+ * @param {Date} date - Any date.
+ * @returns {{ start: Date, end: Date }} The cycle; end is exclusive (it is the next cycle's start).
+ */
+const getCycleForDate = (config, date) => {
+  const { anchor } = config;
+  if (config.type === 'months') {
+    const day = anchor.getDate();
+    let monthIndex = date.getFullYear() * 12 + date.getMonth();
+    if (date < dateInMonth(monthIndex, day)) monthIndex -= 1;
+    const anchorIndex = anchor.getFullYear() * 12 + anchor.getMonth();
+    const startIndex = monthIndex - ((((monthIndex - anchorIndex) % config.months) + config.months) % config.months);
+    return { start: dateInMonth(startIndex, day), end: dateInMonth(startIndex + config.months, day) };
+  }
+  const length = config.type === 'weekly' ? 7 : 14;
+  const offset = Math.floor(daysBetween(anchor, date) / length) * length;
+  return {
+    start: new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + offset),
+    end: new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + offset + length),
+  };
+};
+
+// The cycle `count` cycles after (positive) or before (negative) the given one
+const shiftCycle = (config, cycle, count) => {
+  let result = cycle;
+  for (let i = 0; i < Math.abs(count); i++) {
+    result = getCycleForDate(config, count > 0 ? result.end : new Date(result.start.getTime() - 1));
+  }
+  return result;
+};
+
+const ordinal = (n) => {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+// e.g. "Monthly from the 25th", "Every 3 months from the 1st", "Every 2 weeks from Friday"
+const describeCycle = (config) => {
+  if (config.type === 'months') {
+    const every = config.months === 1 ? 'Monthly' : `Every ${config.months} months`;
+    return `${every} from the ${ordinal(config.anchor.getDate())}`;
+  }
+  const weekday = config.anchor.toLocaleDateString(undefined, { weekday: 'long' });
+  return `${config.type === 'weekly' ? 'Weekly' : 'Every 2 weeks'} from ${weekday}`;
+};
+
+// e.g. "Jan 25 – Feb 24" (the end date shown is the cycle's last day)
+const formatCycleRange = (cycle) => {
+  const lastDay = new Date(cycle.end.getFullYear(), cycle.end.getMonth(), cycle.end.getDate() - 1);
+  const options = { month: 'short', day: 'numeric' };
+  return `${cycle.start.toLocaleDateString(undefined, options)} – ${lastDay.toLocaleDateString(undefined, options)}`;
+};
+
+/**
+ * Prorates a category's base limit over one cycle using the actual calendar.
+ * Day-based frequencies (daily, weekly, every 2 weeks, custom every N days) scale by the number of days in the cycle,
+ * so a daily limit gives 28 or 29 days' worth in February. Month-based frequencies scale by the cycle's length in months:
+ * exact for month cycles, and each day's share of its own month for weekly and biweekly cycles.
+ * @param {object} category - A category with baseLimit, baseFrequency and (for custom) baseFrequencyDays.
+ * @param {object} cycleConfig - The budget cycle, from getCycleConfig.
+ * @param {{ start: Date, end: Date }} cycle - The cycle to budget for.
+ * @returns {{ amount: number, limit: number, unit: string, multiplier: string }} The cycle budget and how it was derived.
+ */
+const getCycleBudgetBreakdown = (category, cycleConfig, cycle) => {
+  const limit = parseFloat(category.baseLimit) || 0;
+  const frequency = getFrequency(category);
+
+  if (frequency.days) {
+    const cycleDays = daysBetween(cycle.start, cycle.end);
+    return {
+      amount: Math.max(0, limit * cycleDays / frequency.days),
+      limit,
+      unit: frequency.unit,
+      multiplier: frequency.days === 1 ? `${cycleDays} days` : `${cycleDays} days ÷ ${frequency.days}`,
+    };
+  }
+
+  let cycleMonths = cycleConfig.months;
+  let monthsLabel = `${cycleMonths} ${cycleMonths === 1 ? 'month' : 'months'}`;
+  if (cycleConfig.type !== 'months') {
+    // Count the cycle's days per calendar month, e.g. 4 days of January and 3 of February
+    const parts = [];
+    for (let d = new Date(cycle.start); d < cycle.end; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+      const monthDays = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+      const last = parts[parts.length - 1];
+      if (last && last.month === d.getMonth()) last.days += 1;
+      else parts.push({ month: d.getMonth(), days: 1, monthDays });
+    }
+    cycleMonths = parts.reduce((sum, p) => sum + p.days / p.monthDays, 0);
+    const fractions = parts.map(p => `${p.days}/${p.monthDays}`);
+    monthsLabel = fractions.length === 1 ? `${fractions[0]} month` : `(${fractions.join(' + ')}) months`;
+  }
+  return {
+    amount: Math.max(0, limit * cycleMonths / frequency.months),
+    limit,
+    unit: frequency.unit,
+    multiplier: frequency.months === 1 ? monthsLabel : `${monthsLabel} ÷ ${frequency.months}`,
+  };
+};
+
+// The total budget for a category over a cycle
+const calculateCycleBudget = (category, cycleConfig, cycle) => getCycleBudgetBreakdown(category, cycleConfig, cycle).amount;
+
+// e.g. "₹200/day × 31 days" or "$700/week × 31 days ÷ 7"
+const describeCycleBudget = (category, cycleConfig, cycle, currencyCode) => {
+  const { limit, unit, multiplier } = getCycleBudgetBreakdown(category, cycleConfig, cycle);
+  return `${formatCurrency(limit, currencyCode)}/${unit} × ${multiplier}`;
+};
+
+
+// --- Category Hierarchy ---
+
+// How a parent category's limit is set (categories are at most two levels deep)
+const CATEGORY_LIMIT_MODES = [
+  { code: 'sum', name: 'Sum of Subcategories' },
+  { code: 'cap', name: 'Own Limit (Cap)' },
+];
+
+const getSubcategories = (categories, parentId) => categories.filter(c => c.parentId === parentId);
+
+// The category's own ID plus its subcategories' IDs: spending on any of them counts toward the category
+const getCategoryFamilyIds = (categories, category) => [category.id, ...getSubcategories(categories, category.id).map(c => c.id)];
+
+// Parents in 'sum' mode take their limit (and carried amounts) from their subcategories instead of their own base limit
+const usesSubcategoryLimits = (categories, category) => category.limitMode !== 'cap' && getSubcategories(categories, category.id).length > 0;
+
+// The cycle budget of a category, summing the subcategories of a 'sum' mode parent
+const calculateCategoryBudget = (category, categories, cycleConfig, cycle) => (
+  usesSubcategoryLimits(categories, category)
+    ? getSubcategories(categories, category.id).reduce((sum, child) => sum + calculateCycleBudget(child, cycleConfig, cycle), 0)
+    : calculateCycleBudget(category, cycleConfig, cycle)
 );
 
-const Card = ({ title, value, icon: Icon, color }) => (
-  <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg border border-gray-100 dark:border-gray-700">
-    <div className={`w-8 h-8 rounded-full flex items-center justify-center mb-2 bg-opacity-10 ${color.replace('text', 'bg')}`}>
-      <Icon size={18} className={color} />
-    </div>
-    <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{title}</p>
-    <h3 className="text-xl font-bold text-gray-900 dark:text-white truncate">{value}</h3>
-  </div>
+// Top-level categories, each with its subcategories, for grouped pickers and lists
+const groupCategories = (categories) => categories
+  .filter(c => !c.parentId)
+  .map(parent => ({ parent, children: getSubcategories(categories, parent.id) }));
+
+// e.g. "Food › Groceries"
+const categoryLabel = (category, categoryMap) => {
+  const parent = category.parentId && categoryMap[category.parentId];
+  return parent ? `${parent.name} › ${category.name}` : category.name;
+};
+
+
+// --- Income Categories ---
+//
+// Income categories live in the categories collection with kind: 'income'. They have no limits or subcategories,
+// and the listener keeps them apart from the expense categories every budget calculation works on.
+
+const UNCATEGORIZED_INCOME_ID = 'income'; // categoryId of income entries without an income category
+const DEFAULT_INCOME_CATEGORIES = ['Salary', 'Freelance', 'Interest', 'Gifts'];
+
+const isIncomeCategory = (category) => category.kind === 'income';
+
+// Share of income left after expenses, or null when there was no income to compare against
+const calculateSavingsRate = (income, expenses) => (income > 0 ? (income - expenses) / income : null);
+
+
+// --- Budget Rollover ---
+
+const ROLLOVER_MODES = [
+  { code: 'none', name: 'No Rollover' },
+  { code: 'surplus', name: 'Carry Unspent' },
+  { code: 'deficit', name: 'Carry Overspend' },
+  { code: 'both', name: 'Carry Both' },
+];
+const MAX_ROLLOVER_CYCLES = 120; // Bounds the history walk for short (weekly) cycles
+
+/**
+ * Works out the amount each category carries into the current cycle.
+ * Starting with the cycle of the category's first expense, each completed cycle's leftover
+ * (cycle limit + amount carried in - spent) is carried forward according to the category's rollover mode,
+ * clamped to plus or minus its cap. Categories without rollover carry 0, and so do 'sum' mode parents, whose
+ * subcategories carry their own amounts; a parent with its own limit counts its subcategories' spending.
+ * @param {object[]} categories - Categories with rolloverMode and rolloverCap.
+ * @param {object[]} expenses - Entries with baseAmount (see convertedExpenses).
+ * @param {object} cycleConfig - From getCycleConfig.
+ * @param {object} currentCycle - The cycle the carried amounts flow into.
+ * @returns {object} Carried amounts keyed by category ID; negative amounts are carried overspend.
+ */
+const calculateRollovers = (categories, expenses, cycleConfig, currentCycle) => categories.reduce((acc, cat) => {
+  const mode = usesSubcategoryLimits(categories, cat) ? 'none' : (cat.rolloverMode || 'none');
+  const familyIds = getCategoryFamilyIds(categories, cat);
+  const pastExpenses = expenses.filter(t => t.type === 'expense' && familyIds.includes(t.categoryId) && t.timestamp < currentCycle.start);
+  if (mode === 'none' || pastExpenses.length === 0) return { ...acc, [cat.id]: 0 };
+
+  const firstExpense = pastExpenses.reduce((first, t) => (t.timestamp < first ? t.timestamp : first), pastExpenses[0].timestamp);
+  const cycles = [];
+  for (let cycle = shiftCycle(cycleConfig, currentCycle, -1); cycle.end > firstExpense && cycles.length < MAX_ROLLOVER_CYCLES; cycle = shiftCycle(cycleConfig, cycle, -1)) {
+    cycles.unshift(cycle);
+  }
+
+  const cap = parseFloat(cat.rolloverCap) > 0 ? parseFloat(cat.rolloverCap) : Infinity;
+  const carried = cycles.reduce((carriedIn, cycle) => {
+    const limit = calculateCategoryBudget(cat, categories, cycleConfig, cycle);
+    const spent = pastExpenses
+      .filter(t => t.timestamp >= cycle.start && t.timestamp < cycle.end)
+      .reduce((sum, t) => sum + t.baseAmount, 0);
+    let leftover = limit + carriedIn - spent;
+    if (mode === 'surplus') leftover = Math.max(0, leftover);
+    if (mode === 'deficit') leftover = Math.min(0, leftover);
+    return Math.max(-cap, Math.min(cap, leftover));
+  }, 0);
+  return { ...acc, [cat.id]: roundToCents(carried) };
+}, {});
+
+// What a category carries into a cycle; 'sum' mode parents carry whatever their subcategories carry
+const getCarriedAmount = (categories, category, rollovers) => (
+  usesSubcategoryLimits(categories, category)
+    ? getSubcategories(categories, category.id).reduce((sum, child) => sum + (rollovers[child.id] || 0), 0)
+    : (rollovers[category.id] || 0)
 );
 
-const SettingsCard = ({ settings, onUpdateSettings, currencyCode }) => {
-  const [tempCycle, setTempCycle] = useState(settings.cycleMonths);
-  const [tempCurrency, setTempCurrency] = useState(currencyCode);
+// The whole budget available in a cycle: top-level category limits plus what they carry in (summary.totalBudgetLimit)
+const calculateTotalBudget = (categories, entries, cycleConfig, cycle) => {
+  const rollovers = calculateRollovers(categories, entries, cycleConfig, cycle);
+  return categories
+    .filter(c => !c.parentId)
+    .reduce((sum, cat) => sum + calculateCategoryBudget(cat, categories, cycleConfig, cycle) + getCarriedAmount(categories, cat, rollovers), 0);
+};
 
-  useEffect(() => {
-    setTempCycle(settings.cycleMonths);
-    setTempCurrency(currencyCode);
-  }, [settings.cycleMonths, currencyCode]);
+// e.g. "Carry Unspent (cap $50.00)"
+const describeRollover = (cat, currencyCode) => {
+  const mode = ROLLOVER_MODES.find(m => m.code === (cat.rolloverMode || 'none'));
+  return parseFloat(cat.rolloverCap) > 0 && mode.code !== 'none'
+    ? `${mode.name} (cap ${formatCurrency(parseFloat(cat.rolloverCap), currencyCode)})`
+    : mode.name;
+};
 
-  const handleSave = () => {
-    onUpdateSettings({ cycleMonths: parseInt(tempCycle, 10), currencyCode: tempCurrency });
-  };
 
-  return (
-    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
-      <h3 className="text-lg font-bold text-gray-900 dark:text-white">App Settings</h3>
+// --- Spending Forecast ---
+
+const FORECAST_HISTORY_CYCLES = 3; // Completed cycles averaged into the everyday spending rate
+
+/**
+ * Projects spending per category to the end of a cycle.
+ * Known spending is what is already logged plus the scheduled entries and the recurring occurrences in the cycle that
+ * are not generated yet, whether upcoming or already due. Everyday spending (entries not generated by a recurring rule)
+ * is assumed to continue at a daily rate: the rate so far this cycle blended with the average of the last
+ * FORECAST_HISTORY_CYCLES cycles, counted from the day of the first expense, trusting this cycle more the further it
+ * has run. Without history the rate so far is used alone.
+ * @param {object} params
+ * @param {object[]} params.entries - Entries with baseAmount (see convertedExpenses), scheduled ones included.
+ * @param {object[]} params.recurringRules - The recurring rules; those without a currencyCode are in the base currency.
+ * @param {string} params.baseCurrency - The currency of baseAmount.
+ * @param {object[]} params.rates - Exchange rates for the rules' amounts; occurrences without a rate are left out.
+ * @param {object} params.cycleConfig - From getCycleConfig.
+ * @param {{ start: Date, end: Date }} params.cycle - The cycle to forecast, normally the current one.
+ * @param {Date} [params.now] - The moment that splits logged from upcoming spending.
+ * @returns {{ byCategory: object, spent: number, upcoming: number, projected: number, daysLeft: number }}
+ *   byCategory holds { spent, upcoming, projected } per category ID; daysLeft counts today.
+ */
+const forecastCycleSpending = ({ entries, recurringRules, baseCurrency, rates, cycleConfig, cycle, now = new Date() }) => {
+  const expenses = entries.filter(t => t.type === 'expense');
+  const cycleDays = Math.max(1, (cycle.end - cycle.start) / DAY_MS);
+  const elapsedDays = Math.min(cycleDays, Math.max(0, (now - cycle.start) / DAY_MS));
+  const byCategory = {};
+  const add = (categoryId, field, amount) => {
+    if (!byCategory[categoryId]) byCategory[categoryId] = { spent: 0, upcoming: 0, everyday: 0, history: 0 };
+    byCategory[categoryId][field] += amount;
+  };
+
+  expenses.filter(t => t.timestamp >= cycle.start && t.timestamp < cycle.end).forEach(t => {
+    if (isScheduled(t, now)) {
+      add(t.categoryId, 'upcoming', t.baseAmount);
+      return;
+    }
+    add(t.categoryId, 'spent', t.baseAmount);
+    if (!t.recurringRuleId) add(t.categoryId, 'everyday', t.baseAmount);
+  });
+  // Occurrences up to lastGeneratedDate are entries already; the rest of the cycle's are still to be logged
+  const lastMoment = new Date(cycle.end.getTime() - 1);
+  const beforeCycle = new Date(cycle.start.getTime() - 1);
+  recurringRules.filter(rule => rule.type === 'expense').forEach(rule => {
+    const amount = parseFloat(rule.amount) || 0;
+    getDueOccurrences(rule, lastMoment, MAX_OCCURRENCES_PER_RUN, beforeCycle).forEach(date => {
+      const baseAmount = convertToBaseCurrency({ amount, currencyCode: rule.currencyCode, timestamp: date }, baseCurrency, rates);
+      if (baseAmount !== null) add(rule.categoryId, 'upcoming', baseAmount);
+    });
+  });
+
+  // Completed cycles since the first expense, most recent first
+  const firstExpense = expenses.reduce((first, t) => (!first || t.timestamp < first ? t.timestamp : first), null);
+  const pastCycles = [];
+  for (let past = shiftCycle(cycleConfig, cycle, -1); firstExpense && past.end > firstExpense && pastCycles.length < FORECAST_HISTORY_CYCLES; past = shiftCycle(cycleConfig, past, -1)) {
+    pastCycles.push(past);
+  }
+  // The cycle of the first expense only counts from that day, so a budget started mid-cycle does not dilute the rate
+  const firstDay = firstExpense && new Date(firstExpense.getFullYear(), firstExpense.getMonth(), firstExpense.getDate());
+  const historyDays = pastCycles.reduce((sum, past) => sum + (past.end - (firstDay > past.start ? firstDay : past.start)) / DAY_MS, 0);
+  expenses
+    .filter(t => !t.recurringRuleId && pastCycles.some(past => t.timestamp >= past.start && t.timestamp < past.end))
+    .forEach(t => add(t.categoryId, 'history', t.baseAmount));
+
+  const weight = historyDays > 0 ? elapsedDays / cycleDays : 1;
+  const remainingDays = cycleDays - elapsedDays;
+  const forecast = Object.entries(byCategory).reduce((acc, [categoryId, { spent, upcoming, everyday, history }]) => {
+    const dailyRate = weight * (elapsedDays > 0 ? everyday / elapsedDays : 0) + (1 - weight) * (historyDays > 0 ? history / historyDays : 0);
+    return { ...acc, [categoryId]: { spent, upcoming, projected: roundToCents(spent + upcoming + dailyRate * remainingDays) } };
+  }, {});
+
+  const total = (field) => roundToCents(Object.values(forecast).reduce((sum, item) => sum + item[field], 0));
+  return {
+    byCategory: forecast,
+    spent: total('spent'),
+    upcoming: total('upcoming'),
+    projected: total('projected'),
+    daysLeft: Math.max(1, daysBetween(now, cycle.end)),
+  };
+};
+
+
+// --- Budget Notifications ---
+
+const NOTIFICATION_LOG_STORAGE_KEY = 'fintrack-notification-log'; // Alerts already shown on this device, per budget and cycle
+const DEFAULT_ALERT_THRESHOLDS = [75, 100]; // Percent of a category's cycle limit
+const DEFAULT_INCOME_ALERT_THRESHOLD = 100; // Percent of the cycle's income spent; 0 turns it off
+
+// Parses "75, 100" into [75, 100]; anything that is not a whole percentage between 1 and 1000 is dropped
+const parseThresholds = (text) => [...new Set(
+  String(text).split(/[\s,%]+/).map(v => parseInt(v, 10)).filter(v => v > 0 && v <= 1000)
+)].sort((a, b) => a - b);
+
+const formatThresholds = (thresholds) => thresholds.map(t => `${t}%`).join(', ');
+
+// A category's own thresholds, or the default ones from settings
+const getCategoryThresholds = (category, settings) => (
+  Array.isArray(category.alertThresholds) ? category.alertThresholds : (settings.alertThresholds || DEFAULT_ALERT_THRESHOLDS)
+);
+
+/**
+ * Lists the budget alerts whose thresholds are crossed in the current cycle.
+ * Each alert carries the keys of every threshold it covers, so a category opened at 110% gets one "over budget" alert
+ * rather than a 75% one as well, and the 75% key is still marked as shown.
+ * @param {object} params
+ * @param {object[]} params.chartData - Per-category spending and limits (summary.chartData).
+ * @param {object} params.categoryMap - Categories by ID.
+ * @param {object} params.settings - For the default and income thresholds.
+ * @param {number} params.totalExpenses - Spent this cycle.
+ * @param {number} params.totalIncome - Income recorded this cycle.
+ * @returns {{ keys: string[], title: string, body: string }[]} The crossed alerts.
+ */
+const collectBudgetAlerts = ({ chartData, categoryMap, settings, totalExpenses, totalIncome }) => {
+  const { currencyCode } = settings;
+  const alerts = chartData.flatMap(data => {
+    const category = categoryMap[data.id];
+    if (!category || data.budgetLimit <= 0) return [];
+    const percentage = (data.value / data.budgetLimit) * 100;
+    const crossed = getCategoryThresholds(category, settings).filter(t => percentage >= t);
+    if (crossed.length === 0) return [];
+    const top = crossed[crossed.length - 1];
+    return [{
+      keys: crossed.map(t => `category:${data.id}:${t}`),
+      title: top >= 100 ? `${data.name} is over budget` : `${data.name} has used ${top}% of its budget`,
+      body: `Spent ${formatCurrency(data.value, currencyCode)} of ${formatCurrency(data.budgetLimit, currencyCode)} this cycle.`,
+    }];
+  });
+
+  const incomeThreshold = parseInt(settings.incomeAlertThreshold ?? DEFAULT_INCOME_ALERT_THRESHOLD, 10) || 0;
+  if (incomeThreshold > 0 && totalIncome > 0 && (totalExpenses / totalIncome) * 100 >= incomeThreshold) {
+    alerts.push({
+      keys: [`income:${incomeThreshold}`],
+      title: incomeThreshold >= 100 ? 'Spending is over your income' : `Spending has reached ${incomeThreshold}% of your income`,
+      body: `Spent ${formatCurrency(totalExpenses, currencyCode)} against ${formatCurrency(totalIncome, currencyCode)} of income this cycle.`,
+    });
+  }
+  return alerts;
+};
+
+// Totals for a cycle that has ended, or null when nothing was logged in it
+const buildCycleSummaryAlert = (cycle, entries, categories, cycleConfig, currencyCode) => {
+  const inCycle = entries.filter(t => t.timestamp >= cycle.start && t.timestamp < cycle.end);
+  if (inCycle.length === 0) return null;
+  const sum = (type) => inCycle.filter(t => t.type === type).reduce((total, t) => total + t.baseAmount, 0);
+  const budget = calculateTotalBudget(categories, entries, cycleConfig, cycle);
+  return {
+    title: `Cycle summary: ${formatCycleRange(cycle)}`,
+    body: `Spent ${formatCurrency(sum('expense'), currencyCode)} of a ${formatCurrency(budget, currencyCode)} budget, with ${formatCurrency(sum('budget'), currencyCode)} of income.`,
+  };
+};
+
+// The log for one budget: { cycleStart: ISO string of the cycle last seen, sent: alert keys shown in that cycle }
+const readNotificationLog = (scope) => {
+  try {
+    return (JSON.parse(localStorage.getItem(NOTIFICATION_LOG_STORAGE_KEY)) || {})[scope] || { cycleStart: null, sent: [] };
+  } catch (e) {
+    return { cycleStart: null, sent: [] };
+  }
+};
+
+const writeNotificationLog = (scope, log) => {
+  let all = {};
+  try {
+    all = JSON.parse(localStorage.getItem(NOTIFICATION_LOG_STORAGE_KEY)) || {};
+  } catch (e) {
+    // A corrupt log is simply replaced
+  }
+  localStorage.setItem(NOTIFICATION_LOG_STORAGE_KEY, JSON.stringify({ ...all, [scope]: log }));
+};
+
+// Threshold alerts depend on entries, so they are checked by the app wherever an entry is logged. The cycle summary only
+// depends on time passing, so the app also hands the running cycle's summary to the service worker, which shows it once the
+// cycle has ended even if the app is closed (Periodic Background Sync, offered to installed apps in Chromium browsers).
+// Elsewhere the summary arrives on the next open, as before. The worker's copy has the totals as of the app's last run.
+const NOTIFICATION_CACHE_NAME = 'finance-tracker-notifications'; // Must match service-worker.js
+const NOTIFICATION_SYNC_TAG = 'budget-notifications'; // Must match service-worker.js
+const NOTIFICATION_SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000; // A minimum; the browser decides when the sync actually runs
+
+const scheduledSummaryUrl = (scope) => `/__notifications/${encodeURIComponent(scope)}`;
+
+// The summary scheduled for a budget: { cycleStart, cycleEnd, title, body, tag, shown }, or null
+const readScheduledSummary = async (scope) => {
+  if (!('caches' in window)) return null;
+  const response = await (await caches.open(NOTIFICATION_CACHE_NAME)).match(scheduledSummaryUrl(scope));
+  return response ? response.json() : null;
+};
+
+// Replaces the summary scheduled for a budget; null cancels it
+const writeScheduledSummary = async (scope, entry) => {
+  if (!('caches' in window)) return;
+  const cache = await caches.open(NOTIFICATION_CACHE_NAME);
+  if (entry) {
+    await cache.put(scheduledSummaryUrl(scope), new Response(JSON.stringify(entry), { headers: { 'Content-Type': 'application/json' } }));
+  } else {
+    await cache.delete(scheduledSummaryUrl(scope));
+  }
+};
+
+// Asks the browser to wake the service worker now and then; browsers without Periodic Background Sync are left alone
+const registerNotificationSync = async () => {
+  const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (!registration || !('periodicSync' in registration)) return;
+  const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+  if (state === 'granted') {
+    await registration.periodicSync.register(NOTIFICATION_SYNC_TAG, { minInterval: NOTIFICATION_SYNC_INTERVAL_MS });
+  }
+};
+
+const canShowNotifications = () => 'Notification' in window && Notification.permission === 'granted';
+
+// Shows a system notification through the service worker (the only way on mobile), falling back to the page-level API
+const showSystemNotification = async (title, options) => {
+  const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+};
+
+
+// --- Transaction History Filters ---
+
+const HISTORY_PAGE_SIZE = 50;
+const EMPTY_HISTORY_FILTERS = { q: '', type: 'all', categoryId: '', source: '', accountId: '', from: '', to: '', min: '', max: '' };
+// History filters live in the URL query (e.g. ?type=expense&from=2026-01-01) so they survive tab switches and reloads
+const HISTORY_FILTER_PARAMS = { q: 'q', type: 'type', categoryId: 'category', source: 'source', accountId: 'account', from: 'from', to: 'to', min: 'min', max: 'max' };
+
+const readHistoryFiltersFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  return Object.entries(HISTORY_FILTER_PARAMS).reduce((acc, [key, param]) => (
+    params.has(param) ? { ...acc, [key]: params.get(param) } : acc
+  ), EMPTY_HISTORY_FILTERS);
+};
+
+const writeHistoryFiltersToUrl = (filters) => {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(HISTORY_FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key] && filters[key] !== EMPTY_HISTORY_FILTERS[key]) params.set(param, filters[key]);
+    else params.delete(param);
+  });
+  const search = params.toString();
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+};
+
+const countActiveFilters = (filters) => Object.keys(EMPTY_HISTORY_FILTERS).filter(key => filters[key] && filters[key] !== EMPTY_HISTORY_FILTERS[key]).length;
+
+/**
+ * Applies the history filters. A parent category also matches its subcategories; the date range is inclusive
+ * and the amount range is compared in the base currency (in the entry's own currency when it has no rate).
+ * @param {object[]} transactions - Entries from the expenses collection.
+ * @param {object} filters - See EMPTY_HISTORY_FILTERS.
+ * @param {object} context - { categories, categoryMap, baseCurrency, rates }.
+ * @returns {object[]} The matching entries, in their original order.
+ */
+const filterTransactions = (transactions, filters, { categories, categoryMap, baseCurrency, rates }) => {
+  const from = combineDateAndTime(filters.from, '00:00');
+  const toDay = combineDateAndTime(filters.to, '00:00');
+  const to = toDay && new Date(toDay.getFullYear(), toDay.getMonth(), toDay.getDate() + 1);
+  const min = parseFloat(filters.min);
+  const max = parseFloat(filters.max);
+  const category = filters.categoryId && categoryMap[filters.categoryId];
+  const categoryIds = category ? getCategoryFamilyIds(categories, category) : null;
+
+  return transactions.filter(t => {
+    if (filters.type !== 'all' && t.type !== filters.type) return false;
+    if (categoryIds && !categoryIds.includes(t.categoryId)) return false;
+    if (filters.source && t.source !== filters.source) return false;
+    if (filters.accountId && !touchesAccount(t, filters.accountId)) return false;
+    if (from && t.timestamp < from) return false;
+    if (to && t.timestamp >= to) return false;
+    if (Number.isFinite(min) || Number.isFinite(max)) {
+      const baseAmount = convertToBaseCurrency(t, baseCurrency, rates);
+      const amount = baseAmount !== null ? baseAmount : t.amount;
+      if (Number.isFinite(min) && amount < min) return false;
+      if (Number.isFinite(max) && amount > max) return false;
+    }
+    return matchesSearch(t, filters.q, categoryMap);
+  });
+};
+
+
+// --- Split Bill Helpers ---
+
+const SPLIT_METHODS = [
+  { code: 'equal', name: 'Equally' },
+  { code: 'shares', name: 'By Shares' },
+  { code: 'exact', name: 'Exact Amounts' },
+];
+const SPLIT_SELF = 'me'; // Stands for the user in split participants and split.paidBy; contacts use their document IDs
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+// Starting point when "Split this bill" is ticked: the user paid and is the only participant so far
+const emptySplitForm = () => ({ method: 'equal', paidBy: SPLIT_SELF, participants: [{ contactId: SPLIT_SELF, value: '1' }] });
+
+/**
+ * Divides an expense between the participants of a split.
+ * Equal and share splits are rounded to cents, with any rounding remainder given to the first participant so the parts add up.
+ * @param {number} amount - The full expense amount.
+ * @param {object} split - The split form ({ method, participants: [{ contactId, value }] }); value is a share count or an exact amount.
+ * @returns {object[]} The stored shares: [{ contactId, value, amount }].
+ */
+const resolveSplit = (amount, split) => {
+  const values = split.participants.map(p => (split.method === 'equal' ? 1 : parseFloat(p.value) || 0));
+  let parts;
+  if (split.method === 'exact') {
+    parts = values.map(roundToCents);
+  } else {
+    const totalWeight = values.reduce((sum, v) => sum + v, 0);
+    parts = values.map(v => (totalWeight > 0 ? roundToCents((amount * v) / totalWeight) : 0));
+    if (parts.length > 0) parts[0] = roundToCents(parts[0] + amount - parts.reduce((sum, p) => sum + p, 0));
+  }
+  return split.participants.map((p, i) => ({ contactId: p.contactId, value: values[i], amount: parts[i] }));
+};
+
+// Converts the split form into the split stored on the expense document
+const buildStoredSplit = (amount, split) => ({ method: split.method, paidBy: split.paidBy, shares: resolveSplit(amount, split) });
+
+// Converts a stored split back into the form state for editing
+const splitToForm = (split) => ({
+  method: split.method,
+  paidBy: split.paidBy,
+  participants: split.shares.map(s => ({ contactId: s.contactId, value: String(split.method === 'exact' ? s.amount : s.value) })),
+});
+
+/**
+ * Validates the split part of the expense form.
+ * @param {number} amount - The full expense amount.
+ * @param {object} split - The split form.
+ * @returns {string|null} An error message, or null if the split is valid.
+ */
+const validateSplit = (amount, split) => {
+  if (!split.participants.some(p => p.contactId !== SPLIT_SELF)) return 'Choose at least one person to split the bill with.';
+  if (split.paidBy !== SPLIT_SELF && !split.participants.some(p => p.contactId === SPLIT_SELF)) {
+    return 'Include yourself when someone else paid, otherwise the bill is not yours.';
+  }
+  if (split.method === 'shares' && split.participants.some(p => !(parseFloat(p.value) > 0))) return 'Every share must be greater than zero.';
+  if (split.method === 'exact') {
+    if (split.participants.some(p => !(parseFloat(p.value) >= 0))) return 'Please enter an amount for everyone in the split.';
+    const total = split.participants.reduce((sum, p) => sum + (parseFloat(p.value) || 0), 0);
+    if (Math.abs(total - amount) >= 0.005) return `The exact amounts add up to ${roundToCents(total)}, not ${amount}.`;
+  }
+  return null;
+};
+
+// The user's own spending in a transaction: their share of a split bill, otherwise the whole amount
+const ownAmount = (transaction) => {
+  if (!transaction.split) return transaction.amount;
+  const own = transaction.split.shares.find(s => s.contactId === SPLIT_SELF);
+  return own ? own.amount : 0;
+};
+
+/**
+ * Works out the running balance with each contact in the base currency.
+ * A positive balance means the contact owes the user; a negative one means the user owes the contact.
+ * Bills the user paid create debts for the other participants' shares, bills a contact paid create a debt for the
+ * user's share, and settlements move the balance back toward zero. Scheduled bills count once their date arrives.
+ * @returns {{ balances: object, unconverted: number }} Balances keyed by contact ID, and the number of entries without an exchange rate.
+ */
+const calculateBalances = (expenses, settlements, baseCurrency, rates, now = new Date()) => {
+  const balances = {};
+  let unconverted = 0;
+  const add = (contactId, value) => { balances[contactId] = (balances[contactId] || 0) + value; };
+  const rateFor = (entry) => findExchangeRate(entry.currencyCode || baseCurrency, baseCurrency, entry.timestamp, rates);
+
+  expenses.filter(t => t.split && !isScheduled(t, now)).forEach(t => {
+    const rate = rateFor(t);
+    if (rate === null) {
+      unconverted++;
+    } else if (t.split.paidBy === SPLIT_SELF) {
+      t.split.shares.filter(s => s.contactId !== SPLIT_SELF).forEach(s => add(s.contactId, s.amount * rate));
+    } else {
+      add(t.split.paidBy, -ownAmount(t) * rate);
+    }
+  });
+  settlements.forEach(s => {
+    const rate = rateFor(s);
+    if (rate === null) {
+      unconverted++;
+    } else {
+      // 'received': the contact paid the user back; 'paid': the user paid the contact
+      add(s.contactId, (s.direction === 'received' ? -1 : 1) * s.amount * rate);
+    }
+  });
+  Object.keys(balances).forEach(id => { balances[id] = roundToCents(balances[id]); });
+  return { balances, unconverted };
+};
+
+
+// --- Money Accounts ---
+
+const ACCOUNT_TYPES = [
+  { code: 'cash', name: 'Cash', icon: Banknote },
+  { code: 'bank', name: 'Bank Account', icon: Landmark },
+  { code: 'card', name: 'Card', icon: CreditCard },
+  { code: 'wallet', name: 'Wallet', icon: Wallet },
+];
+const getAccountType = (account) => ACCOUNT_TYPES.find(t => t.code === account.type) || ACCOUNT_TYPES[0];
+
+// Whether an entry moves money in an account: its own account, or either side of a transfer
+const touchesAccount = (transaction, accountId) => (transaction.type === 'transfer'
+  ? transaction.fromAccountId === accountId || transaction.toAccountId === accountId
+  : transaction.accountId === accountId);
+
+// How an entry moves money in an account, in the transaction's own currency: income adds, expenses subtract.
+// A split bill someone else paid never left the user's account, so it moves nothing. A transfer's fee leaves the
+// from-account on top of the amount.
+const accountMovement = (transaction, accountId) => {
+  if (transaction.type === 'transfer') {
+    if (transaction.fromAccountId === accountId) return -(transaction.amount + (parseFloat(transaction.fee) || 0));
+    return transaction.toAccountId === accountId ? transaction.amount : 0;
+  }
+  if (transaction.type === 'budget') return transaction.amount;
+  if (transaction.type === 'expense' && (!transaction.split || transaction.split.paidBy === SPLIT_SELF)) return -transaction.amount;
+  return 0;
+};
+
+/**
+ * Lists an account's entries oldest first with the running balance after each one, in the account's currency.
+ * Scheduled entries are left out until their date arrives, and entries in a currency without a rate to the account's are
+ * listed without changing the balance.
+ * @param {object} account - { id, openingBalance, currencyCode }.
+ * @param {object[]} transactions - All expense and income entries.
+ * @param {string} baseCurrency - Currency of entries and accounts that do not record one.
+ * @param {object[]} rates - The exchange-rate table.
+ * @returns {{ entries: object[], balance: number, unconverted: number }} Entries as { transaction, amount, balance } (amount is
+ *   null when it could not be converted), the closing balance and the number of unconverted entries.
+ */
+const buildAccountLedger = (account, transactions, baseCurrency, rates, now = new Date()) => {
+  const accountCurrency = account.currencyCode || baseCurrency;
+  let balance = parseFloat(account.openingBalance) || 0;
+  let unconverted = 0;
+  const entries = transactions
+    .filter(t => touchesAccount(t, account.id) && !isScheduled(t, now))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(t => {
+      const rate = findExchangeRate(t.currencyCode || baseCurrency, accountCurrency, t.timestamp, rates);
+      if (rate === null) {
+        unconverted++;
+        return { transaction: t, amount: null, balance };
+      }
+      const amount = roundToCents(accountMovement(t, account.id) * rate);
+      balance = roundToCents(balance + amount);
+      return { transaction: t, amount, balance };
+    });
+  return { entries, balance: roundToCents(balance), unconverted };
+};
+
+// Closing balance and unconverted count of every account, keyed by account ID
+const calculateAccountBalances = (accounts, transactions, baseCurrency, rates) => accounts.reduce((acc, account) => {
+  const { balance, unconverted } = buildAccountLedger(account, transactions, baseCurrency, rates);
+  acc[account.id] = { balance, unconverted };
+  return acc;
+}, {});
+
+// e.g. "HDFC Savings → Cash"
+const transferLabel = (transfer, accountMap) => (
+  `${accountMap[transfer.fromAccountId]?.name || 'Removed account'} → ${accountMap[transfer.toAccountId]?.name || 'Removed account'}`
+);
+
+// Blank state for the transfer modal: from the first account to the second, in the first account's currency
+const emptyTransferForm = (accounts, baseCurrency) => {
+  const now = new Date();
+  return {
+    amount: '',
+    fee: '',
+    fromAccountId: accounts[0]?.id || '',
+    toAccountId: accounts[1]?.id || '',
+    currencyCode: accounts[0]?.currencyCode || baseCurrency,
+    date: toDateInputValue(now),
+    time: toTimeInputValue(now),
+    note: '',
+    tagsText: '',
+  };
+};
+
+/**
+ * Validates the transfer modal form before it is written.
+ * @param {object} data - The form state ({ amount, fee, fromAccountId, toAccountId, date, time }).
+ * @returns {string|null} An error message, or null if the transfer is valid.
+ */
+const validateTransfer = (data) => {
+  const amount = parseFloat(data.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return 'Please enter an amount greater than zero.';
+  if (!data.fromAccountId || !data.toAccountId) return 'Please choose both accounts.';
+  if (data.fromAccountId === data.toAccountId) return 'Choose two different accounts.';
+  if (data.fee !== '' && !(parseFloat(data.fee) >= 0)) return 'The fee cannot be negative.';
+  if (!combineDateAndTime(data.date, data.time)) return 'Please enter a valid date.';
+  return null;
+};
+
+/**
+ * Groups the free-text sources of entries that are not linked to an account yet, for the migration screen.
+ * Sources differing only in case or surrounding spaces ("gpay", "GPay ") are one group.
+ * @param {object[]} transactions - All expense and income entries.
+ * @param {object[]} accounts - Existing accounts, used to suggest the one with the same name.
+ * @returns {object[]} [{ key, label, count, transactionIds, suggestedAccountId }], most used first.
+ */
+const collectUnlinkedSources = (transactions, accounts) => {
+  const groups = {};
+  transactions.filter(t => !t.accountId && (t.type === 'expense' || t.type === 'budget')).forEach(t => {
+    const label = (t.source || '').trim() || 'Unspecified';
+    const key = label.toLowerCase();
+    if (!groups[key]) groups[key] = { key, label, count: 0, transactionIds: [] };
+    groups[key].count++;
+    groups[key].transactionIds.push(t.id);
+  });
+  return Object.values(groups)
+    .map(group => ({ ...group, suggestedAccountId: accounts.find(a => a.name.trim().toLowerCase() === group.key)?.id || '' }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+
+// --- Savings Goals ---
+
+const MAX_LEFTOVER_CYCLES = 24; // Most ended cycles paid out to a goal at once, e.g. after a long time away
+
+// Whole calendar months from one date until another, e.g. Oct 19 -> Dec 31 is 2 and Oct 19 -> Nov 5 is 0
+const calendarMonthsUntil = (from, to) => (
+  (to.getFullYear() * 12 + to.getMonth()) - (from.getFullYear() * 12 + from.getMonth()) - (to.getDate() < from.getDate() ? 1 : 0)
+);
+
+/**
+ * Works out how far a goal has come and what it still needs.
+ * Contributions are counted in the base currency; scheduled ones count once their date arrives.
+ * @param {object} goal - { id, targetAmount, targetDate }.
+ * @param {object[]} contributions - All goal contributions.
+ * @param {string} baseCurrency - The budget currency.
+ * @param {object[]} rates - The exchange-rate table.
+ * @returns {{ saved: number, remaining: number, progress: number, monthsLeft: number|null, monthlyPace: number|null, overdue: boolean }}
+ *   progress is 0-1; monthlyPace is what must be saved each month (at least one) to reach the target by its date.
+ */
+const calculateGoalProgress = (goal, contributions, baseCurrency, rates, now = new Date()) => {
+  const saved = roundToCents(contributions
+    .filter(c => c.goalId === goal.id && !isScheduled(c, now))
+    .reduce((sum, c) => sum + (convertToBaseCurrency(c, baseCurrency, rates) || 0), 0));
+  const remaining = Math.max(0, roundToCents(goal.targetAmount - saved));
+  const progress = goal.targetAmount > 0 ? Math.min(1, saved / goal.targetAmount) : 0;
+  if (!goal.targetDate || remaining === 0) return { saved, remaining, progress, monthsLeft: null, monthlyPace: null, overdue: false };
+
+  const overdue = daysBetween(now, goal.targetDate) < 0;
+  const monthsLeft = Math.max(0, calendarMonthsUntil(now, goal.targetDate));
+  return { saved, remaining, progress, monthsLeft, monthlyPace: overdue ? null : roundToCents(remaining / Math.max(1, monthsLeft)), overdue };
+};
+
+// Budget left unspent in a cycle: the top-level category limits minus the spending logged in it, never negative
+const calculateCycleLeftover = (categories, entries, cycleConfig, cycle) => {
+  const budget = categories.filter(c => !c.parentId).reduce((sum, cat) => sum + calculateCategoryBudget(cat, categories, cycleConfig, cycle), 0);
+  const spent = entries
+    .filter(t => t.type === 'expense' && t.timestamp >= cycle.start && t.timestamp < cycle.end)
+    .reduce((sum, t) => sum + t.baseAmount, 0);
+  return Math.max(0, roundToCents(budget - spent));
+};
+
+// Blank state for the goal modal
+const emptyGoalForm = () => ({ name: '', targetAmount: '', targetDate: '', color: COLORS[0], leftoverShare: '' });
+
+
+// --- CSV Import Helpers ---
+
+const CSV_DATE_FORMATS = [
+  { code: 'YMD', name: 'YYYY-MM-DD' },
+  { code: 'DMY', name: 'DD/MM/YYYY' },
+  { code: 'MDY', name: 'MM/DD/YYYY' },
+];
+const CSV_SIGN_MODES = [
+  { code: 'signed', name: 'Negative amounts are expenses' },
+  { code: 'inverted', name: 'Positive amounts are expenses' },
+  { code: 'columns', name: 'Separate debit and credit columns' },
+  { code: 'indicator', name: 'Debit/credit indicator column' },
+];
+const WRITE_BATCH_SIZE = 450; // Firestore allows at most 500 writes per batch
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000; // Same amount within a day counts as a likely duplicate
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted fields, escaped quotes and CRLF line endings.
+ * @param {string} text - The raw file content.
+ * @param {string} delimiter - The field separator (',', ';' or '\t').
+ * @returns {string[][]} The non-empty rows.
+ */
+const parseCsv = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Strip the byte order mark some banks prepend
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Picks the delimiter that occurs most often in the first line
+const detectCsvDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  return [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+};
+
+/**
+ * Parses a bank-statement amount such as "1.234,56", "(12.50)", "-€ 4,00" or "99.00-".
+ * @param {string} raw - The cell value.
+ * @param {string} decimalSeparator - '.' or ','.
+ * @returns {number|null} The signed amount, or null if the cell holds no number.
+ */
+const parseImportAmount = (raw, decimalSeparator) => {
+  let str = String(raw || '').trim();
+  if (!str) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+  if (str.endsWith('-')) {
+    negative = true;
+    str = str.slice(0, -1);
+  }
+  if (str.includes('-')) negative = !negative;
+  str = str.replace(/[^\d.,]/g, ''); // Drops currency symbols, signs and thousands spaces/apostrophes
+
+  str = decimalSeparator === ','
+    ? str.replace(/\./g, '').replace(',', '.')
+    : str.replace(/,/g, '');
+
+  const value = parseFloat(str);
+  if (!Number.isFinite(value)) return null;
+  return negative ? -value : value;
+};
+
+/**
+ * Parses a bank-statement date in the given field order, with an optional "HH:MM" time.
+ * @param {string} raw - The cell value (any of '-', '/', '.' as separator).
+ * @param {string} format - 'YMD', 'DMY' or 'MDY'.
+ * @returns {Date|null} The local date, or null if it does not match the format.
+ */
+const parseImportDate = (raw, format) => {
+  const match = String(raw || '').trim().match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[ T](\d{1,2}):(\d{2}))?/);
+  if (!match) return null;
+  const [, a, b, c, hours, minutes] = match;
+  const [year, month, day] = format === 'YMD' ? [a, b, c] : (format === 'DMY' ? [c, b, a] : [c, a, b]);
+  const fullYear = year.length <= 2 ? 2000 + Number(year) : Number(year);
+
+  const date = new Date(fullYear, Number(month) - 1, Number(day), Number(hours) || 0, Number(minutes) || 0);
+  if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return null;
+  return date;
+};
+
+// Guesses the date field order from sample values, preferring DD/MM when ambiguous
+const guessDateFormat = (values) => {
+  const parts = values.map(v => String(v || '').trim().split(/[/.\- T]/)).filter(p => p.length >= 3);
+  if (parts.some(p => p[0].length === 4)) return 'YMD';
+  if (parts.some(p => Number(p[1]) > 12)) return 'MDY';
+  return 'DMY';
+};
+
+// Guesses the column mapping from the header row
+const guessCsvMapping = (header) => {
+  const find = (pattern) => header.findIndex(h => pattern.test(h.trim()));
+  const debitCol = find(/^(debit|withdrawals?|paid out)\b(?!\s*card)/i);
+  const creditCol = find(/^(credit|deposits?|paid in)\b(?!\s*card)/i);
+  // An exact "Amount" header wins; "Value" alone is accepted, but "Value Date" and the like are dates, not amounts
+  const exactAmountCol = find(/^amount$/i);
+  const amountCol = exactAmountCol !== -1 ? exactAmountCol : find(/^(transaction )?(amount|value)( \(.*\))?$/i);
+  return {
+    dateCol: Math.max(find(/date/i), 0),
+    descriptionCol: find(/desc|narration|details|memo|payee|particular|reference/i),
+    amountCol,
+    debitCol,
+    creditCol,
+    indicatorCol: find(/type|dr.?\/?.?cr/i),
+    signMode: amountCol === -1 && debitCol !== -1 && creditCol !== -1 ? 'columns' : 'signed',
+  };
+};
+
+/**
+ * Converts CSV records into import rows according to the column mapping.
+ * @param {string[][]} records - The data rows (header excluded).
+ * @param {object} mapping - Column indexes and parsing options.
+ * @returns {object[]} Rows of { key, timestamp, description, amount, type, error }.
+ */
+const buildImportRows = (records, mapping) => records.map((cells, index) => {
+  const cell = (col) => (col >= 0 ? (cells[col] || '').trim() : '');
+  const timestamp = parseImportDate(cell(mapping.dateCol), mapping.dateFormat);
+  const description = cell(mapping.descriptionCol);
+  let amount = null;
+  let type = 'expense';
+
+  if (mapping.signMode === 'columns') {
+    const debit = parseImportAmount(cell(mapping.debitCol), mapping.decimalSeparator);
+    const credit = parseImportAmount(cell(mapping.creditCol), mapping.decimalSeparator);
+    if (debit) {
+      amount = Math.abs(debit);
+    } else if (credit) {
+      amount = Math.abs(credit);
+      type = 'budget';
+    }
+  } else {
+    const value = parseImportAmount(cell(mapping.amountCol), mapping.decimalSeparator);
+    if (value !== null) {
+      amount = Math.abs(value);
+      if (mapping.signMode === 'signed') {
+        type = value < 0 ? 'expense' : 'budget';
+      } else if (mapping.signMode === 'inverted') {
+        type = value > 0 ? 'expense' : 'budget';
+      } else {
+        const indicator = cell(mapping.indicatorCol).toLowerCase();
+        type = indicator.startsWith((mapping.debitKeyword || 'dr').toLowerCase()) ? 'expense' : 'budget';
+      }
+    }
+  }
+
+  let error = null;
+  if (!timestamp) error = 'Unreadable date';
+  else if (!amount) error = 'Missing or zero amount';
+
+  return { key: index, timestamp, description, amount, type, error };
+});
+
+// Finds an existing entry with the same type and amount logged within a day of the imported row
+const findDuplicateTransaction = (row, existing) => existing.find(t => (
+  t.type === row.type
+  && Math.abs(t.amount - row.amount) < 0.005
+  && Math.abs(t.timestamp - row.timestamp) <= DUPLICATE_WINDOW_MS
+));
+
+
+// --- Export Helpers ---
+
+const EXPORT_FORMATS = [
+  { code: 'csv', name: 'CSV (Spreadsheet)' },
+  { code: 'json', name: 'JSON (Structured)' },
+  { code: 'ofx', name: 'OFX (Finance Software)' },
+];
+const EXPORT_TYPES = [
+  { code: 'all', name: 'All Transactions' },
+  { code: 'expense', name: 'Expenses Only' },
+  { code: 'budget', name: 'Income Only' },
+  { code: 'transfer', name: 'Transfers Only' },
+];
+
+/**
+ * Filters transactions by an inclusive local date range and type.
+ * @param {object[]} transactions - Entries of the expenses collection.
+ * @param {object} filter - { fromDate, toDate ('YYYY-MM-DD' or ''), type ('all', 'expense', 'budget' or 'transfer') }.
+ * @returns {object[]} The matching transactions, oldest first.
+ */
+const filterTransactionsForExport = (transactions, { fromDate, toDate, type }) => {
+  const from = fromDate ? combineDateAndTime(fromDate, '00:00') : null;
+  const to = toDate ? new Date(combineDateAndTime(toDate, '00:00').getTime() + 24 * 60 * 60 * 1000) : null;
+  return transactions
+    .filter(t => (type === 'all' || t.type === type)
+      && (!from || t.timestamp >= from)
+      && (!to || t.timestamp < to))
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+const escapeCsvField = (value) => {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCsv = (header, rows) => [header, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+
+const transactionCategoryName = (transaction, categoryMap) => {
+  if (transaction.type === 'transfer') return 'Transfer';
+  if (transaction.type !== 'expense') return categoryMap[transaction.categoryId]?.name || 'Income';
+  const category = categoryMap[transaction.categoryId];
+  return category ? categoryLabel(category, categoryMap) : 'Uncategorized';
+};
+
+const buildTransactionsCsv = (transactions, categoryMap, currencyCode, accountMap = {}) => toCsv(
+  ['Date', 'Type', 'Amount', 'Fee', 'Currency', 'Category', 'Source', 'Account', 'Note', 'Tags', 'ID'],
+  transactions.map(t => [
+    t.timestamp.toISOString(),
+    { expense: 'Expense', budget: 'Income', transfer: 'Transfer' }[t.type],
+    t.amount.toFixed(2),
+    t.fee ? t.fee.toFixed(2) : '',
+    t.currencyCode || currencyCode,
+    transactionCategoryName(t, categoryMap),
+    t.source || '',
+    t.type === 'transfer' ? transferLabel(t, accountMap) : accountMap[t.accountId]?.name || '',
+    t.note || '',
+    (t.tags || []).join(' '),
+    t.id,
+  ])
+);
+
+const buildCategoriesCsv = (categories) => toCsv(
+  ['Name', 'Kind', 'Base Limit', 'Frequency', 'Frequency Days', 'Color', 'Icon', 'ID', 'Parent ID'],
+  categories.map(cat => [
+    cat.name,
+    isIncomeCategory(cat) ? 'Income' : 'Expense',
+    cat.baseLimit ?? '',
+    cat.baseFrequency || '',
+    cat.baseFrequencyDays ?? '',
+    cat.color,
+    cat.icon || '',
+    cat.id,
+    cat.parentId || '',
+  ])
+);
+
+const buildSettingsCsv = (settings) => toCsv(['Setting', 'Value'], Object.entries(settings));
+
+const buildExportJson = (transactions, categories, settings, categoryMap) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  settings,
+  categories,
+  transactions: transactions.map(t => ({
+    ...t,
+    timestamp: t.timestamp.toISOString(),
+    categoryName: transactionCategoryName(t, categoryMap),
+  })),
+}, null, 2);
+
+const toOfxDate = (date) => `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}${pad2(date.getHours())}${pad2(date.getMinutes())}${pad2(date.getSeconds())}`;
+
+const escapeXml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Builds an OFX 2.x bank statement. Expenses become DEBIT and income CREDIT entries.
+ * @param {object[]} allTransactions - The transactions to include, oldest first. Transfers between the user's own
+ *   accounts are filtered out here, since they are neither a debit nor a credit of the statement.
+ * @param {object} categoryMap - Category lookup used for the MEMO field.
+ * @param {string} currencyCode - The statement currency.
+ * @returns {string} The OFX document.
+ */
+const buildOfx = (allTransactions, categoryMap, currencyCode) => {
+  const transactions = allTransactions.filter(t => t.type !== 'transfer');
+  const now = new Date();
+  const start = transactions[0]?.timestamp || now;
+  const end = transactions[transactions.length - 1]?.timestamp || now;
+  const balance = transactions.reduce((sum, t) => sum + (t.type === 'expense' ? -t.amount : t.amount), 0);
+
+  const entries = transactions.map(t => `
+          <STMTTRN>
+            <TRNTYPE>${t.type === 'expense' ? 'DEBIT' : 'CREDIT'}</TRNTYPE>
+            <DTPOSTED>${toOfxDate(t.timestamp)}</DTPOSTED>
+            <TRNAMT>${(t.type === 'expense' ? -t.amount : t.amount).toFixed(2)}</TRNAMT>
+            <FITID>${escapeXml(t.id)}</FITID>
+            <NAME>${escapeXml((t.source || '').slice(0, 32))}</NAME>
+            <MEMO>${escapeXml([transactionCategoryName(t, categoryMap), t.note].filter(Boolean).join(': '))}</MEMO>
+          </STMTTRN>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+  <SIGNONMSGSRSV1>
+    <SONRS>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <DTSERVER>${toOfxDate(now)}</DTSERVER>
+      <LANGUAGE>ENG</LANGUAGE>
+    </SONRS>
+  </SIGNONMSGSRSV1>
+  <BANKMSGSRSV1>
+    <STMTTRNRS>
+      <TRNUID>1</TRNUID>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <STMTRS>
+        <CURDEF>${currencyCode}</CURDEF>
+        <BANKACCTFROM>
+          <BANKID>FINTRACK</BANKID>
+          <ACCTID>${escapeXml(appId)}</ACCTID>
+          <ACCTTYPE>CHECKING</ACCTTYPE>
+        </BANKACCTFROM>
+        <BANKTRANLIST>
+          <DTSTART>${toOfxDate(start)}</DTSTART>
+          <DTEND>${toOfxDate(end)}</DTEND>${entries}
+        </BANKTRANLIST>
+        <LEDGERBAL>
+          <BALAMT>${balance.toFixed(2)}</BALAMT>
+          <DTASOF>${toOfxDate(now)}</DTASOF>
+        </LEDGERBAL>
+      </STMTRS>
+    </STMTTRNRS>
+  </BANKMSGSRSV1>
+</OFX>
+`;
+};
+
+// Triggers a browser download of generated text content
+const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Some browsers start the download asynchronously, so the URL must outlive the click
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+
+// --- Backup and Restore Helpers ---
+
+const BACKUP_FORMAT = 'fintrack-backup';
+const BACKUP_VERSION = 1;
+
+// Converts a stored or serialized timestamp (Date, ISO string, epoch ms or Firestore { seconds }) into a Date
+const reviveTimestamp = (value) => {
+  if (value instanceof Date) return value;
+  if (value && typeof value === 'object' && 'seconds' in value) return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Builds a versioned backup of the user's data.
+ * @param {object} data - { categories, expenses, recurring, exchangeRates, contacts, settlements, accounts, goals, goalContributions, settings }
+ *   as held in app state.
+ * @returns {string} The backup file content.
+ */
+const buildBackup = ({
+  categories, expenses, recurring, exchangeRates, contacts, settlements, accounts, goals, goalContributions, settings,
+}) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt: new Date().toISOString(),
+  appId,
+  data: {
+    settings,
+    categories,
+    expenses: expenses.map(t => ({ ...t, timestamp: t.timestamp.toISOString() })),
+    recurring: recurring.map(rule => ({
+      ...rule,
+      startDate: rule.startDate?.toISOString() || null,
+      endDate: rule.endDate?.toISOString() || null,
+      lastGeneratedDate: rule.lastGeneratedDate?.toISOString() || null,
+    })),
+    exchangeRates: exchangeRates.map(r => ({ ...r, effectiveDate: r.effectiveDate.toISOString() })),
+    contacts,
+    settlements: settlements.map(s => ({ ...s, timestamp: s.timestamp.toISOString() })),
+    accounts,
+    goals: goals.map(goal => ({
+      ...goal,
+      targetDate: goal.targetDate?.toISOString() || null,
+      leftoverCycleStart: goal.leftoverCycleStart?.toISOString() || null,
+    })),
+    goalContributions: goalContributions.map(c => ({ ...c, timestamp: c.timestamp.toISOString() })),
+  },
+}, null, 2);
+
+// Each migration upgrades the backup data from its key's version to the next one
+const BACKUP_MIGRATIONS = {
+  // v0: unversioned files (and JSON exports) whose categories may still use budgetLimit instead of baseLimit
+  0: (data) => ({
+    settings: data.settings || {},
+    categories: (data.categories || []).map(({ budgetLimit, ...cat }) => ({
+      ...cat,
+      baseLimit: parseFloat(cat.baseLimit) || parseFloat(budgetLimit) || 0,
+      baseFrequency: cat.baseFrequency || 'monthly',
+    })),
+    expenses: (data.expenses || data.transactions || []).map(({ categoryName, ...t }) => ({
+      ...t,
+      type: t.type || 'expense',
+    })),
+    recurring: data.recurring || [],
+    exchangeRates: data.exchangeRates || [],
+    contacts: data.contacts || [],
+    settlements: data.settlements || [],
+    accounts: data.accounts || [],
+    goals: data.goals || [],
+    goalContributions: data.goalContributions || [],
+  }),
+};
+
+/**
+ * Parses, migrates and validates a backup file.
+ * @param {string} text - The file content.
+ * @returns {{ data: object, version: number, skipped: number }} The current-schema data and the number of invalid entries dropped.
+ * @throws {Error} If the file is not a readable backup or was made by a newer version of the app.
+ */
+const parseBackupFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!file || typeof file !== 'object') throw new Error('The file does not contain a backup.');
+
+  const isVersioned = file.format === BACKUP_FORMAT;
+  const version = isVersioned ? file.version : 0;
+  if (!Number.isInteger(version) || version < 0) throw new Error('The backup version is not recognised.');
+  if (version > BACKUP_VERSION) throw new Error('This backup was made by a newer version of the app. Please update first.');
+
+  let data = isVersioned ? file.data : file;
+  if (!data || !Array.isArray(data.categories) || !(Array.isArray(data.expenses) || Array.isArray(data.transactions))) {
+    throw new Error('The backup is missing its categories or transactions.');
+  }
+  for (let v = version; v < BACKUP_VERSION; v++) {
+    data = BACKUP_MIGRATIONS[v](data);
+  }
+
+  const categories = data.categories.filter(cat => cat && typeof cat.name === 'string' && cat.name.trim());
+  const expenses = data.expenses
+    .map(t => ({ ...t, amount: parseFloat(t.amount), timestamp: reviveTimestamp(t.timestamp) }))
+    .filter(t => Number.isFinite(t.amount) && t.amount > 0 && t.timestamp && (
+      t.type === 'expense' || t.type === 'budget' || (t.type === 'transfer' && t.fromAccountId && t.toAccountId)
+    ));
+  const recurring = (data.recurring || [])
+    .map(rule => ({
+      ...rule,
+      startDate: reviveTimestamp(rule.startDate),
+      endDate: rule.endDate ? reviveTimestamp(rule.endDate) : null,
+      lastGeneratedDate: rule.lastGeneratedDate ? reviveTimestamp(rule.lastGeneratedDate) : null,
+    }))
+    .filter(rule => rule.startDate && Number.isFinite(parseFloat(rule.amount)));
+
+  const exchangeRates = (data.exchangeRates || [])
+    .map(r => ({ ...r, rate: parseFloat(r.rate), effectiveDate: reviveTimestamp(r.effectiveDate) }))
+    .filter(r => r.rate > 0 && r.effectiveDate && CURRENCIES[r.fromCurrency] && CURRENCIES[r.toCurrency]);
+
+  // Contacts, settlements, accounts and goals were added after version 1 was defined, so older files simply have none
+  const contacts = (data.contacts || []).filter(c => c && typeof c.name === 'string' && c.name.trim());
+  const settlements = (data.settlements || [])
+    .map(s => ({ ...s, amount: parseFloat(s.amount), timestamp: reviveTimestamp(s.timestamp) }))
+    .filter(s => Number.isFinite(s.amount) && s.amount > 0 && s.timestamp && s.contactId);
+  const accounts = (data.accounts || [])
+    .filter(a => a && typeof a.name === 'string' && a.name.trim())
+    .map(a => ({ ...a, openingBalance: parseFloat(a.openingBalance) || 0 }));
+  const goals = (data.goals || [])
+    .map(goal => ({
+      ...goal,
+      targetAmount: parseFloat(goal.targetAmount),
+      targetDate: goal.targetDate ? reviveTimestamp(goal.targetDate) : null,
+      leftoverCycleStart: goal.leftoverCycleStart ? reviveTimestamp(goal.leftoverCycleStart) : null,
+    }))
+    .filter(goal => typeof goal.name === 'string' && goal.name.trim() && goal.targetAmount > 0);
+  const goalContributions = (data.goalContributions || [])
+    .map(c => ({ ...c, amount: parseFloat(c.amount), timestamp: reviveTimestamp(c.timestamp) }))
+    .filter(c => Number.isFinite(c.amount) && c.amount > 0 && c.timestamp && c.goalId);
+
+  const skipped = (data.categories.length - categories.length) + (data.expenses.length - expenses.length)
+    + ((data.recurring || []).length - recurring.length) + ((data.exchangeRates || []).length - exchangeRates.length)
+    + ((data.contacts || []).length - contacts.length) + ((data.settlements || []).length - settlements.length)
+    + ((data.accounts || []).length - accounts.length) + ((data.goals || []).length - goals.length)
+    + ((data.goalContributions || []).length - goalContributions.length);
+  return {
+    data: { settings: data.settings || {}, categories, expenses, recurring, exchangeRates, contacts, settlements, accounts, goals, goalContributions },
+    version,
+    skipped,
+  };
+};
+
+// Strips the document id so the remaining fields can be written back to Firestore
+const withoutId = ({ id, ...fields }) => fields;
+
+/**
+ * Works out which writes a restore performs.
+ * In 'merge' mode, categories, contacts, accounts and goals matching an existing ID or name and transactions matching an existing ID
+ * or the same type, amount and time are skipped, and only settings missing locally are filled in.
+ * In 'replace' mode, everything current is deleted and the backup is written as-is.
+ * @param {object} backup - The parsed backup data.
+ * @param {object} current - { categories, expenses, recurring, exchangeRates, contacts, settlements, accounts, goals, goalContributions,
+ *   settings } from app state.
+ * @param {string} mode - 'merge' or 'replace'.
+ * @returns {object} The plan: documents to write and delete per collection, the settings to store and skip counts.
+ */
+const planRestore = (backup, current, mode) => {
+  if (mode === 'replace') {
+    // Documents the backup also holds are overwritten in place, so only the others are deleted
+    const missingFromBackup = (name) => {
+      const backupIds = new Set(backup[name].map(item => item.id));
+      return current[name].map(item => item.id).filter(id => !backupIds.has(id));
+    };
+    return {
+      mode,
+      deletes: STORE_COLLECTIONS.reduce((acc, name) => ({ ...acc, [name]: missingFromBackup(name) }), {}),
+      writes: {
+        categories: backup.categories,
+        expenses: backup.expenses,
+        recurring: backup.recurring,
+        exchangeRates: backup.exchangeRates,
+        contacts: backup.contacts,
+        settlements: backup.settlements,
+        accounts: backup.accounts,
+        goals: backup.goals,
+        goalContributions: backup.goalContributions,
+      },
+      settings: backup.settings,
+      settingsChanges: Object.keys(backup.settings).filter(key => backup.settings[key] !== current.settings[key]),
+      duplicates: 0,
+    };
+  }
+
+  // Backup category IDs are remapped onto existing categories with the same name so their transactions stay linked
+  const categoryIdMap = {};
+  const categories = backup.categories.filter(cat => {
+    const existing = current.categories.find(c => c.id === cat.id || (
+      isIncomeCategory(c) === isIncomeCategory(cat) && c.name.trim().toLowerCase() === cat.name.trim().toLowerCase()
+    ));
+    if (existing) categoryIdMap[cat.id] = existing.id;
+    return !existing;
+  }).map(cat => (cat.parentId ? { ...cat, parentId: categoryIdMap[cat.parentId] || cat.parentId } : cat));
+
+  // Contacts are matched the same way, and split bills and settlements follow the remapped IDs
+  const contactIdMap = {};
+  const contacts = backup.contacts.filter(contact => {
+    const existing = current.contacts.find(c => c.id === contact.id || c.name.trim().toLowerCase() === contact.name.trim().toLowerCase());
+    if (existing) contactIdMap[contact.id] = existing.id;
+    return !existing;
+  });
+  const remapContact = (id) => contactIdMap[id] || id;
+  const remapSplit = (split) => (split ? {
+    ...split,
+    paidBy: remapContact(split.paidBy),
+    shares: split.shares.map(share => ({ ...share, contactId: remapContact(share.contactId) })),
+  } : split);
+
+  // Accounts are matched by ID or name too, and entries and recurring rules follow them
+  const accountIdMap = {};
+  const accounts = backup.accounts.filter(account => {
+    const existing = current.accounts.find(a => a.id === account.id || a.name.trim().toLowerCase() === account.name.trim().toLowerCase());
+    if (existing) accountIdMap[account.id] = existing.id;
+    return !existing;
+  });
+  // Only fields the document has are remapped, so older entries do not gain undefined fields
+  const remapAccounts = (item, keys) => keys.reduce((acc, key) => (
+    item[key] ? { ...acc, [key]: accountIdMap[item[key]] || item[key] } : acc
+  ), item);
+
+  const existingIds = new Set(current.expenses.map(t => t.id));
+  const expenses = backup.expenses
+    .filter(t => !existingIds.has(t.id) && !current.expenses.some(c => (
+      c.type === t.type && Math.abs(c.amount - t.amount) < 0.005 && c.timestamp.getTime() === t.timestamp.getTime()
+    )))
+    .map(t => remapAccounts(
+      { ...t, categoryId: categoryIdMap[t.categoryId] || t.categoryId, split: remapSplit(t.split) },
+      ['accountId', 'fromAccountId', 'toAccountId']
+    ));
+
+  const existingRuleIds = new Set(current.recurring.map(r => r.id));
+  const recurring = backup.recurring
+    .filter(rule => !existingRuleIds.has(rule.id))
+    .map(rule => remapAccounts({ ...rule, categoryId: categoryIdMap[rule.categoryId] || rule.categoryId }, ['accountId']));
+
+  const exchangeRates = backup.exchangeRates.filter(r => !current.exchangeRates.some(c => (
+    c.id === r.id || (c.fromCurrency === r.fromCurrency && c.toCurrency === r.toCurrency && c.effectiveDate.getTime() === r.effectiveDate.getTime())
+  )));
+
+  const existingSettlementIds = new Set(current.settlements.map(s => s.id));
+  const settlements = backup.settlements
+    .filter(s => !existingSettlementIds.has(s.id))
+    .map(s => ({ ...s, contactId: remapContact(s.contactId) }));
+
+  // Goals are matched by ID or name, and contributions follow them
+  const goalIdMap = {};
+  const goals = backup.goals.filter(goal => {
+    const existing = current.goals.find(g => g.id === goal.id || g.name.trim().toLowerCase() === goal.name.trim().toLowerCase());
+    if (existing) goalIdMap[goal.id] = existing.id;
+    return !existing;
+  });
+  const existingContributionIds = new Set(current.goalContributions.map(c => c.id));
+  const goalContributions = backup.goalContributions
+    .filter(c => !existingContributionIds.has(c.id))
+    .map(c => ({ ...c, goalId: goalIdMap[c.goalId] || c.goalId }));
+
+  const settingsChanges = Object.keys(backup.settings).filter(key => current.settings[key] === undefined);
+  return {
+    mode,
+    deletes: {
+      categories: [], expenses: [], recurring: [], exchangeRates: [], contacts: [], settlements: [], accounts: [], goals: [], goalContributions: [],
+    },
+    writes: { categories, expenses, recurring, exchangeRates, contacts, settlements, accounts, goals, goalContributions },
+    settings: settingsChanges.reduce((acc, key) => ({ ...acc, [key]: backup.settings[key] }), {}),
+    settingsChanges,
+    duplicates: (backup.categories.length - categories.length) + (backup.expenses.length - expenses.length)
+      + (backup.recurring.length - recurring.length) + (backup.exchangeRates.length - exchangeRates.length)
+      + (backup.contacts.length - contacts.length) + (backup.settlements.length - settlements.length)
+      + (backup.accounts.length - accounts.length) + (backup.goals.length - goals.length)
+      + (backup.goalContributions.length - goalContributions.length),
+  };
+};
+
+/**
+ * Commits set/delete operations in chunks that respect Firestore's batch limit.
+ * Chunks are committed one after another, so a failure leaves a known prefix of the operations written; offline,
+ * each chunk waits for the one before it to reach the server.
+ * @param {object} db - The Firestore instance.
+ * @param {object[]} operations - Entries of { ref, data, merge } (set) or { ref, delete: true }.
+ * @returns {Promise} Resolves once the server has acknowledged every chunk.
+ * @throws {Error} The first rejected chunk's error, with committedCount set to the number of operations written before it.
+ */
+const commitInBatches = async (db, operations) => {
+  for (let start = 0; start < operations.length; start += WRITE_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    operations.slice(start, start + WRITE_BATCH_SIZE).forEach(op => {
+      if (op.delete) {
+        batch.delete(op.ref);
+      } else {
+        batch.set(op.ref, op.data, op.merge ? { merge: true } : {});
+      }
+    });
+    try {
+      await batch.commit();
+    } catch (e) {
+      e.committedCount = start;
+      throw e;
+    }
+  }
+};
+
+
+// --- Data Access Layer ---
+//
+// The CRUD handlers and data listeners in App talk to a "store" instead of calling Firestore directly.
+// Two backends implement the same interface:
+//   - createFirestoreStore: the user's Firestore path (used when __firebase_config is provided)
+//   - createLocalStore: an IndexedDB database for fully local, self-hosted use
+//
+// Store interface (collection names are relative to the user's data, e.g. 'expenses'):
+//   subscribe(name, onChange, onError)         -> unsubscribe; onChange({ docs: [{ id, data, pendingWrite }], hasPendingWrites })
+//   subscribeDoc(name, id, onChange, onError)  -> unsubscribe; onChange({ exists, data, hasPendingWrites })
+//   list(name) / get(name, id)                 -> Promise of [{ id, data }] / data or null (one-off reads)
+//   add(name, data) / set(name, id, data, { merge }) / update(name, id, fields) / remove(name, id) -> Promise
+//   commit(operations)                          -> Promise; operations are { collection, id, data, merge } or { collection, id, delete: true }
+//                                                  Firestore writes them in order, in chunks; a rejection's committedCount says how
+//                                                  many were written first. The local store writes all or nothing.
+//   transact(async ({ get, set, update }) => ...) -> Promise; all reads must happen before the writes
+// Data handed to listeners and transactions always carries plain Date objects for timestamps.
+//
+// Both backends share this interface so the handlers can be exercised without Firebase, e.g. against createLocalStore with
+// an in-memory IndexedDB or against the Firestore emulator (see __firebase_emulators). The repository has no package setup
+// or test runner, so no automated tests ship with it; those integration checks are left to a later change.
+
+// Converts Firestore Timestamps (anything with toDate) into Dates, recursively
+const reviveFirestoreData = (value) => {
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  if (Array.isArray(value)) return value.map(reviveFirestoreData);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).reduce((acc, key) => ({ ...acc, [key]: reviveFirestoreData(value[key]) }), {});
+  }
+  return value;
+};
+
+// The Firestore document that holds one user's data
+const userDataPath = (uid) => `artifacts/${appId}/users/${uid}`;
+
+/**
+ * Creates the Firestore-backed store for one user.
+ * @param {object} db - The Firestore instance.
+ * @param {string} basePath - The user's document path, see userDataPath.
+ * @returns {object} The store.
+ */
+const createFirestoreStore = (db, basePath) => {
+  const collectionRef = (name) => collection(db, `${basePath}/${name}`);
+  const docRef = (name, id) => (id ? doc(db, `${basePath}/${name}`, id) : doc(collectionRef(name)));
+  // Metadata changes are included so listeners fire again once pending local writes are acknowledged
+  const metadataOptions = { includeMetadataChanges: true };
+
+  return {
+    kind: 'firestore',
+    subscribe: (name, onChange, onError) => onSnapshot(query(collectionRef(name)), metadataOptions, (snapshot) => onChange({
+      docs: snapshot.docs.map(d => ({ id: d.id, data: reviveFirestoreData(d.data()), pendingWrite: d.metadata.hasPendingWrites })),
+      hasPendingWrites: snapshot.metadata.hasPendingWrites,
+    }), onError),
+    subscribeDoc: (name, id, onChange, onError) => onSnapshot(docRef(name, id), metadataOptions, (snapshot) => onChange({
+      exists: snapshot.exists(),
+      data: snapshot.exists() ? reviveFirestoreData(snapshot.data()) : null,
+      hasPendingWrites: snapshot.metadata.hasPendingWrites,
+    }), onError),
+    list: (name) => getDocs(collectionRef(name)).then(snapshot => snapshot.docs.map(d => ({ id: d.id, data: reviveFirestoreData(d.data()) }))),
+    get: (name, id) => getDoc(docRef(name, id)).then(snapshot => (snapshot.exists() ? reviveFirestoreData(snapshot.data()) : null)),
+    add: (name, data) => addDoc(collectionRef(name), data),
+    set: (name, id, data, options = {}) => setDoc(docRef(name, id), data, options.merge ? { merge: true } : {}),
+    update: (name, id, fields) => updateDoc(docRef(name, id), fields),
+    remove: (name, id) => deleteDoc(docRef(name, id)),
+    commit: (operations) => commitInBatches(db, operations.map(op => ({ ...op, ref: docRef(op.collection, op.id) }))),
+    transact: (fn) => runTransaction(db, (transaction) => fn({
+      get: async (name, id) => {
+        const snapshot = await transaction.get(docRef(name, id));
+        return snapshot.exists() ? reviveFirestoreData(snapshot.data()) : null;
+      },
+      set: (name, id, data) => transaction.set(docRef(name, id), data),
+      update: (name, id, fields) => transaction.update(docRef(name, id), fields),
+    })),
+  };
+};
+
+const LOCAL_DB_NAME = 'fintrack-local';
+const LOCAL_DB_VERSION = 1;
+const LOCAL_DOCUMENTS_STORE = 'documents'; // One object store keyed by [collection, id], so new collections need no schema upgrade
+const LOCAL_CHANNEL_NAME = 'fintrack-local-changes';
+const LOCAL_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Generates a Firestore-style 20 character document ID
+const generateLocalId = () => Array.from(crypto.getRandomValues(new Uint8Array(20)), b => LOCAL_ID_CHARS[b % LOCAL_ID_CHARS.length]).join('');
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openLocalDatabase = () => {
+  const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    if (!database.objectStoreNames.contains(LOCAL_DOCUMENTS_STORE)) {
+      const objectStore = database.createObjectStore(LOCAL_DOCUMENTS_STORE, { keyPath: ['collection', 'id'] });
+      objectStore.createIndex('collection', 'collection');
+    }
+  };
+  return idbRequest(request);
+};
+
+/**
+ * Creates the IndexedDB-backed store. Listeners are notified after every committed write,
+ * including writes made in other tabs (via BroadcastChannel), mirroring onSnapshot.
+ * @returns {object} The store.
+ */
+const createLocalStore = () => {
+  const databasePromise = openLocalDatabase();
+  const listeners = new Set(); // { name, notify }
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(LOCAL_CHANNEL_NAME) : null;
+  let transactionQueue = Promise.resolve(); // Serialises transact() calls within this tab
+
+  const readCollection = async (name) => {
+    const database = await databasePromise;
+    const records = await idbRequest(database.transaction(LOCAL_DOCUMENTS_STORE).objectStore(LOCAL_DOCUMENTS_STORE).index('collection').getAll(name));
+    return records.map(record => ({ id: record.id, data: record.data, pendingWrite: false }));
+  };
+
+  const readDocument = async (name, id) => {
+    const database = await databasePromise;
+    const record = await idbRequest(database.transaction(LOCAL_DOCUMENTS_STORE).objectStore(LOCAL_DOCUMENTS_STORE).get([name, id]));
+    return record ? record.data : null;
+  };
+
+  const notify = (names) => {
+    listeners.forEach(listener => {
+      if (names.includes(listener.name)) listener.notify();
+    });
+  };
+  if (channel) {
+    channel.onmessage = (event) => notify(event.data.collections || []);
+  }
+
+  // Applies all operations in one IndexedDB transaction, then notifies listeners here and in other tabs
+  const applyOperations = async (operations) => {
+    const database = await databasePromise;
+    const transaction = database.transaction(LOCAL_DOCUMENTS_STORE, 'readwrite');
+    const objectStore = transaction.objectStore(LOCAL_DOCUMENTS_STORE);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Local transaction aborted.'));
+    });
+
+    for (const op of operations) {
+      const id = op.id || generateLocalId();
+      if (op.delete) {
+        objectStore.delete([op.collection, id]);
+      } else if (op.merge || op.update) {
+        const existing = await idbRequest(objectStore.get([op.collection, id]));
+        if (op.update && !existing) {
+          done.catch(() => undefined); // The abort below rejects `done`; the thrown error is what callers see
+          transaction.abort();
+          throw new Error(`No document to update: ${op.collection}/${id}`);
+        }
+        objectStore.put({ collection: op.collection, id, data: { ...(existing ? existing.data : {}), ...op.data } });
+      } else {
+        objectStore.put({ collection: op.collection, id, data: op.data });
+      }
+    }
+    await done;
+
+    const collections = [...new Set(operations.map(op => op.collection))];
+    notify(collections);
+    if (channel) channel.postMessage({ collections });
+  };
+
+  const subscribeWith = (name, read, onChange, onError) => {
+    let active = true;
+    const listener = {
+      name,
+      notify: () => read().then(result => { if (active) onChange(result); }).catch(error => { if (active && onError) onError(error); }),
+    };
+    listeners.add(listener);
+    listener.notify();
+    return () => {
+      active = false;
+      listeners.delete(listener);
+    };
+  };
+
+  return {
+    kind: 'local',
+    subscribe: (name, onChange, onError) => subscribeWith(name, async () => ({
+      docs: await readCollection(name),
+      hasPendingWrites: false,
+    }), onChange, onError),
+    subscribeDoc: (name, id, onChange, onError) => subscribeWith(name, async () => {
+      const data = await readDocument(name, id);
+      return { exists: data !== null, data, hasPendingWrites: false };
+    }, onChange, onError),
+    list: (name) => readCollection(name).then(docs => docs.map(({ id, data }) => ({ id, data }))),
+    get: readDocument,
+    add: (name, data) => applyOperations([{ collection: name, data }]),
+    set: (name, id, data, options = {}) => applyOperations([{ collection: name, id, data, merge: !!options.merge }]),
+    update: (name, id, fields) => applyOperations([{ collection: name, id, data: fields, update: true }]),
+    remove: (name, id) => applyOperations([{ collection: name, id, delete: true }]),
+    commit: (operations) => applyOperations(operations),
+    transact: (fn) => {
+      // Reads go straight to IndexedDB; writes are buffered and applied together once fn resolves.
+      // navigator.locks (where available) keeps concurrent tabs from interleaving transactions.
+      const run = async () => {
+        const writes = [];
+        const result = await fn({
+          get: readDocument,
+          set: (name, id, data) => writes.push({ collection: name, id, data }),
+          update: (name, id, fields) => writes.push({ collection: name, id, data: fields, update: true }),
+        });
+        if (writes.length > 0) await applyOperations(writes);
+        return result;
+      };
+      const locked = () => (navigator.locks ? navigator.locks.request(LOCAL_CHANNEL_NAME, run) : run());
+      transactionQueue = transactionQueue.then(locked, locked);
+      return transactionQueue;
+    },
+  };
+};
+
+
+const STORE_COLLECTIONS = [
+  'categories', 'expenses', 'recurring', 'exchangeRates', 'contacts', 'settlements', 'accounts', 'goals', 'goalContributions',
+];
+
+// Reads everything a store holds into the shape planRestore expects
+const readStoreData = async (store) => {
+  const [categories, expenses, recurring, exchangeRates, contacts, settlements, accounts, goals, goalContributions] = await Promise.all(
+    STORE_COLLECTIONS.map(name => store.list(name).then(docs => docs.map(({ id, data }) => ({ id, ...data }))))
+  );
+  const settings = await store.get('settings', 'user_settings');
+  return { categories, expenses, recurring, exchangeRates, contacts, settlements, accounts, goals, goalContributions, settings: settings || {} };
+};
+
+// Turns a planRestore plan into store.commit operations; documents keep their original IDs.
+// The backup is written before anything is deleted, so a restore that stops part way never leaves data missing, and
+// running the same restore again completes it.
+const restorePlanOperations = (plan) => {
+  const operations = [];
+  STORE_COLLECTIONS.forEach(name => {
+    plan.writes[name].forEach(item => operations.push({ collection: name, id: item.id, data: withoutId(item) }));
+  });
+  if (plan.mode === 'replace' || plan.settingsChanges.length > 0) {
+    operations.push({ collection: 'settings', id: 'user_settings', data: plan.settings, merge: plan.mode === 'merge' });
+  }
+  STORE_COLLECTIONS.forEach(name => {
+    plan.deletes[name].forEach(id => operations.push({ collection: name, id, delete: true }));
+  });
+  return operations;
+};
+
+
+// --- Account Helpers ---
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/weak-password': 'The password must be at least 6 characters.',
+  'auth/wrong-password': 'The password is incorrect.',
+  'auth/invalid-credential': 'The email or password is incorrect.',
+  'auth/user-not-found': 'No account exists for that email.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+  'auth/popup-blocked': 'The browser blocked the sign-in window. Allow pop-ups and try again.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for the app.',
+  'auth/network-request-failed': 'Signing in needs a network connection.',
+  'auth/requires-recent-login': 'Please sign in again before changing your account.',
+};
+
+const describeAuthError = (error) => AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Something went wrong. Please try again.';
+
+// Linking fails with these codes when the identity already belongs to another (permanent) account
+const isAccountInUseError = (error) => ['auth/credential-already-in-use', 'auth/email-already-in-use'].includes(error?.code);
+
+// The parts of a Firebase user the UI needs
+const describeAuthUser = (user) => ({
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email,
+  label: user.isAnonymous ? `Guest ${user.uid.substring(0, 6)}` : (user.email || user.displayName || user.uid.substring(0, 8)),
+  providers: user.providerData.map(p => p.providerId),
+});
+
+
+// --- Shared Budget Helpers ---
+//
+// A shared budget is a document at artifacts/${appId}/budgets/{budgetId}:
+//   { name, ownerId, memberIds: [uid], members: { [uid]: { role, name, inviteCode? } }, createdAt }
+// Its data lives in the same subcollections as a personal budget, under the budget document.
+// Invites are documents at artifacts/${appId}/invites/{code}: { budgetId, budgetName, role, createdBy, createdAt }.
+// firestore.rules enforces the roles; these helpers only shape the writes the rules expect.
+
+const SHARED_ROLES = [
+  { code: 'owner', name: 'Owner' }, // Everything editors can do, plus managing members and invites
+  { code: 'editor', name: 'Editor' }, // Logs, edits and deletes entries and categories
+  { code: 'viewer', name: 'Viewer' }, // Read only
+];
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, so codes survive being read aloud
+const INVITE_CODE_LENGTH = 8;
+const INVITE_TTL_DAYS = 7; // Must match the expiry in firestore.rules
+const MAX_BUDGET_MEMBERS = 10; // Must match firestore.rules, which cannot loop over more members than it spells out
+
+const sharedBudgetsPath = () => `artifacts/${appId}/budgets`;
+const sharedBudgetPath = (budgetId) => `${sharedBudgetsPath()}/${budgetId}`;
+const invitePath = (code) => `artifacts/${appId}/invites/${code}`;
+
+const generateInviteCode = () => Array.from(crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH)), b => INVITE_CODE_CHARS[b % INVITE_CODE_CHARS.length]).join('');
+
+// Invite codes are typed by hand, so spacing, dashes and case are ignored
+const normalizeInviteCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const ACTIVE_BUDGET_STORAGE_KEY = 'fintrack-active-budget'; // The budget shown on this device is a per-device choice
+
+const canEditBudget = (role) => role === 'owner' || role === 'editor';
+
+// Live list of the shared budgets the user belongs to
+const subscribeToSharedBudgets = (db, uid, onChange, onError) => onSnapshot(
+  query(collection(db, sharedBudgetsPath()), where('memberIds', 'array-contains', uid)),
+  (snapshot) => onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name))),
+  onError
+);
+
+/**
+ * Creates a shared budget owned by the user.
+ * @returns {Promise<string>} The new budget ID.
+ */
+const createSharedBudget = async (db, uid, memberName, name) => {
+  const ref = await addDoc(collection(db, sharedBudgetsPath()), {
+    name: name.trim(),
+    ownerId: uid,
+    memberIds: [uid],
+    members: { [uid]: { role: 'owner', name: memberName } },
+    createdAt: new Date(),
+  });
+  return ref.id;
+};
+
+// createdAt is a server timestamp, so it is null until the write reaches the server
+const inviteExpiresAt = (invite) => invite.createdAt ? new Date(invite.createdAt.toMillis() + INVITE_TTL_DAYS * DAY_MS) : null;
+
+// Live list of the invites the user created for a budget, oldest first
+const subscribeToBudgetInvites = (db, budgetId, uid, onChange, onError) => onSnapshot(
+  query(collection(db, `artifacts/${appId}/invites`), where('budgetId', '==', budgetId), where('createdBy', '==', uid)),
+  (snapshot) => onChange(snapshot.docs.map(d => ({ code: d.id, ...d.data() })).sort((a, b) => (a.createdAt?.toMillis() ?? Infinity) - (b.createdAt?.toMillis() ?? Infinity))),
+  onError
+);
+
+/**
+ * Creates an invite code that grants the given role in a shared budget for INVITE_TTL_DAYS.
+ * @returns {Promise<string>} The invite code.
+ */
+const createBudgetInvite = async (db, budget, uid, role) => {
+  const code = generateInviteCode();
+  await setDoc(doc(db, invitePath(code)), {
+    budgetId: budget.id,
+    budgetName: budget.name,
+    role,
+    createdBy: uid,
+    createdAt: serverTimestamp(), // The rules date the expiry from the server's clock, not the device's
+  });
+  return code;
+};
+
+const revokeBudgetInvite = (db, code) => deleteDoc(doc(db, invitePath(code)));
+
+/**
+ * Adds the user to the budget an invite code points at, with the invite's role.
+ * @returns {Promise<string>} The joined budget ID.
+ * @throws {Error} If the code does not exist or has expired.
+ */
+const joinSharedBudget = async (db, uid, memberName, rawCode) => {
+  const code = normalizeInviteCode(rawCode);
+  const invite = code ? await getDoc(doc(db, invitePath(code))) : null;
+  if (!invite || !invite.exists()) throw new Error('That invite code is not valid.');
+  const expiresAt = inviteExpiresAt(invite.data());
+  if (expiresAt && expiresAt <= new Date()) throw new Error('That invite code has expired. Ask the owner for a new one.');
+  const { budgetId, role } = invite.data();
+  // The rules check the role and code against the invite, so a member can only add themselves
+  await updateDoc(doc(db, sharedBudgetPath(budgetId)), {
+    [`members.${uid}`]: { role, name: memberName, inviteCode: code },
+    memberIds: arrayUnion(uid),
+  });
+  return budgetId;
+};
+
+const updateBudgetMemberRole = (db, budgetId, uid, role) => updateDoc(doc(db, sharedBudgetPath(budgetId)), {
+  [`members.${uid}.role`]: role,
+});
+
+// Removes a member; members may also remove themselves to leave
+const removeBudgetMember = (db, budgetId, uid) => updateDoc(doc(db, sharedBudgetPath(budgetId)), {
+  [`members.${uid}`]: deleteField(),
+  memberIds: arrayRemove(uid),
+});
+
+
+// --- PWA Helper Functions and Constants ---
+
+// 1. Web Manifest JSON
+const PWA_MANIFEST = {
+  name: "Gemini Expense Tracker",
+  short_name: "FinTrack",
+  description: "Your personalized, mobile-first expense and budget manager.",
+  start_url: "/",
+  display: "standalone", // Makes it feel like a native app
+  background_color: "#f9fafb", // Match light theme background
+  theme_color: "#4f46e5", // Indigo theme color
+  icons: [
+    // Standard icon sizes for mobile/PWA
+    { src: 'https://placehold.co/192x192/4f46e5/ffffff?text=FT', sizes: '192x192', type: 'image/png' },
+    { src: 'https://placehold.co/512x512/4f46e5/ffffff?text=FT', sizes: '512x512', type: 'image/png' }
+  ]
+};
+
+// 2. Service Worker: the single worker lives in /service-worker.js (versioned precache, update prompt)
+const SERVICE_WORKER_URL = '/service-worker.js';
+
+// --- Supporting Components (Extracted for stability) ---
+
+const IconComponent = ({ name, size = 20, color = 'currentColor' }) => {
+  const LucideIcon = { Tag, Wallet, TrendingUp, DollarSign, Euro, PoundSterling, IndianRupee, Pencil, Home, BarChart, Settings }[name] || Tag;
+  return <LucideIcon size={size} color={color} />;
+};
+
+const Modal = ({ children, title, closeModal, wide = false }) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={closeModal}>
+    <div className={`bg-white dark:bg-gray-800 rounded-2xl w-full ${wide ? 'max-w-2xl max-h-[90vh] overflow-y-auto' : 'max-w-sm'} shadow-2xl transform transition-all duration-300 scale-100`} onClick={e => e.stopPropagation()}>
+      <div className="flex justify-between items-center p-5 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white">{title}</h3>
+        <button onClick={closeModal} className="p-2 text-gray-500 hover:text-gray-900 dark:hover:text-white transition rounded-full hover:bg-gray-100 dark:hover:bg-gray-700">
+          <X size={20} />
+        </button>
+      </div>
+      <div className="p-5">
+        {children}
+      </div>
+    </div>
+  </div>
+);
+
+// Amount input with a currency picker, shared by the expense and income modals
+const AmountWithCurrency = ({ value, onChange, placeholder, focusClass }) => (
+  <div className="flex space-x-2">
+    <input
+      type="number"
+      placeholder={placeholder}
+      value={value.amount}
+      onChange={(e) => onChange({ ...value, amount: e.target.value })}
+      className={`flex-grow min-w-0 p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+      required
+      step="0.01"
+      min="0"
+    />
+    <select
+      value={value.currencyCode}
+      onChange={(e) => onChange({ ...value, currencyCode: e.target.value })}
+      className={`w-24 p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+      aria-label="Currency"
+    >
+      {Object.entries(CURRENCIES).map(([code, { symbol }]) => (
+        <option key={code} value={code}>{symbol} {code}</option>
+      ))}
+    </select>
+  </div>
+);
+
+const DateTimeFields = ({ value, onChange, focusClass }) => (
+  <div className="flex space-x-2">
+    <input
+      type="date"
+      value={value.date}
+      onChange={(e) => onChange({ ...value, date: e.target.value })}
+      className={`w-3/5 p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+      required
+      aria-label="Date"
+    />
+    <input
+      type="time"
+      value={value.time}
+      onChange={(e) => onChange({ ...value, time: e.target.value })}
+      className={`w-2/5 p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+      aria-label="Time"
+    />
+  </div>
+);
+
+// Account the money moved through; hidden until the user has created an account on the Manage tab
+const AccountSelect = ({ value, onChange, accounts, focusClass }) => {
+  if (accounts.length === 0) return null;
+  return (
+    <select
+      value={value.accountId || ''}
+      onChange={(e) => onChange({ ...value, accountId: e.target.value })}
+      className={`w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+      aria-label="Account"
+    >
+      <option value="">No account</option>
+      {accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+    </select>
+  );
+};
+
+// Optional free-text note and tags for the expense/income modals
+const NoteAndTagsFields = ({ value, onChange, focusClass }) => (
+  <>
+    <input
+      type="text"
+      placeholder="Note (optional, e.g., dinner with client)"
+      value={value.note}
+      onChange={(e) => onChange({ ...value, note: e.target.value })}
+      className={`w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+    />
+    <input
+      type="text"
+      placeholder="Tags (optional, e.g., #trip-goa, work)"
+      value={value.tagsText}
+      onChange={(e) => onChange({ ...value, tagsText: e.target.value })}
+      className={`w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+    />
+  </>
+);
+
+// Shown in the modals when the chosen date lies in the future
+const ScheduledHint = ({ date, time }) => {
+  const timestamp = combineDateAndTime(date, time);
+  if (!timestamp || timestamp <= new Date()) return null;
+  return <p className="text-xs text-amber-600 dark:text-amber-400">This entry is future-dated and will be marked as scheduled until {timestamp.toLocaleDateString()}.</p>;
+};
+
+/**
+ * Validates the form data of a recurring rule before it is written.
+ * @param {object} data - The recurring modal form state.
+ * @returns {string|null} An error message, or null if the rule is valid.
+ */
+const validateRecurringRule = (data) => {
+  const amount = parseFloat(data.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return 'Please enter an amount greater than zero.';
+  if (data.type === 'expense' && !data.categoryId) return 'Please select a category.';
+  if (!(parseInt(data.every, 10) >= 1)) return 'The interval must be at least 1.';
+  const start = combineDateAndTime(data.startDate, '00:00');
+  if (!start) return 'Please enter a valid start date.';
+  if (data.endType === 'until') {
+    const end = combineDateAndTime(data.endDate, '23:59');
+    if (!end || end < start) return 'The end date must be on or after the start date.';
+  }
+  if (data.endType === 'count' && !(parseInt(data.occurrenceCount, 10) >= 1)) return 'The number of occurrences must be at least 1.';
+  return null;
+};
+
+const FormError = ({ message }) => (
+  message ? (
+    <p className="text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900 p-2 rounded-lg">{message}</p>
+  ) : null
+);
+
+// Split section of the expense modal; contacts are managed on the Balances tab
+const SplitFields = ({ value, onChange, contacts }) => {
+  const split = value.split;
+  if (contacts.length === 0) {
+    return <p className="text-xs text-gray-500 dark:text-gray-400">Add people on the Balances tab to split bills with them.</p>;
+  }
+
+  const setSplit = (changes) => onChange({ ...value, split: { ...split, ...changes } });
+  const people = [{ id: SPLIT_SELF, name: 'You' }, ...contacts];
+  const participantFor = (id) => split?.participants.find(p => p.contactId === id);
+  const toggleParticipant = (id) => setSplit({
+    participants: participantFor(id)
+      ? split.participants.filter(p => p.contactId !== id)
+      : [...split.participants, { contactId: id, value: split.method === 'exact' ? '' : '1' }],
+  });
+  const setParticipantValue = (id, participantValue) => setSplit({
+    participants: split.participants.map(p => (p.contactId === id ? { ...p, value: participantValue } : p)),
+  });
+
+  const amount = parseFloat(value.amount);
+  const preview = split && Number.isFinite(amount) && amount > 0
+    ? resolveSplit(amount, split).reduce((acc, s) => ({ ...acc, [s.contactId]: s.amount }), {})
+    : {};
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={!!split}
+          onChange={(e) => onChange({ ...value, split: e.target.checked ? emptySplitForm() : null })}
+          className="mr-2"
+        />
+        Split this bill
+      </label>
+      {split && (
+        <div className="p-3 space-y-3 bg-gray-50 dark:bg-gray-700 rounded-xl">
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-700 dark:text-gray-300">Paid by</span>
+            <select
+              value={split.paidBy}
+              onChange={(e) => setSplit({ paidBy: e.target.value })}
+              className="p-1.5 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white"
+            >
+              {people.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          </div>
+          <div className="flex space-x-1">
+            {SPLIT_METHODS.map(m => (
+              <button
+                type="button"
+                key={m.code}
+                onClick={() => setSplit({ method: m.code })}
+                className={`flex-1 p-1.5 text-xs font-semibold rounded-lg transition ${split.method === m.code ? 'bg-pink-600 text-white' : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300'}`}
+              >
+                {m.name}
+              </button>
+            ))}
+          </div>
+          {people.map(p => {
+            const participant = participantFor(p.id);
+            return (
+              <div key={p.id} className="flex items-center justify-between text-sm">
+                <label className="flex items-center text-gray-800 dark:text-gray-200">
+                  <input type="checkbox" checked={!!participant} onChange={() => toggleParticipant(p.id)} className="mr-2" />
+                  {p.name}
+                </label>
+                <div className="flex items-center space-x-2">
+                  {participant && split.method !== 'equal' && (
+                    <input
+                      type="number"
+                      value={participant.value}
+                      onChange={(e) => setParticipantValue(p.id, e.target.value)}
+                      placeholder={split.method === 'shares' ? 'Shares' : 'Amount'}
+                      className="w-24 p-1.5 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white"
+                      step={split.method === 'shares' ? '1' : '0.01'}
+                      min="0"
+                    />
+                  )}
+                  {participant && preview[p.id] !== undefined && (
+                    <span className="w-20 text-right text-xs text-gray-500 dark:text-gray-400">{formatCurrency(preview[p.id], value.currencyCode)}</span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          <p className="text-xs text-gray-500 dark:text-gray-400">Only your share counts against the category budget.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Category <option>s grouped under their parents; a parent stays selectable for spending that fits none of its subcategories
+const CategoryOptions = ({ categories }) => groupCategories(categories).map(({ parent, children }) => (
+  children.length === 0 ? (
+    <option key={parent.id} value={parent.id}>{parent.name}</option>
+  ) : (
+    <optgroup key={parent.id} label={parent.name}>
+      <option value={parent.id}>{parent.name} (general)</option>
+      {children.map(child => <option key={child.id} value={child.id}>{child.name}</option>)}
+    </optgroup>
+  )
+));
+
+// Switches an entry being edited between expense and income
+const EditTypeToggle = ({ type, onSwitch }) => (
+  <div className="flex space-x-2">
+    {[{ code: 'expense', name: 'Expense', active: 'bg-pink-600' }, { code: 'budget', name: 'Income', active: 'bg-indigo-600' }].map(t => (
+      <button
+        type="button"
+        key={t.code}
+        onClick={() => t.code !== type && onSwitch(t.code)}
+        className={`w-1/2 p-2 text-sm rounded-xl font-semibold transition ${type === t.code ? `${t.active} text-white` : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+      >
+        {t.name}
+      </button>
+    ))}
+  </div>
+);
+
+const AddExpenseModal = ({ newExpense, setNewExpense, handleModalSubmit, closeModal, categories, contacts, accounts, isEditing = false, onSwitchType, error }) => (
+  <Modal title={isEditing ? 'Edit Expense' : 'Log New Expense'} closeModal={closeModal}>
+    <form onSubmit={handleModalSubmit} className="space-y-4">
+      <FormError message={error} />
+      {isEditing && <EditTypeToggle type="expense" onSwitch={onSwitchType} />}
+      <AmountWithCurrency value={newExpense} onChange={setNewExpense} placeholder="Amount Spent" focusClass="focus:ring-pink-500 focus:border-pink-500" />
+      <select
+        value={newExpense.categoryId}
+        onChange={(e) => setNewExpense({ ...newExpense, categoryId: e.target.value })}
+        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-pink-500 focus:border-pink-500"
+        required
+      >
+        <option value="" disabled>Select Category</option>
+        <CategoryOptions categories={categories} />
+      </select>
+      <AccountSelect value={newExpense} onChange={setNewExpense} accounts={accounts} focusClass="focus:ring-pink-500 focus:border-pink-500" />
+      <input
+        type="text"
+        placeholder={accounts.length > 0 ? 'Description (e.g., Swiggy, Metro recharge)' : 'Source (e.g., Google Pay, Cash)'}
+        value={newExpense.source}
+        onChange={(e) => setNewExpense({ ...newExpense, source: e.target.value })}
+        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-pink-500 focus:border-pink-500"
+      />
+      <DateTimeFields value={newExpense} onChange={setNewExpense} focusClass="focus:ring-pink-500 focus:border-pink-500" />
+      <NoteAndTagsFields value={newExpense} onChange={setNewExpense} focusClass="focus:ring-pink-500 focus:border-pink-500" />
+      <ScheduledHint date={newExpense.date} time={newExpense.time} />
+      <SplitFields value={newExpense} onChange={setNewExpense} contacts={contacts} />
+      <button type="submit" className="w-full bg-pink-600 text-white p-3 rounded-xl font-semibold hover:bg-pink-700 transition">
+        {isEditing ? 'Save Changes' : 'Record Expense'}
+      </button>
+    </form>
+  </Modal>
+);
+
+const AddBudgetModal = ({ newBudget, setNewBudget, handleModalSubmit, closeModal, incomeCategories, accounts, isEditing = false, onSwitchType, error }) => (
+  <Modal title={isEditing ? 'Edit Income' : 'Log New Income'} closeModal={closeModal}>
+    <form onSubmit={handleModalSubmit} className="space-y-4">
+      <FormError message={error} />
+      {isEditing && <EditTypeToggle type="budget" onSwitch={onSwitchType} />}
+      <AmountWithCurrency value={newBudget} onChange={setNewBudget} placeholder="Income Amount" focusClass="focus:ring-indigo-500 focus:border-indigo-500" />
+      {incomeCategories.length > 0 && (
+        <select
+          value={newBudget.categoryId}
+          onChange={(e) => setNewBudget({ ...newBudget, categoryId: e.target.value })}
+          className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+          aria-label="Income category"
+        >
+          <option value="">Uncategorized Income</option>
+          {incomeCategories.map(cat => <option key={cat.id} value={cat.id}>{cat.name}</option>)}
+        </select>
+      )}
+      <input
+        type="text"
+        placeholder={newBudget.categoryId ? 'Source (optional, e.g., Acme Corp)' : 'Source (e.g., Salary, Gift, Borrowed)'}
+        value={newBudget.source}
+        onChange={(e) => setNewBudget({ ...newBudget, source: e.target.value })}
+        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+        required={!newBudget.categoryId}
+      />
+      <AccountSelect value={newBudget} onChange={setNewBudget} accounts={accounts} focusClass="focus:ring-indigo-500 focus:border-indigo-500" />
+      <DateTimeFields value={newBudget} onChange={setNewBudget} focusClass="focus:ring-indigo-500 focus:border-indigo-500" />
+      <NoteAndTagsFields value={newBudget} onChange={setNewBudget} focusClass="focus:ring-indigo-500 focus:border-indigo-500" />
+      <ScheduledHint date={newBudget.date} time={newBudget.time} />
+      <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
+        {isEditing ? 'Save Changes' : 'Record Income'}
+      </button>
+    </form>
+  </Modal>
+);
+
+// Moves money between two accounts; transfers change balances only, never income or expenses
+const TransferModal = ({ newTransfer, setNewTransfer, handleModalSubmit, closeModal, accounts, isEditing = false, error }) => {
+  const inputClass = "w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-sky-500 focus:border-sky-500";
+  const accountSelect = (field, label) => (
+    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+      {label}
+      <select
+        value={newTransfer[field]}
+        onChange={(e) => setNewTransfer({ ...newTransfer, [field]: e.target.value })}
+        className={`${inputClass} mt-1`}
+        required
+      >
+        <option value="" disabled>Select Account</option>
+        {accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+      </select>
+    </label>
+  );
+
+  return (
+    <Modal title={isEditing ? 'Edit Transfer' : 'Transfer Between Accounts'} closeModal={closeModal}>
+      <form onSubmit={handleModalSubmit} className="space-y-4">
+        <FormError message={error} />
+        <AmountWithCurrency value={newTransfer} onChange={setNewTransfer} placeholder="Amount Moved" focusClass="focus:ring-sky-500 focus:border-sky-500" />
+        <div className="grid grid-cols-2 gap-2">
+          {accountSelect('fromAccountId', 'From')}
+          {accountSelect('toAccountId', 'To')}
+        </div>
+        <input
+          type="number"
+          placeholder="Fee (optional, charged to the From account)"
+          value={newTransfer.fee}
+          onChange={(e) => setNewTransfer({ ...newTransfer, fee: e.target.value })}
+          className={inputClass}
+          step="0.01"
+          min="0"
+        />
+        <DateTimeFields value={newTransfer} onChange={setNewTransfer} focusClass="focus:ring-sky-500 focus:border-sky-500" />
+        <NoteAndTagsFields value={newTransfer} onChange={setNewTransfer} focusClass="focus:ring-sky-500 focus:border-sky-500" />
+        <ScheduledHint date={newTransfer.date} time={newTransfer.time} />
+        <button type="submit" className="w-full bg-sky-600 text-white p-3 rounded-xl font-semibold hover:bg-sky-700 transition">
+          {isEditing ? 'Save Changes' : 'Record Transfer'}
+        </button>
+      </form>
+    </Modal>
+  );
+};
+
+// Budget frequency, plus the day count for custom "every N days" budgets, shared by the create and edit category forms
+const FrequencyFields = ({ frequency, days, onChange, inputClass }) => (
+  <div className="flex space-x-2">
+    <select
+      value={frequency}
+      onChange={(e) => onChange({ frequency: e.target.value, days })}
+      className={`flex-grow ${inputClass}`}
+      aria-label="Budget Frequency"
+      required
+    >
+      {FREQUENCIES.map(f => <option key={f.code} value={f.code}>{f.name}</option>)}
+    </select>
+    {frequency === 'custom' && (
+      <input
+        type="number"
+        placeholder="Days"
+        value={days}
+        onChange={(e) => onChange({ frequency, days: e.target.value })}
+        className={`w-24 ${inputClass}`}
+        step="1"
+        min="1"
+        required
+      />
+    )}
+  </div>
+);
+
+// Rollover mode and optional cap, shared by the create and edit category forms
+const RolloverFields = ({ mode, cap, onChange, inputClass }) => (
+  <div className="flex space-x-2">
+    <select
+      value={mode}
+      onChange={(e) => onChange({ mode: e.target.value, cap })}
+      className={`flex-grow ${inputClass}`}
+      aria-label="Rollover"
+    >
+      {ROLLOVER_MODES.map(m => <option key={m.code} value={m.code}>{m.name}</option>)}
+    </select>
+    {mode !== 'none' && (
+      <input
+        type="number"
+        placeholder="Cap (optional)"
+        value={cap}
+        onChange={(e) => onChange({ mode, cap: e.target.value })}
+        className={`w-32 ${inputClass}`}
+        step="0.01"
+        min="0"
+      />
+    )}
+  </div>
+);
+
+const AddCategoryModal = ({ newCategory, setNewCategory, handleModalSubmit, closeModal, categories }) => (
+  <Modal title="Create New Budget Category" closeModal={closeModal}>
+    <form onSubmit={handleModalSubmit} className="space-y-4">
+      <input
+        type="text"
+        placeholder="Category Name (e.g., Groceries, Rent)"
+        value={newCategory.name}
+        onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+        required
+      />
+      <select
+        value={newCategory.parentId}
+        onChange={(e) => setNewCategory({ ...newCategory, parentId: e.target.value })}
+        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+        aria-label="Parent Category"
+      >
+        <option value="">No Parent (Top-Level Category)</option>
+        {categories.filter(c => !c.parentId).map(c => <option key={c.id} value={c.id}>Subcategory of {c.name}</option>)}
+      </select>
+      <input
+        type="number"
+        placeholder="Base Budget Amount (e.g., $100)"
+        value={newCategory.baseLimit}
+        onChange={(e) => setNewCategory({ ...newCategory, baseLimit: e.target.value })}
+        className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+        required
+        step="0.01"
+        min="0"
+      />
+      <FrequencyFields
+        frequency={newCategory.baseFrequency}
+        days={newCategory.baseFrequencyDays}
+        onChange={({ frequency, days }) => setNewCategory({ ...newCategory, baseFrequency: frequency, baseFrequencyDays: days })}
+        inputClass="p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <RolloverFields
+        mode={newCategory.rolloverMode}
+        cap={newCategory.rolloverCap}
+        onChange={({ mode, cap }) => setNewCategory({ ...newCategory, rolloverMode: mode, rolloverCap: cap })}
+        inputClass="p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Color Selection</h4>
+      <div className="flex space-x-2 overflow-x-auto pb-2">
+        {COLORS.map(color => (
+          <button
+            type="button"
+            key={color}
+            style={{ backgroundColor: color }}
+            className={`w-10 h-10 rounded-full flex-shrink-0 transition ${newCategory.color === color ? 'ring-4 ring-offset-2 ring-indigo-500' : ''}`}
+            onClick={() => setNewCategory({ ...newCategory, color })}
+            aria-label={`Select color ${color}`}
+          ></button>
+        ))}
+      </div>
+      <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
+        Create Category
+      </button>
+    </form>
+  </Modal>
+);
+
+const AddRecurringModal = ({ newRule, setNewRule, handleModalSubmit, closeModal, categories, incomeCategories, accounts, isEditing = false, error }) => {
+  const inputClass = "w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500";
+  return (
+    <Modal title={isEditing ? 'Edit Recurring Rule' : 'New Recurring Rule'} closeModal={closeModal}>
+      <form onSubmit={handleModalSubmit} className="space-y-4">
+        <FormError message={error} />
+        <div className="flex space-x-2">
+          {[{ code: 'expense', name: 'Expense' }, { code: 'budget', name: 'Income' }].map(t => (
+            <button
+              type="button"
+              key={t.code}
+              onClick={() => setNewRule({ ...newRule, type: t.code, categoryId: t.code === 'expense' ? (categories[0]?.id || '') : '' })}
+              className={`w-1/2 p-2 rounded-xl font-semibold transition ${newRule.type === t.code ? 'bg-indigo-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+            >
+              {t.name}
+            </button>
+          ))}
+        </div>
+        <AmountWithCurrency value={newRule} onChange={setNewRule} placeholder="Amount" focusClass="focus:ring-indigo-500 focus:border-indigo-500" />
+        {newRule.type === 'expense' && (
+          <select
+            value={newRule.categoryId}
+            onChange={(e) => setNewRule({ ...newRule, categoryId: e.target.value })}
+            className={inputClass}
+            required
+          >
+            <option value="" disabled>Select Category</option>
+            <CategoryOptions categories={categories} />
+          </select>
+        )}
+        {newRule.type === 'budget' && incomeCategories.length > 0 && (
+          <select
+            value={newRule.categoryId}
+            onChange={(e) => setNewRule({ ...newRule, categoryId: e.target.value })}
+            className={inputClass}
+            aria-label="Income category"
+          >
+            <option value="">Uncategorized Income</option>
+            {incomeCategories.map(cat => <option key={cat.id} value={cat.id}>{cat.name}</option>)}
+          </select>
+        )}
+        <input
+          type="text"
+          placeholder={newRule.type === 'expense' ? 'Source (e.g., Rent, Netflix)' : 'Source (e.g., Salary)'}
+          value={newRule.source}
+          onChange={(e) => setNewRule({ ...newRule, source: e.target.value })}
+          className={inputClass}
+        />
+        <AccountSelect value={newRule} onChange={setNewRule} accounts={accounts} focusClass="focus:ring-indigo-500 focus:border-indigo-500" />
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-gray-700 dark:text-gray-300">Every</span>
+          <input
+            type="number"
+            value={newRule.every}
+            onChange={(e) => setNewRule({ ...newRule, every: e.target.value })}
+            className={`${inputClass} w-20`}
+            min="1"
+            step="1"
+            required
+            aria-label="Repeat every"
+          />
+          <select
+            value={newRule.interval}
+            onChange={(e) => setNewRule({ ...newRule, interval: e.target.value })}
+            className={inputClass}
+            aria-label="Repeat interval"
+          >
+            {RECURRENCE_INTERVALS.map(i => <option key={i.code} value={i.code}>{i.plural}</option>)}
+          </select>
+        </div>
+        <label className="block text-sm text-gray-700 dark:text-gray-300">
+          Starts On
+          <input
+            type="date"
+            value={newRule.startDate}
+            onChange={(e) => setNewRule({ ...newRule, startDate: e.target.value })}
+            className={`${inputClass} mt-1`}
+            required
+          />
+        </label>
+        <select
+          value={newRule.endType}
+          onChange={(e) => setNewRule({ ...newRule, endType: e.target.value })}
+          className={inputClass}
+          aria-label="End condition"
+        >
+          {RECURRENCE_END_TYPES.map(t => <option key={t.code} value={t.code}>{t.name}</option>)}
+        </select>
+        {newRule.endType === 'until' && (
+          <input
+            type="date"
+            value={newRule.endDate}
+            onChange={(e) => setNewRule({ ...newRule, endDate: e.target.value })}
+            className={inputClass}
+            required
+            aria-label="End date"
+          />
+        )}
+        {newRule.endType === 'count' && (
+          <input
+            type="number"
+            placeholder="Number of Occurrences"
+            value={newRule.occurrenceCount}
+            onChange={(e) => setNewRule({ ...newRule, occurrenceCount: e.target.value })}
+            className={inputClass}
+            min="1"
+            step="1"
+            required
+          />
+        )}
+        <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
+          {isEditing ? 'Save Changes' : 'Create Rule'}
+        </button>
+      </form>
+    </Modal>
+  );
+};
+
+const ImportCsvModal = ({ categories, accounts, expenses, currencyCode, onImport, closeModal }) => {
+  const [step, setStep] = useState('upload'); // upload, map, preview
+  const [records, setRecords] = useState([]);
+  const [header, setHeader] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [selection, setSelection] = useState({}); // row key -> { selected, categoryId }
+  const [bulkCategoryId, setBulkCategoryId] = useState('');
+  const [accountId, setAccountId] = useState(accounts[0]?.id || ''); // The statement's account, applied to every row
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const inputClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
+  const defaultCategoryId = categories[0]?.id || '';
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = String(reader.result || '');
+      const parsed = parseCsv(text, detectCsvDelimiter(text));
+      if (parsed.length < 2) {
+        setError('The file needs a header row and at least one transaction.');
+        return;
+      }
+      const [headerRow, ...dataRows] = parsed;
+      setHeader(headerRow.map(h => h.trim()));
+      setRecords(dataRows);
+      const guessed = guessCsvMapping(headerRow);
+      setMapping({
+        ...guessed,
+        dateFormat: guessDateFormat(dataRows.slice(0, 20).map(r => r[guessed.dateCol])),
+        decimalSeparator: '.',
+        debitKeyword: 'DR',
+      });
+      setError(null);
+      setStep('map');
+    };
+    reader.onerror = () => setError('The file could not be read.');
+    reader.readAsText(file);
+  };
+
+  const handlePreview = () => {
+    if (mapping.signMode === 'columns' ? (mapping.debitCol < 0 || mapping.creditCol < 0) : mapping.amountCol < 0) {
+      setError('Please map the amount column(s).');
+      return;
+    }
+    const built = buildImportRows(records, mapping).map(row => ({
+      ...row,
+      duplicate: row.error ? null : findDuplicateTransaction(row, expenses),
+    }));
+    setRows(built);
+    setSelection(built.reduce((acc, row) => {
+      acc[row.key] = { selected: !row.error && !row.duplicate, categoryId: defaultCategoryId };
+      return acc;
+    }, {}));
+    setError(null);
+    setStep('preview');
+  };
+
+  const updateSelection = (key, changes) => setSelection(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+
+  const applyBulkCategory = () => {
+    if (!bulkCategoryId) return;
+    setSelection(prev => rows.reduce((acc, row) => {
+      acc[row.key] = prev[row.key].selected && row.type === 'expense' ? { ...prev[row.key], categoryId: bulkCategoryId } : prev[row.key];
+      return acc;
+    }, {}));
+  };
+
+  const selectedRows = rows.filter(row => !row.error && selection[row.key]?.selected);
+
+  // The modal stays open if the write is rejected, so the rows can be fixed or retried
+  const handleConfirm = async () => {
+    if (selectedRows.some(row => row.type === 'expense' && !selection[row.key].categoryId)) {
+      setError('Please pick a category for every selected expense.');
+      return;
+    }
+    setImporting(true);
+    try {
+      await onImport(selectedRows.map(row => ({ ...row, categoryId: selection[row.key].categoryId, accountId })));
+      closeModal();
+    } catch (e) {
+      // Rows are written in order, so the ones saved before the failure are unselected and a retry adds only the rest
+      const saved = selectedRows.slice(0, e?.committedCount || 0);
+      setSelection(prev => saved.reduce((acc, row) => ({ ...acc, [row.key]: { ...acc[row.key], selected: false } }), prev));
+      setError(saved.length > 0
+        ? `Only ${saved.length} of ${selectedRows.length} rows were saved before the import failed (${e?.message || e}). The saved rows are now unselected, so importing again adds only the rest.`
+        : `The import failed and nothing was saved: ${e?.message || e}`);
+      setImporting(false);
+    }
+  };
+
+  const columnSelect = (field, label, optional = false) => (
+    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+      {label}
+      <select
+        value={mapping[field]}
+        onChange={(e) => setMapping({ ...mapping, [field]: parseInt(e.target.value, 10) })}
+        className={`${inputClass} mt-1`}
+      >
+        {optional && <option value={-1}>(None)</option>}
+        {header.map((h, index) => <option key={index} value={index}>{h || `Column ${index + 1}`}</option>)}
+      </select>
+    </label>
+  );
+
+  return (
+    <Modal title="Import Bank Statement (CSV)" closeModal={closeModal} wide>
+      <div className="space-y-4">
+        <FormError message={error} />
+
+        {step === 'upload' && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600 dark:text-gray-400">Choose a CSV export from your bank or wallet. You will map its columns and review every row before anything is saved.</p>
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} className="w-full text-sm text-gray-700 dark:text-gray-300" />
+          </div>
+        )}
+
+        {step === 'map' && mapping && (
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              {columnSelect('dateCol', 'Date Column')}
+              {columnSelect('descriptionCol', 'Description Column', true)}
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+                Date Format
+                <select value={mapping.dateFormat} onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })} className={`${inputClass} mt-1`}>
+                  {CSV_DATE_FORMATS.map(f => <option key={f.code} value={f.code}>{f.name}</option>)}
+                </select>
+              </label>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+                Decimal Separator
+                <select value={mapping.decimalSeparator} onChange={(e) => setMapping({ ...mapping, decimalSeparator: e.target.value })} className={`${inputClass} mt-1`}>
+                  <option value=".">Point (1,234.56)</option>
+                  <option value=",">Comma (1.234,56)</option>
+                </select>
+              </label>
+            </div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+              Debit / Credit Convention
+              <select value={mapping.signMode} onChange={(e) => setMapping({ ...mapping, signMode: e.target.value })} className={`${inputClass} mt-1`}>
+                {CSV_SIGN_MODES.map(m => <option key={m.code} value={m.code}>{m.name}</option>)}
+              </select>
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              {mapping.signMode === 'columns' ? (
+                <>
+                  {columnSelect('debitCol', 'Debit (Money Out) Column', true)}
+                  {columnSelect('creditCol', 'Credit (Money In) Column', true)}
+                </>
+              ) : (
+                columnSelect('amountCol', 'Amount Column', true)
+              )}
+              {mapping.signMode === 'indicator' && (
+                <>
+                  {columnSelect('indicatorCol', 'Indicator Column', true)}
+                  <label className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+                    Debit Marker
+                    <input type="text" value={mapping.debitKeyword} onChange={(e) => setMapping({ ...mapping, debitKeyword: e.target.value })} className={`${inputClass} mt-1`} placeholder="DR" />
+                  </label>
+                </>
+              )}
+            </div>
+            <div className="flex justify-between">
+              <button onClick={() => setStep('upload')} className="px-4 py-2 text-sm font-semibold text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700">Back</button>
+              <button onClick={handlePreview} className="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700">Preview {records.length} Rows</button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div className="space-y-3">
+            {accounts.length > 0 && (
+              <label className="flex items-center justify-between space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <span className="flex-shrink-0">Statement Account</span>
+                <select value={accountId} onChange={(e) => setAccountId(e.target.value)} className={inputClass}>
+                  <option value="">No account</option>
+                  {accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                </select>
+              </label>
+            )}
+            <div className="flex items-center space-x-2">
+              <select value={bulkCategoryId} onChange={(e) => setBulkCategoryId(e.target.value)} className={inputClass}>
+                <option value="">Set category for selected expenses...</option>
+                <CategoryOptions categories={categories} />
+              </select>
+              <button onClick={applyBulkCategory} className="px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 flex-shrink-0">Apply</button>
+            </div>
+            <div className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-100 dark:border-gray-700 rounded-xl">
+              {rows.map(row => {
+                const state = selection[row.key];
+                const isExpense = row.type === 'expense';
+                return (
+                  <div key={row.key} className={`flex items-center space-x-2 p-2 text-sm ${row.error ? 'opacity-50' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={!row.error && state.selected}
+                      disabled={!!row.error}
+                      onChange={(e) => updateSelection(row.key, { selected: e.target.checked })}
+                      aria-label="Import this row"
+                    />
+                    <div className="flex-grow min-w-0">
+                      <p className="truncate font-medium text-gray-900 dark:text-white">{row.description || 'No description'}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {row.timestamp ? row.timestamp.toLocaleDateString() : '—'}
+                        {row.error && <span className="ml-2 text-red-600">{row.error}</span>}
+                        {row.duplicate && <span className="ml-2 text-amber-600">Possible duplicate of "{row.duplicate.source}"</span>}
+                      </p>
+                    </div>
+                    {!row.error && isExpense && (
+                      <select
+                        value={state.categoryId}
+                        onChange={(e) => updateSelection(row.key, { categoryId: e.target.value })}
+                        className="w-32 p-1 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-xs"
+                        aria-label="Category"
+                      >
+                        <option value="" disabled>Category</option>
+                        <CategoryOptions categories={categories} />
+                      </select>
+                    )}
+                    <span className={`w-24 text-right font-bold flex-shrink-0 ${isExpense ? 'text-pink-600' : 'text-green-600'}`}>
+                      {row.amount ? `${isExpense ? '-' : '+'} ${formatCurrency(row.amount, currencyCode)}` : '—'}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex justify-between">
+              <button onClick={() => setStep('map')} className="px-4 py-2 text-sm font-semibold text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700">Back</button>
+              <button
+                onClick={handleConfirm}
+                disabled={selectedRows.length === 0 || importing}
+                className="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {importing ? 'Importing…' : `Import ${selectedRows.length} Rows`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+const ExportModal = ({ expenses, categories, categoryMap, accountMap, settings, closeModal }) => {
+  const [format, setFormat] = useState('csv');
+  const [filter, setFilter] = useState({ fromDate: '', toDate: '', type: 'all' });
+
+  const inputClass = "w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500";
+  const transactions = useMemo(() => filterTransactionsForExport(expenses, filter), [expenses, filter]);
+
+  // CSV holds one table per file, and browsers block several downloads from one click, so each file has its own button
+  const csvFiles = [
+    { name: 'transactions', label: 'Transactions', build: () => buildTransactionsCsv(transactions, categoryMap, settings.currencyCode, accountMap) },
+    { name: 'categories', label: 'Categories', build: () => buildCategoriesCsv(categories) },
+    { name: 'settings', label: 'Settings', build: () => buildSettingsCsv(settings) },
+  ];
+  const downloadCsv = (file) => downloadFile(`fintrack-${file.name}-${toDateInputValue(new Date())}.csv`, file.build(), 'text/csv');
+
+  const handleExport = (e) => {
+    e.preventDefault();
+    if (format === 'csv') return; // CSV files are downloaded from their own buttons
+    const stamp = toDateInputValue(new Date());
+    if (format === 'json') {
+      downloadFile(`fintrack-export-${stamp}.json`, buildExportJson(transactions, categories, settings, categoryMap), 'application/json');
+    } else {
+      downloadFile(`fintrack-transactions-${stamp}.ofx`, buildOfx(transactions, categoryMap, settings.currencyCode), 'application/x-ofx');
+    }
+    closeModal();
+  };
+
+  return (
+    <Modal title="Export Data" closeModal={closeModal}>
+      <form onSubmit={handleExport} className="space-y-4">
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass} aria-label="Export format">
+          {EXPORT_FORMATS.map(f => <option key={f.code} value={f.code}>{f.name}</option>)}
+        </select>
+        <select value={filter.type} onChange={(e) => setFilter({ ...filter, type: e.target.value })} className={inputClass} aria-label="Transaction type">
+          {EXPORT_TYPES.map(t => <option key={t.code} value={t.code}>{t.name}</option>)}
+        </select>
+        <div className="flex space-x-2">
+          <label className="w-1/2 text-xs font-medium text-gray-700 dark:text-gray-300">
+            From
+            <input type="date" value={filter.fromDate} onChange={(e) => setFilter({ ...filter, fromDate: e.target.value })} className={`${inputClass} mt-1`} />
+          </label>
+          <label className="w-1/2 text-xs font-medium text-gray-700 dark:text-gray-300">
+            To
+            <input type="date" value={filter.toDate} onChange={(e) => setFilter({ ...filter, toDate: e.target.value })} className={`${inputClass} mt-1`} />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {transactions.length} transaction{transactions.length === 1 ? '' : 's'} selected.
+          {format === 'ofx' && ' OFX files contain transactions only.'}
+          {format === 'json' && ' Categories and settings are always included.'}
+          {format === 'csv' && ' Transactions, categories and settings are separate files.'}
+        </p>
+        {format === 'csv' ? (
+          <div className="grid grid-cols-3 gap-2">
+            {csvFiles.map(file => (
+              <button
+                type="button"
+                key={file.name}
+                onClick={() => downloadCsv(file)}
+                className="flex items-center justify-center p-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 transition"
+              >
+                <Download size={14} className="mr-1" /> {file.label}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
+            Download
+          </button>
+        )}
+      </form>
+    </Modal>
+  );
+};
+
+const RestoreModal = ({ current, onRestore, closeModal }) => {
+  const [backup, setBackup] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [error, setError] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const plan = useMemo(() => (backup ? planRestore(backup.data, current, mode) : null), [backup, current, mode]);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setBackup(parseBackupFile(String(reader.result || '')));
+        setError(null);
+      } catch (err) {
+        setBackup(null);
+        setError(err.message);
+      }
+    };
+    reader.onerror = () => setError('The file could not be read.');
+    reader.readAsText(file);
+  };
+
+  // The modal stays open if the write is rejected; the plan is worked out again from the data that did get saved
+  const handleConfirm = async () => {
+    setRestoring(true);
+    try {
+      await onRestore(plan);
+      closeModal();
+    } catch (e) {
+      const total = restorePlanOperations(plan).length;
+      const saved = e?.committedCount || 0;
+      setError(saved > 0
+        ? `Only ${saved} of ${total} changes were saved before the restore failed (${e?.message || e}). Restore the same file again to finish.`
+        : `The restore failed and nothing was changed: ${e?.message || e}`);
+      setRestoring(false);
+    }
+  };
+
+  const countLine = (label, writes, deletes) => (
+    <li>
+      {label}: <span className="font-semibold text-green-600">+{writes}</span>
+      {deletes > 0 && <span className="font-semibold text-red-600"> / -{deletes}</span>}
+    </li>
+  );
+
+  return (
+    <Modal title="Restore Backup" closeModal={closeModal}>
+      <div className="space-y-4">
+        <FormError message={error} />
+        <input type="file" accept=".json,application/json" onChange={handleFile} className="w-full text-sm text-gray-700 dark:text-gray-300" />
+
+        {plan && (
+          <>
+            <div className="flex space-x-2">
+              {[{ code: 'merge', name: 'Merge' }, { code: 'replace', name: 'Replace All' }].map(m => (
+                <button
+                  type="button"
+                  key={m.code}
+                  onClick={() => setMode(m.code)}
+                  className={`w-1/2 p-2 rounded-xl font-semibold transition ${mode === m.code ? 'bg-indigo-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+                >
+                  {m.name}
+                </button>
+              ))}
+            </div>
+            <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-xl text-sm text-gray-700 dark:text-gray-300">
+              <p className="font-semibold mb-1">
+                Backup version {backup.version}{backup.version < BACKUP_VERSION ? ' (will be upgraded)' : ''}
+              </p>
+              <ul className="space-y-0.5">
+                {countLine('Categories', plan.writes.categories.length, plan.deletes.categories.length)}
+                {countLine('Transactions', plan.writes.expenses.length, plan.deletes.expenses.length)}
+                {countLine('Recurring Rules', plan.writes.recurring.length, plan.deletes.recurring.length)}
+                {countLine('Exchange Rates', plan.writes.exchangeRates.length, plan.deletes.exchangeRates.length)}
+                {countLine('People', plan.writes.contacts.length, plan.deletes.contacts.length)}
+                {countLine('Settlements', plan.writes.settlements.length, plan.deletes.settlements.length)}
+                {countLine('Accounts', plan.writes.accounts.length, plan.deletes.accounts.length)}
+                {countLine('Goals', plan.writes.goals.length, plan.deletes.goals.length)}
+                {countLine('Goal Contributions', plan.writes.goalContributions.length, plan.deletes.goalContributions.length)}
+                <li>Settings changed: {plan.settingsChanges.length > 0 ? plan.settingsChanges.join(', ') : 'none'}</li>
+                {plan.duplicates > 0 && <li>Duplicates skipped: {plan.duplicates}</li>}
+                {backup.skipped > 0 && <li className="text-amber-600">Invalid entries ignored: {backup.skipped}</li>}
+              </ul>
+            </div>
+            {mode === 'replace' && (
+              <p className="text-xs text-red-600 dark:text-red-400">Replace All permanently deletes the categories, transactions, recurring rules, exchange rates, people, settlements, accounts and savings goals that are not in the backup, once the backup has been written.</p>
+            )}
+            <button
+              onClick={handleConfirm}
+              disabled={restoring}
+              className={`w-full text-white p-3 rounded-xl font-semibold transition disabled:opacity-50 ${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+            >
+              {restoring ? 'Restoring…' : mode === 'replace' ? 'Replace All Data' : 'Merge Backup'}
+            </button>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+// Links a guest (anonymous) account to email/password or Google, or signs in to an existing account
+const AccountModal = ({ authUser, isLocal, onLink, onSignInExisting, onSignOut, closeModal }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [conflictCredential, setConflictCredential] = useState(null); // Set when the identity already has an account
+  const [isWorking, setIsWorking] = useState(false); // Auth calls need the network, so the modal waits for them
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const run = async (action) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(describeAuthError(err));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleLink = (method) => run(async () => {
+    if (method === 'email' && (!email.trim() || !password)) {
+      throw new Error('Please enter an email and a password.');
+    }
+    const result = await onLink({ method, email: email.trim(), password });
+    if (result.status === 'conflict') {
+      setConflictCredential(result.credential);
+    } else {
+      setNotice('Your budget is now saved to this account. Sign in with it on your other devices.');
+    }
+  });
+
+  const handleSignInExisting = (moveGuestData) => run(async () => {
+    await onSignInExisting(conflictCredential, moveGuestData);
+    closeModal();
+  });
+
+  const buttonClass = 'w-full p-3 rounded-xl font-semibold transition disabled:opacity-50';
+
+  let content;
+  if (isLocal) {
+    content = (
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Accounts need Firebase, which is not configured. This budget is stored only in this browser.
+      </p>
+    );
+  } else if (!authUser) {
+    content = <p className="text-sm text-gray-500 italic">Signing in...</p>;
+  } else if (conflictCredential) {
+    content = (
+      <div className="space-y-3">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          That sign-in already belongs to an account, which may hold its own budget. Move the data on this guest account into it?
+          Existing data in the account is kept and duplicates are skipped.
+        </p>
+        <button disabled={isWorking} onClick={() => handleSignInExisting(true)} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}>
+          Move Guest Data and Sign In
+        </button>
+        <button disabled={isWorking} onClick={() => handleSignInExisting(false)} className={`${buttonClass} bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300`}>
+          Sign In Without Moving
+        </button>
+        <button disabled={isWorking} onClick={() => setConflictCredential(null)} className="w-full text-sm text-gray-500 hover:underline">
+          Cancel
+        </button>
+      </div>
+    );
+  } else if (authUser.isAnonymous) {
+    content = (
+      <div className="space-y-3">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          You are using a guest account, which is lost if this browser's storage is cleared. Save it to an email or Google account to keep
+          your budget and open it on other devices. If you already have an account, enter its details to sign in.
+        </p>
+        <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email"
+          className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white" />
+        <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password"
+          className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white" />
+        <button disabled={isWorking} onClick={() => handleLink('email')} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}>
+          Continue with Email
+        </button>
+        <button disabled={isWorking} onClick={() => handleLink('google')} className={`${buttonClass} bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300`}>
+          Continue with Google
+        </button>
+      </div>
+    );
+  } else {
+    content = (
+      <div className="space-y-3">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Signed in as <span className="font-semibold text-gray-900 dark:text-white">{authUser.label}</span>
+          {authUser.providers.length > 0 && ` (${authUser.providers.join(', ')})`}.
+        </p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">Signing out starts a new guest budget on this device. Sign in again to return to this one.</p>
+        <button disabled={isWorking} onClick={() => run(async () => { await onSignOut(); closeModal(); })} className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}>
+          Sign Out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <Modal title="Account" closeModal={closeModal}>
+      <div className="space-y-4">
+        <FormError message={error} />
+        {notice && <p className="p-3 text-sm text-green-700 bg-green-50 dark:bg-gray-700 dark:text-green-400 rounded-xl">{notice}</p>}
+        {content}
+      </div>
+    </Modal>
+  );
+};
+
+// Records a repayment with a contact; settlements change balances only, never income or expenses
+const SettleUpModal = ({ contact, balance, currencyCode, onSettle, closeModal }) => {
+  const [form, setForm] = useState(() => ({
+    ...emptyTransactionForm('', currencyCode),
+    amount: balance ? String(Math.abs(balance)) : '',
+    direction: balance < 0 ? 'paid' : 'received',
+  }));
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(form.amount);
+    const timestamp = combineDateAndTime(form.date, form.time);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      setError('Please enter an amount greater than zero.');
+      return;
+    }
+    if (!timestamp) {
+      setError('Please enter a valid date.');
+      return;
+    }
+    onSettle({ contactId: contact.id, amount, currencyCode: form.currencyCode, direction: form.direction, timestamp });
+    closeModal();
+  };
+
+  return (
+    <Modal title={`Settle Up with ${contact.name}`} closeModal={closeModal}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <FormError message={error} />
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {balance > 0 && `${contact.name} owes you ${formatCurrency(balance, currencyCode)}.`}
+          {balance < 0 && `You owe ${contact.name} ${formatCurrency(-balance, currencyCode)}.`}
+          {!balance && `You and ${contact.name} are settled up.`}
+        </p>
+        <div className="flex space-x-2">
+          {[{ code: 'received', name: `${contact.name} paid you` }, { code: 'paid', name: `You paid ${contact.name}` }].map(d => (
+            <button
+              type="button"
+              key={d.code}
+              onClick={() => setForm({ ...form, direction: d.code })}
+              className={`w-1/2 p-2 text-sm rounded-xl font-semibold transition ${form.direction === d.code ? 'bg-indigo-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+            >
+              {d.name}
+            </button>
+          ))}
+        </div>
+        <AmountWithCurrency value={form} onChange={setForm} placeholder="Amount" focusClass="focus:ring-indigo-500 focus:border-indigo-500" />
+        <DateTimeFields value={form} onChange={setForm} focusClass="focus:ring-indigo-500 focus:border-indigo-500" />
+        <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
+          Record Settlement
+        </button>
+      </form>
+    </Modal>
+  );
+};
+
+const Card = ({ title, value, icon: Icon, color }) => (
+  <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg border border-gray-100 dark:border-gray-700">
+    <div className={`w-8 h-8 rounded-full flex items-center justify-center mb-2 bg-opacity-10 ${color.replace('text', 'bg')}`}>
+      <Icon size={18} className={color} />
+    </div>
+    <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{title}</p>
+    <h3 className="text-xl font-bold text-gray-900 dark:text-white truncate">{value}</h3>
+  </div>
+);
+
+const SettingsCard = ({ settings, onUpdateSettings, currencyCode }) => {
+  const [tempCycleType, setTempCycleType] = useState(settings.cycleType || 'months');
+  const [tempCycle, setTempCycle] = useState(settings.cycleMonths);
+  const [tempAnchor, setTempAnchor] = useState(settings.cycleAnchorDate || DEFAULT_CYCLE_ANCHOR);
+  const [tempCurrency, setTempCurrency] = useState(currencyCode);
+
+  useEffect(() => {
+    setTempCycleType(settings.cycleType || 'months');
+    setTempCycle(settings.cycleMonths);
+    setTempAnchor(settings.cycleAnchorDate || DEFAULT_CYCLE_ANCHOR);
+    setTempCurrency(currencyCode);
+  }, [settings.cycleType, settings.cycleMonths, settings.cycleAnchorDate, currencyCode]);
+
+  const handleSave = () => {
+    onUpdateSettings({
+      cycleType: tempCycleType,
+      cycleMonths: parseInt(tempCycle, 10),
+      cycleAnchorDate: combineDateAndTime(tempAnchor, '00:00') ? tempAnchor : DEFAULT_CYCLE_ANCHOR,
+      currencyCode: tempCurrency,
+    });
+  };
+
+  const previewConfig = getCycleConfig({ cycleType: tempCycleType, cycleMonths: tempCycle, cycleAnchorDate: tempAnchor });
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <h3 className="text-lg font-bold text-gray-900 dark:text-white">App Settings</h3>
       <div className="space-y-4 mt-3">
         <div className="flex justify-between items-center space-x-4">
-          <label htmlFor="cycle" className="text-gray-700 dark:text-gray-300 text-sm font-medium">Budget Cycle (Months):</label>
+          <label htmlFor="cycle-type" className="text-gray-700 dark:text-gray-300 text-sm font-medium">Budget Cycle:</label>
+          <select
+            id="cycle-type"
+            value={tempCycleType}
+            onChange={(e) => setTempCycleType(e.target.value)}
+            className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+          >
+            {CYCLE_TYPES.map(t => <option key={t.code} value={t.code}>{t.name}</option>)}
+          </select>
+        </div>
+        {tempCycleType === 'months' && (
+          <div className="flex justify-between items-center space-x-4">
+            <label htmlFor="cycle" className="text-gray-700 dark:text-gray-300 text-sm font-medium">Cycle Length:</label>
+            <select
+              id="cycle"
+              value={tempCycle}
+              onChange={(e) => setTempCycle(e.target.value)}
+              className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+            >
+              {CYCLE_MONTH_OPTIONS.map(m => <option key={m} value={m}>{m} Month{m > 1 ? 's' : ''}</option>)}
+            </select>
+          </div>
+        )}
+        <div className="flex justify-between items-center space-x-4">
+          <label htmlFor="cycle-anchor" className="text-gray-700 dark:text-gray-300 text-sm font-medium">A Cycle Started On:</label>
+          <input
+            id="cycle-anchor"
+            type="date"
+            value={tempAnchor}
+            onChange={(e) => setTempAnchor(e.target.value)}
+            className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+          />
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {describeCycle(previewConfig)}; current cycle {formatCycleRange(getCycleForDate(previewConfig, new Date()))}. Pick any payday as the start date.
+        </p>
+        <div className="flex justify-between items-center space-x-4">
+          <label htmlFor="currency" className="text-gray-700 dark:text-gray-300 text-sm font-medium">Currency:</label>
+          <select
+            id="currency"
+            value={tempCurrency}
+            onChange={(e) => setTempCurrency(e.target.value)}
+            className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+          >
+            {Object.entries(CURRENCIES).map(([code, { symbol, name }]) => (
+              <option key={code} value={code}>{symbol} - {name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <button
+        onClick={handleSave}
+        className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition mt-4"
+      >
+        Save Settings
+      </button>
+    </div>
+  );
+};
+
+const NotificationsCard = ({ settings, onUpdateSettings }) => {
+  const supported = typeof window !== 'undefined' && 'Notification' in window;
+  const [permission, setPermission] = useState(supported ? Notification.permission : 'unsupported');
+  const [tempThresholds, setTempThresholds] = useState(formatThresholds(settings.alertThresholds || DEFAULT_ALERT_THRESHOLDS));
+  const [tempIncomeThreshold, setTempIncomeThreshold] = useState(settings.incomeAlertThreshold ?? DEFAULT_INCOME_ALERT_THRESHOLD);
+  const [tempSummary, setTempSummary] = useState(settings.cycleSummaryEnabled !== false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setTempThresholds(formatThresholds(settings.alertThresholds || DEFAULT_ALERT_THRESHOLDS));
+    setTempIncomeThreshold(settings.incomeAlertThreshold ?? DEFAULT_INCOME_ALERT_THRESHOLD);
+    setTempSummary(settings.cycleSummaryEnabled !== false);
+  }, [settings.alertThresholds, settings.incomeAlertThreshold, settings.cycleSummaryEnabled]);
+
+  const handleToggle = async () => {
+    if (settings.notificationsEnabled) {
+      onUpdateSettings({ notificationsEnabled: false });
+      return;
+    }
+    // The browser only asks once; after a denial the user has to allow notifications in the site settings
+    const result = permission === 'granted' ? permission : await Notification.requestPermission();
+    setPermission(result);
+    if (result === 'granted') onUpdateSettings({ notificationsEnabled: true });
+  };
+
+  const handleSave = () => {
+    const thresholds = parseThresholds(tempThresholds);
+    const incomeThreshold = parseInt(tempIncomeThreshold, 10);
+    if (thresholds.length === 0) {
+      setError('Please enter at least one threshold, e.g. 75, 100.');
+      return;
+    }
+    if (!Number.isFinite(incomeThreshold) || incomeThreshold < 0) {
+      setError('Please enter an income threshold of 0 (off) or more.');
+      return;
+    }
+    setError(null);
+    onUpdateSettings({ alertThresholds: thresholds, incomeAlertThreshold: incomeThreshold, cycleSummaryEnabled: tempSummary });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-bold text-gray-900 dark:text-white">Notifications</h3>
+        {supported && (
+          <button
+            onClick={handleToggle}
+            className={`px-3 py-1 text-sm font-semibold rounded-lg ${settings.notificationsEnabled ? 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-300' : 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'}`}
+          >
+            {settings.notificationsEnabled ? 'On' : 'Off'}
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+        {!supported && 'This browser does not support system notifications.'}
+        {supported && permission === 'denied' && 'Notifications are blocked for this site. Allow them in your browser settings to turn alerts on.'}
+        {supported && permission !== 'denied' && 'Each alert is shown once per cycle on this device, when the app is opened or an entry is logged. Installed apps that support background sync also get the cycle summary while closed.'}
+      </p>
+      <div className="space-y-3 mt-3">
+        <div className="flex justify-between items-center space-x-4">
+          <label htmlFor="alert-thresholds" className="text-gray-700 dark:text-gray-300 text-sm font-medium">Category Alerts At:</label>
+          <input
+            id="alert-thresholds"
+            type="text"
+            value={tempThresholds}
+            onChange={(e) => setTempThresholds(e.target.value)}
+            className="w-32 p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+            placeholder="75%, 100%"
+          />
+        </div>
+        <div className="flex justify-between items-center space-x-4">
+          <label htmlFor="income-threshold" className="text-gray-700 dark:text-gray-300 text-sm font-medium">Alert When Spending Reaches (% of Income):</label>
+          <input
+            id="income-threshold"
+            type="number"
+            value={tempIncomeThreshold}
+            onChange={(e) => setTempIncomeThreshold(e.target.value)}
+            className="w-24 p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+            min="0"
+            step="1"
+          />
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+          <input type="checkbox" checked={tempSummary} onChange={(e) => setTempSummary(e.target.checked)} />
+          <span>Summary when a cycle ends</span>
+        </label>
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      </div>
+      <button
+        onClick={handleSave}
+        className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition mt-4"
+      >
+        Save Alert Settings
+      </button>
+    </div>
+  );
+};
+
+const ExchangeRatesCard = ({ rates, baseCurrency, onAdd, onDelete }) => {
+  const [newRate, setNewRate] = useState({ fromCurrency: '', rate: '', effectiveDate: toDateInputValue(new Date()) });
+  const [error, setError] = useState(null);
+  const foreignCurrencies = Object.keys(CURRENCIES).filter(code => code !== baseCurrency);
+  const fromCurrency = newRate.fromCurrency || foreignCurrencies[0];
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const rate = parseFloat(newRate.rate);
+    const effectiveDate = combineDateAndTime(newRate.effectiveDate, '00:00');
+    if (!Number.isFinite(rate) || rate <= 0) {
+      setError('Please enter a rate greater than zero.');
+      return;
+    }
+    if (!effectiveDate) {
+      setError('Please enter a valid effective date.');
+      return;
+    }
+    onAdd({ fromCurrency, toCurrency: baseCurrency, rate, effectiveDate });
+    setNewRate({ ...newRate, rate: '' });
+    setError(null);
+  };
+
+  const sortedRates = [...rates].sort((a, b) => a.fromCurrency.localeCompare(b.fromCurrency) || b.effectiveDate - a.effectiveDate);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <h3 className="text-lg font-bold text-gray-900 dark:text-white">Exchange Rates</h3>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Foreign-currency entries are converted into {baseCurrency} using the latest rate effective on their date.</p>
+      <div className="mt-3 divide-y divide-gray-100 dark:divide-gray-700">
+        {sortedRates.length === 0 && (
+          <p className="text-center text-gray-500 italic text-sm py-2">No exchange rates yet.</p>
+        )}
+        {sortedRates.map(r => (
+          <div key={r.id} className="flex items-center justify-between py-2 text-sm">
+            <span className="text-gray-900 dark:text-white">
+              1 {r.fromCurrency} = <span className="font-semibold">{r.rate}</span> {r.toCurrency}
+            </span>
+            <div className="flex items-center space-x-2">
+              <span className="text-xs text-gray-500 dark:text-gray-400">from {r.effectiveDate.toLocaleDateString()}</span>
+              <button onClick={() => onDelete(r.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-50 dark:hover:bg-gray-700" aria-label="Delete rate">
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <form onSubmit={handleAdd} className="mt-3 space-y-2">
+        <FormError message={error} />
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-gray-700 dark:text-gray-300">1</span>
           <select
-            id="cycle"
-            value={tempCycle}
-            onChange={(e) => setTempCycle(e.target.value)}
+            value={fromCurrency}
+            onChange={(e) => setNewRate({ ...newRate, fromCurrency: e.target.value })}
             className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+            aria-label="Foreign currency"
+          >
+            {foreignCurrencies.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+          <span className="text-gray-700 dark:text-gray-300">=</span>
+          <input
+            type="number"
+            value={newRate.rate}
+            onChange={(e) => setNewRate({ ...newRate, rate: e.target.value })}
+            className="w-24 p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+            placeholder="Rate"
+            step="any"
+            min="0"
+            required
+          />
+          <span className="text-gray-700 dark:text-gray-300">{baseCurrency}</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="date"
+            value={newRate.effectiveDate}
+            onChange={(e) => setNewRate({ ...newRate, effectiveDate: e.target.value })}
+            className="flex-grow p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+            aria-label="Effective date"
+            required
+          />
+          <button type="submit" className="flex items-center px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition">
+            <Plus size={16} className="mr-1" /> Add Rate
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Income categories on the Manage tab; one can be deleted once no income entry or rule uses it
+const IncomeCategoriesCard = ({ incomeCategories, referencedIds, onAdd, onAddDefaults, onDelete }) => {
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (incomeCategories.some(cat => cat.name.trim().toLowerCase() === trimmed.toLowerCase())) {
+      setError('An income category with that name already exists.');
+      return;
+    }
+    onAdd({ name: trimmed, color: COLORS[incomeCategories.length % COLORS.length] });
+    setName('');
+    setError(null);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <h3 className="text-lg font-bold text-gray-900 dark:text-white">Income Categories</h3>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Group income such as salary and interest for the income breakdown on the Analysis tab.</p>
+      <div className="mt-3 divide-y divide-gray-100 dark:divide-gray-700">
+        {incomeCategories.length === 0 && (
+          <div className="py-2 text-center space-y-2">
+            <p className="text-gray-500 italic text-sm">No income categories yet.</p>
+            <button onClick={onAddDefaults} className="px-3 py-1 text-xs font-semibold text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-gray-700 rounded-lg hover:bg-indigo-100 dark:hover:bg-gray-600">
+              Add {DEFAULT_INCOME_CATEGORIES.join(', ')}
+            </button>
+          </div>
+        )}
+        {incomeCategories.map(cat => (
+          <div key={cat.id} className="flex items-center justify-between py-2 text-sm">
+            <span className="flex items-center text-gray-900 dark:text-white">
+              <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: cat.color }}></span>
+              {cat.name}
+            </span>
+            {!referencedIds.has(cat.id) && (
+              <button onClick={() => onDelete(cat.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-50 dark:hover:bg-gray-700" aria-label="Delete income category">
+                <X size={16} />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      <form onSubmit={handleAdd} className="mt-3 space-y-2">
+        <FormError message={error} />
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            placeholder="Category name (e.g., Rental Income)"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="flex-grow p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+          />
+          <button type="submit" className="flex items-center px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition">
+            <Plus size={16} className="mr-1" /> Add
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Accounts with their running balances; an account can be deleted once no entry refers to it
+const AccountsCard = ({ accounts, balances, baseCurrency, referencedIds, unlinkedCount, onAdd, onDelete, onOpenLedger, onMigrate }) => {
+  const [newAccount, setNewAccount] = useState({ name: '', type: 'bank', openingBalance: '', currencyCode: '' });
+  const [error, setError] = useState(null);
+  const inputClass = "p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = newAccount.name.trim();
+    const openingBalance = newAccount.openingBalance === '' ? 0 : parseFloat(newAccount.openingBalance);
+    if (!name) {
+      setError('Please enter an account name.');
+      return;
+    }
+    if (accounts.some(a => a.name.trim().toLowerCase() === name.toLowerCase())) {
+      setError('An account with that name already exists.');
+      return;
+    }
+    if (!Number.isFinite(openingBalance)) {
+      setError('Please enter a valid opening balance.');
+      return;
+    }
+    onAdd({ name, type: newAccount.type, openingBalance, currencyCode: newAccount.currencyCode || baseCurrency });
+    setNewAccount({ ...newAccount, name: '', openingBalance: '' });
+    setError(null);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <h3 className="text-lg font-bold text-gray-900 dark:text-white">Accounts</h3>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Balances start from the opening balance and follow every income and expense linked to the account.</p>
+      {unlinkedCount > 0 && (
+        <button
+          onClick={onMigrate}
+          className="w-full mt-3 p-2 text-sm font-semibold text-amber-800 dark:text-amber-200 bg-amber-100 dark:bg-amber-900 rounded-xl hover:bg-amber-200 dark:hover:bg-amber-800 transition"
+        >
+          Link {unlinkedCount} older entr{unlinkedCount > 1 ? 'ies' : 'y'} to accounts by source
+        </button>
+      )}
+      <div className="mt-3 divide-y divide-gray-100 dark:divide-gray-700">
+        {accounts.length === 0 && (
+          <p className="text-center text-gray-500 italic text-sm py-2">No accounts yet.</p>
+        )}
+        {accounts.map(account => {
+          const { icon: Icon, name: typeName } = getAccountType(account);
+          const { balance = account.openingBalance, unconverted = 0 } = balances[account.id] || {};
+          return (
+            <div key={account.id} className="flex items-center justify-between py-2 text-sm">
+              <button onClick={() => onOpenLedger(account.id)} className="flex items-center text-left flex-grow min-w-0" aria-label={`Open ${account.name} ledger`}>
+                <Icon size={18} className="mr-2 text-indigo-500 flex-shrink-0" />
+                <span className="flex flex-col min-w-0">
+                  <span className="font-medium text-gray-900 dark:text-white truncate">{account.name}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {typeName}{unconverted > 0 ? ` · ${unconverted} without a rate` : ''}
+                  </span>
+                </span>
+              </button>
+              <div className="flex items-center space-x-2">
+                <span className={`font-semibold ${balance < 0 ? 'text-pink-600' : 'text-gray-800 dark:text-gray-200'}`}>
+                  {formatCurrency(balance, account.currencyCode || baseCurrency)}
+                </span>
+                {!referencedIds.has(account.id) && (
+                  <button onClick={() => onDelete(account.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-50 dark:hover:bg-gray-700" aria-label="Delete account">
+                    <X size={16} />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <form onSubmit={handleAdd} className="mt-3 space-y-2">
+        <FormError message={error} />
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            placeholder="Account name (e.g., HDFC Savings)"
+            value={newAccount.name}
+            onChange={(e) => setNewAccount({ ...newAccount, name: e.target.value })}
+            className={`flex-grow ${inputClass}`}
+          />
+          <select value={newAccount.type} onChange={(e) => setNewAccount({ ...newAccount, type: e.target.value })} className={inputClass} aria-label="Account type">
+            {ACCOUNT_TYPES.map(t => <option key={t.code} value={t.code}>{t.name}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="number"
+            placeholder="Opening balance"
+            value={newAccount.openingBalance}
+            onChange={(e) => setNewAccount({ ...newAccount, openingBalance: e.target.value })}
+            className={`flex-grow ${inputClass}`}
+            step="0.01"
+          />
+          <select
+            value={newAccount.currencyCode || baseCurrency}
+            onChange={(e) => setNewAccount({ ...newAccount, currencyCode: e.target.value })}
+            className={inputClass}
+            aria-label="Account currency"
+          >
+            {Object.keys(CURRENCIES).map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+          <button type="submit" className="flex items-center px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition">
+            <Plus size={16} className="mr-1" /> Add
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Every entry of one account, newest first, with the balance after each
+const AccountLedgerModal = ({ account, expenses, categoryMap, accountMap, baseCurrency, rates, closeModal }) => {
+  const accountCurrency = account.currencyCode || baseCurrency;
+  const { entries, balance, unconverted } = useMemo(
+    () => buildAccountLedger(account, expenses, baseCurrency, rates),
+    [account, expenses, baseCurrency, rates]
+  );
+
+  return (
+    <Modal title={`${account.name} Ledger`} closeModal={closeModal} wide>
+      <div className="space-y-3">
+        <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
+          <span>Opening balance: {formatCurrency(account.openingBalance, accountCurrency)}</span>
+          <span className="font-semibold text-gray-900 dark:text-white">Balance: {formatCurrency(balance, accountCurrency)}</span>
+        </div>
+        {unconverted > 0 && (
+          <p className="p-2 text-xs text-amber-800 dark:text-amber-200 bg-amber-100 dark:bg-amber-900 rounded-lg">
+            {unconverted} entr{unconverted > 1 ? 'ies have' : 'y has'} no exchange rate to {accountCurrency} and {unconverted > 1 ? 'are' : 'is'} not counted in the balance.
+          </p>
+        )}
+        {entries.length === 0 && (
+          <p className="text-center text-gray-500 italic text-sm py-2">No entries are linked to this account yet.</p>
+        )}
+        <div className="divide-y divide-gray-100 dark:divide-gray-700">
+          {[...entries].reverse().map(({ transaction: t, amount, balance: runningBalance }) => (
+            <div key={t.id} className="flex items-center justify-between py-2 text-sm">
+              <div className="flex flex-col min-w-0">
+                <span className="text-gray-900 dark:text-white truncate">
+                  {t.type === 'transfer' && (t.fromAccountId === account.id
+                    ? `Transfer to ${accountMap[t.toAccountId]?.name || 'removed account'}`
+                    : `Transfer from ${accountMap[t.fromAccountId]?.name || 'removed account'}`)}
+                  {t.type === 'expense' && (categoryMap[t.categoryId] ? categoryLabel(categoryMap[t.categoryId], categoryMap) : 'Uncategorized')}
+                  {t.type === 'budget' && t.source}
+                </span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  {t.timestamp.toLocaleDateString()}{t.type === 'expense' && t.source ? ` · ${t.source}` : ''}
+                </span>
+              </div>
+              <div className="flex flex-col items-end flex-shrink-0 ml-2">
+                <span className={`font-semibold ${amount === null ? 'text-gray-400' : amount < 0 ? 'text-pink-600' : 'text-green-600'}`}>
+                  {amount === null ? formatCurrency(t.amount, t.currencyCode || baseCurrency) : `${amount < 0 ? '-' : '+'}${formatCurrency(Math.abs(amount), accountCurrency)}`}
+                </span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{formatCurrency(runningBalance, accountCurrency)}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+// Maps the free-text sources of older entries onto accounts: an existing one, a new one named after the source, or none
+const SourceMigrationModal = ({ expenses, accounts, currencyCode, onApply, closeModal }) => {
+  const groups = useMemo(() => collectUnlinkedSources(expenses, accounts), [expenses, accounts]);
+  const [choices, setChoices] = useState(() => groups.reduce((acc, group) => ({ ...acc, [group.key]: group.suggestedAccountId }), {})); // '' skips, 'new' creates
+  const [newType, setNewType] = useState('wallet');
+  const inputClass = "p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
+
+  const mapped = groups.filter(group => choices[group.key]);
+  const handleApply = () => {
+    onApply(mapped.map(group => ({
+      transactionIds: group.transactionIds,
+      accountId: choices[group.key] === 'new' ? null : choices[group.key],
+      newAccount: choices[group.key] === 'new' ? { name: group.label, type: newType, openingBalance: 0, currencyCode } : null,
+    })));
+    closeModal();
+  };
+
+  return (
+    <Modal title="Link Sources to Accounts" closeModal={closeModal} wide>
+      <div className="space-y-3">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Pick the account each source was paid from or into. Sources left on "Skip" keep their text and stay unlinked; you can come back later.
+        </p>
+        {groups.length === 0 && (
+          <p className="text-center text-gray-500 italic text-sm py-2">Every entry is already linked to an account.</p>
+        )}
+        <div className="divide-y divide-gray-100 dark:divide-gray-700">
+          {groups.map(group => (
+            <div key={group.key} className="flex items-center justify-between py-2 text-sm space-x-2">
+              <span className="flex flex-col min-w-0">
+                <span className="font-medium text-gray-900 dark:text-white truncate">{group.label}</span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{group.count} entr{group.count > 1 ? 'ies' : 'y'}</span>
+              </span>
+              <select
+                value={choices[group.key]}
+                onChange={(e) => setChoices({ ...choices, [group.key]: e.target.value })}
+                className={inputClass}
+                aria-label={`Account for ${group.label}`}
+              >
+                <option value="">Skip</option>
+                <option value="new">New account "{group.label}"</option>
+                {accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+        {mapped.some(group => choices[group.key] === 'new') && (
+          <label className="flex items-center justify-between text-sm text-gray-700 dark:text-gray-300">
+            Type for new accounts
+            <select value={newType} onChange={(e) => setNewType(e.target.value)} className={inputClass}>
+              {ACCOUNT_TYPES.map(t => <option key={t.code} value={t.code}>{t.name}</option>)}
+            </select>
+          </label>
+        )}
+        <button
+          onClick={handleApply}
+          disabled={mapped.length === 0}
+          className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          Link {mapped.reduce((sum, group) => sum + group.count, 0)} Entries
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+// End-of-cycle projection on the Overview: the daily amount that keeps spending within budget, and the categories heading over
+const ForecastCard = ({ forecast, totalBudgetLimit, chartData, currencyCode }) => {
+  const atRisk = chartData.filter(data => forecast.categories[data.id]?.overspend);
+  const overall = forecast.projected > totalBudgetLimit;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <h3 className="text-lg font-bold text-gray-900 dark:text-white">Cycle Forecast</h3>
+      <div className="mt-2 flex justify-between items-end">
+        <div>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Safe to spend</p>
+          <p className={`text-2xl font-extrabold ${forecast.safePerDay > 0 ? 'text-green-600' : 'text-red-600'}`}>
+            {formatCurrency(forecast.safePerDay, currencyCode)}<span className="text-sm font-semibold">/day</span>
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">for the {forecast.daysLeft} day{forecast.daysLeft > 1 ? 's' : ''} left in this cycle</p>
+        </div>
+        <div className="text-right">
+          <p className="text-sm text-gray-500 dark:text-gray-400">Projected spend</p>
+          <p className={`text-lg font-bold ${overall ? 'text-red-600' : 'text-gray-900 dark:text-white'}`}>{formatCurrency(forecast.projected, currencyCode)}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">of {formatCurrency(totalBudgetLimit, currencyCode)} budget</p>
+        </div>
+      </div>
+      {forecast.upcoming > 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Includes {formatCurrency(forecast.upcoming, currencyCode)} of scheduled and recurring expenses still to come.
+        </p>
+      )}
+      {atRisk.length > 0 && (
+        <div className="mt-3 space-y-1">
+          <p className="text-sm font-semibold text-amber-600 dark:text-amber-400 flex items-center">
+            <AlertTriangle size={16} className="mr-1" /> On track to overspend
+          </p>
+          {atRisk.map(data => (
+            <div key={data.id} className="flex justify-between text-sm">
+              <span className="text-gray-700 dark:text-gray-300 truncate">{data.name}</span>
+              <span className="text-gray-600 dark:text-gray-400 flex-shrink-0 ml-2">
+                {formatCurrency(forecast.categories[data.id].projected, currencyCode)} of {formatCurrency(Math.max(data.budgetLimit, 0), currencyCode)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Savings goals on the Overview: progress, the monthly pace still needed and what went in this cycle
+const GoalsCard = ({ goals, contributions, baseCurrency, rates, savedThisCycle, canEdit, onAdd, onEdit, onContribute }) => {
+  const progress = useMemo(
+    () => goals.reduce((acc, goal) => ({ ...acc, [goal.id]: calculateGoalProgress(goal, contributions, baseCurrency, rates) }), {}),
+    [goals, contributions, baseCurrency, rates]
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-bold text-gray-900 dark:text-white">Savings Goals</h3>
+        {canEdit && (
+          <button onClick={onAdd} className="flex items-center text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:text-indigo-800">
+            <Plus size={16} className="mr-1" /> New Goal
+          </button>
+        )}
+      </div>
+      {savedThisCycle > 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{formatCurrency(savedThisCycle, baseCurrency)} saved this cycle</p>
+      )}
+      {goals.length === 0 && (
+        <p className="text-center text-gray-500 italic text-sm py-2">No goals yet. Add one to track what you are saving toward.</p>
+      )}
+      <div className="mt-3 space-y-4">
+        {goals.map(goal => {
+          const { saved, remaining, progress: share, monthsLeft, monthlyPace, overdue } = progress[goal.id];
+          return (
+            <div key={goal.id}>
+              <div className="flex justify-between items-center text-sm">
+                <button
+                  onClick={() => onEdit(goal.id)}
+                  disabled={!canEdit}
+                  className="flex items-center font-medium text-gray-900 dark:text-white truncate text-left"
+                  aria-label={`Edit ${goal.name}`}
+                >
+                  <span className="w-3 h-3 rounded-full mr-2 flex-shrink-0" style={{ backgroundColor: goal.color }} />
+                  {goal.name}
+                </button>
+                <span className="text-gray-600 dark:text-gray-400 flex-shrink-0 ml-2">
+                  {formatCurrency(saved, baseCurrency)} / {formatCurrency(goal.targetAmount, baseCurrency)}
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2.5 mt-1">
+                <div className="h-2.5 rounded-full" style={{ width: `${share * 100}%`, backgroundColor: goal.color }}></div>
+              </div>
+              <div className="flex justify-between items-center mt-1 text-xs text-gray-500 dark:text-gray-400">
+                <span>
+                  {remaining === 0 && <span className="text-green-600 font-semibold">Reached!</span>}
+                  {remaining > 0 && overdue && <span className="text-pink-600">Target date passed · {formatCurrency(remaining, baseCurrency)} to go</span>}
+                  {remaining > 0 && monthlyPace !== null && (
+                    `${formatCurrency(monthlyPace, baseCurrency)}/month needed${monthsLeft > 0 ? ` for ${monthsLeft} month${monthsLeft > 1 ? 's' : ''}` : ' this month'}`
+                  )}
+                  {remaining > 0 && !goal.targetDate && `${formatCurrency(remaining, baseCurrency)} to go`}
+                  {goal.leftoverShare > 0 && ` · gets ${goal.leftoverShare}% of leftover budget`}
+                </span>
+                {canEdit && remaining > 0 && (
+                  <button onClick={() => onContribute(goal.id)} className="font-semibold text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 flex-shrink-0 ml-2">
+                    Contribute
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Creates or edits a goal; when editing it also lists the goal's contributions so mistakes can be removed
+const GoalModal = ({ goal, goals, contributions, currencyCode, onSave, onDelete, onDeleteContribution, closeModal }) => {
+  const [form, setForm] = useState(() => (goal ? {
+    name: goal.name,
+    targetAmount: String(goal.targetAmount),
+    targetDate: goal.targetDate ? toDateInputValue(goal.targetDate) : '',
+    color: goal.color || COLORS[0],
+    leftoverShare: goal.leftoverShare ? String(goal.leftoverShare) : '',
+  } : emptyGoalForm()));
+  const [error, setError] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const goalContributions = goal ? contributions.filter(c => c.goalId === goal.id) : [];
+  const inputClass = "w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500";
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const name = form.name.trim();
+    const targetAmount = parseFloat(form.targetAmount);
+    const leftoverShare = form.leftoverShare === '' ? 0 : parseFloat(form.leftoverShare);
+    const targetDate = form.targetDate ? combineDateAndTime(form.targetDate, '00:00') : null;
+    if (!name) {
+      setError('Please enter a goal name.');
+      return;
+    }
+    if (goals.some(g => g.id !== goal?.id && g.name.trim().toLowerCase() === name.toLowerCase())) {
+      setError('A goal with that name already exists.');
+      return;
+    }
+    if (!Number.isFinite(targetAmount) || targetAmount <= 0) {
+      setError('Please enter a target amount greater than zero.');
+      return;
+    }
+    if (form.targetDate && !targetDate) {
+      setError('Please enter a valid target date.');
+      return;
+    }
+    if (!Number.isFinite(leftoverShare) || leftoverShare < 0 || leftoverShare > 100) {
+      setError('The leftover share must be between 0 and 100%.');
+      return;
+    }
+    onSave({ name, targetAmount, targetDate, color: form.color, leftoverShare });
+    closeModal();
+  };
+
+  return (
+    <Modal title={goal ? `Edit ${goal.name}` : 'New Savings Goal'} closeModal={closeModal}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <FormError message={error} />
+        <input
+          type="text"
+          placeholder="Goal name (e.g., Emergency Fund)"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          className={inputClass}
+          required
+        />
+        <input
+          type="number"
+          placeholder={`Target amount (${currencyCode})`}
+          value={form.targetAmount}
+          onChange={(e) => setForm({ ...form, targetAmount: e.target.value })}
+          className={inputClass}
+          required
+          step="0.01"
+          min="0"
+        />
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          Target date (optional)
+          <input
+            type="date"
+            value={form.targetDate}
+            onChange={(e) => setForm({ ...form, targetDate: e.target.value })}
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          Share of leftover budget (%)
+          <input
+            type="number"
+            placeholder="0 (off)"
+            value={form.leftoverShare}
+            onChange={(e) => setForm({ ...form, leftoverShare: e.target.value })}
+            className={`mt-1 ${inputClass}`}
+            step="1"
+            min="0"
+            max="100"
+          />
+          <span className="block text-xs font-normal text-gray-500 dark:text-gray-400 mt-1">
+            When a cycle ends, this share of the budget left unspent in it is added to the goal automatically.
+          </span>
+        </label>
+        <div className="flex space-x-2 overflow-x-auto pb-2">
+          {COLORS.map(color => (
+            <button
+              type="button"
+              key={color}
+              style={{ backgroundColor: color }}
+              className={`w-10 h-10 rounded-full flex-shrink-0 transition ${form.color === color ? 'ring-4 ring-offset-2 ring-indigo-500' : ''}`}
+              onClick={() => setForm({ ...form, color })}
+              aria-label={`Select color ${color}`}
+            ></button>
+          ))}
+        </div>
+        <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
+          {goal ? 'Save Changes' : 'Create Goal'}
+        </button>
+      </form>
+
+      {goal && (
+        <div className="mt-5 space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Contributions</h4>
+          {goalContributions.length === 0 && (
+            <p className="text-center text-gray-500 italic text-sm py-2">Nothing saved toward this goal yet.</p>
+          )}
+          <div className="max-h-48 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+            {goalContributions.map(c => (
+              <div key={c.id} className="flex items-center justify-between py-2 text-sm">
+                <span className="flex flex-col min-w-0">
+                  <span className="font-medium text-gray-900 dark:text-white">{formatCurrency(c.amount, c.currencyCode || currencyCode)}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {c.timestamp.toLocaleDateString()}{c.note ? ` · ${c.note}` : ''}
+                  </span>
+                </span>
+                <button onClick={() => onDeleteContribution(c.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-50 dark:hover:bg-gray-700" aria-label="Delete contribution">
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => {
+              if (!confirmingDelete) {
+                setConfirmingDelete(true);
+                return;
+              }
+              onDelete();
+              closeModal();
+            }}
+            className="w-full flex items-center justify-center p-2 text-sm font-semibold text-red-600 bg-red-50 dark:bg-gray-700 rounded-xl hover:bg-red-100 dark:hover:bg-gray-600 transition"
           >
-            {[1, 2, 3, 6, 12].map(m => <option key={m} value={m}>{m} Month{m > 1 ? 's' : ''}</option>)}
-          </select>
+            <Trash2 size={16} className="mr-1" />
+            {confirmingDelete ? `Delete goal and ${goalContributions.length} contribution${goalContributions.length === 1 ? '' : 's'}?` : 'Delete Goal'}
+          </button>
         </div>
-        <div className="flex justify-between items-center space-x-4">
-          <label htmlFor="currency" className="text-gray-700 dark:text-gray-300 text-sm font-medium">Currency:</label>
-          <select
-            id="currency"
-            value={tempCurrency}
-            onChange={(e) => setTempCurrency(e.target.value)}
-            className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+      )}
+    </Modal>
+  );
+};
+
+// Logs money put toward a goal; it is kept apart from category spending
+const ContributionModal = ({ goals, initialGoalId, currencyCode, onSave, closeModal }) => {
+  const [form, setForm] = useState(() => ({ ...emptyTransactionForm('', currencyCode), goalId: initialGoalId || goals[0]?.id || '' }));
+  const [error, setError] = useState(null);
+  const focusClass = "focus:ring-indigo-500 focus:border-indigo-500";
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(form.amount);
+    const timestamp = combineDateAndTime(form.date, form.time);
+    if (!form.goalId) {
+      setError('Please pick a goal.');
+      return;
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      setError('Please enter an amount greater than zero.');
+      return;
+    }
+    if (!timestamp) {
+      setError('Please enter a valid date.');
+      return;
+    }
+    onSave({ goalId: form.goalId, amount, currencyCode: form.currencyCode, timestamp, note: form.note.trim() });
+    closeModal();
+  };
+
+  return (
+    <Modal title="Add to Goal" closeModal={closeModal}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <FormError message={error} />
+        <select
+          value={form.goalId}
+          onChange={(e) => setForm({ ...form, goalId: e.target.value })}
+          className={`w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+          aria-label="Goal"
+        >
+          {goals.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+        </select>
+        <AmountWithCurrency value={form} onChange={setForm} placeholder="Amount" focusClass={focusClass} />
+        <DateTimeFields value={form} onChange={setForm} focusClass={focusClass} />
+        <input
+          type="text"
+          placeholder="Note (optional)"
+          value={form.note}
+          onChange={(e) => setForm({ ...form, note: e.target.value })}
+          className={`w-full p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-700 dark:text-white ${focusClass}`}
+        />
+        <button type="submit" className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition">
+          Add Contribution
+        </button>
+      </form>
+    </Modal>
+  );
+};
+
+const DataManagementCard = ({ onImport, onExport, onBackup, onRestore }) => (
+  <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+    <h3 className="text-lg font-bold text-gray-900 dark:text-white">Data</h3>
+    <div className="grid grid-cols-2 gap-2 mt-3">
+      {onImport && (
+        <button onClick={onImport} className="flex items-center justify-center p-2 text-sm font-semibold text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-gray-700 rounded-xl hover:bg-indigo-100 dark:hover:bg-gray-600 transition">
+          <Upload size={16} className="mr-2" /> Import CSV
+        </button>
+      )}
+      {onExport && (
+        <button onClick={onExport} className="flex items-center justify-center p-2 text-sm font-semibold text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-gray-700 rounded-xl hover:bg-indigo-100 dark:hover:bg-gray-600 transition">
+          <Download size={16} className="mr-2" /> Export
+        </button>
+      )}
+      {onBackup && (
+        <button onClick={onBackup} className="flex items-center justify-center p-2 text-sm font-semibold text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-gray-700 rounded-xl hover:bg-indigo-100 dark:hover:bg-gray-600 transition">
+          <Archive size={16} className="mr-2" /> Backup
+        </button>
+      )}
+      {onRestore && (
+        <button onClick={onRestore} className="flex items-center justify-center p-2 text-sm font-semibold text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-gray-700 rounded-xl hover:bg-indigo-100 dark:hover:bg-gray-600 transition">
+          <RotateCcw size={16} className="mr-2" /> Restore
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+const SharedBudgetsCard = ({ userId, budgets, activeBudget, invites, onSwitch, onCreate, onJoin, onCreateInvite, onRevokeInvite, onChangeRole, onRemoveMember }) => {
+  const [newName, setNewName] = useState('');
+  const [copyCurrentData, setCopyCurrentData] = useState(true);
+  const [joinCode, setJoinCode] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [inviteCode, setInviteCode] = useState(null);
+  const [isWorking, setIsWorking] = useState(false); // Membership changes are checked by the server, so they wait for it
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Error updating shared budget: ", err);
+      setError(err.code === 'permission-denied' ? 'You do not have permission to do that.' : err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const myRole = activeBudget?.members[userId]?.role;
+  const members = activeBudget ? Object.entries(activeBudget.members).sort(([, a], [, b]) => a.name.localeCompare(b.name)) : [];
+  const inputClass = 'flex-grow p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500';
+  const buttonClass = 'px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg space-y-4">
+      <h3 className="text-lg font-bold text-gray-900 dark:text-white">Shared Budgets</h3>
+      <FormError message={error} />
+
+      <div className="flex flex-wrap gap-2">
+        {[{ id: null, name: 'Personal' }, ...(budgets || [])].map(b => (
+          <button
+            key={b.id || 'personal'}
+            onClick={() => onSwitch(b.id)}
+            className={`px-3 py-1.5 text-sm font-semibold rounded-lg transition ${(activeBudget?.id || null) === b.id ? 'bg-indigo-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
           >
-            {Object.entries(CURRENCIES).map(([code, { symbol, name }]) => (
-              <option key={code} value={code}>{symbol} - {name}</option>
-            ))}
-          </select>
+            {b.name}
+          </button>
+        ))}
+      </div>
+
+      {activeBudget && (
+        <div className="space-y-2">
+          <p className="text-sm font-semibold text-gray-700 dark:text-gray-300">Members of {activeBudget.name}</p>
+          {members.map(([uid, member]) => (
+            <div key={uid} className="flex items-center justify-between text-sm">
+              <span className="text-gray-800 dark:text-gray-200">{member.name}{uid === userId ? ' (you)' : ''}</span>
+              {myRole === 'owner' && uid !== activeBudget.ownerId ? (
+                <div className="flex items-center space-x-1">
+                  <select
+                    value={member.role}
+                    disabled={isWorking}
+                    onChange={(e) => run(() => onChangeRole(uid, e.target.value))}
+                    className="p-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                  >
+                    {SHARED_ROLES.filter(r => r.code !== 'owner').map(r => <option key={r.code} value={r.code}>{r.name}</option>)}
+                  </select>
+                  <button disabled={isWorking} onClick={() => run(() => onRemoveMember(uid))} className="text-red-400 hover:text-red-600 p-1" aria-label="Remove member">
+                    <X size={16} />
+                  </button>
+                </div>
+              ) : (
+                <span className="text-xs text-gray-500 dark:text-gray-400">{SHARED_ROLES.find(r => r.code === member.role)?.name}</span>
+              )}
+            </div>
+          ))}
+
+          {myRole === 'owner' && (
+            <div className="flex items-center space-x-2 pt-2">
+              <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className="p-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white">
+                {SHARED_ROLES.filter(r => r.code !== 'owner').map(r => <option key={r.code} value={r.code}>{r.name}</option>)}
+              </select>
+              <button disabled={isWorking || members.length >= MAX_BUDGET_MEMBERS} onClick={() => run(async () => setInviteCode(await onCreateInvite(inviteRole)))} className={buttonClass}>
+                Create Invite Code
+              </button>
+            </div>
+          )}
+          {myRole === 'owner' && members.length >= MAX_BUDGET_MEMBERS && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">A shared budget can have up to {MAX_BUDGET_MEMBERS} members.</p>
+          )}
+          {inviteCode && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Share this code: <span className="font-mono font-bold text-indigo-600 dark:text-indigo-400 select-all">{inviteCode}</span>
+            </p>
+          )}
+          {myRole === 'owner' && invites.length > 0 && (
+            <div className="space-y-1 pt-1">
+              <p className="text-xs font-semibold text-gray-500 dark:text-gray-400">Invite codes</p>
+              {invites.map(invite => {
+                const expiresAt = inviteExpiresAt(invite);
+                return (
+                  <div key={invite.code} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-800 dark:text-gray-200">
+                      <span className="font-mono">{invite.code}</span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400"> · {SHARED_ROLES.find(r => r.code === invite.role)?.name} · {!expiresAt ? 'Saving…' : expiresAt <= new Date() ? 'Expired' : `Expires ${expiresAt.toLocaleDateString()}`}</span>
+                    </span>
+                    <button
+                      disabled={isWorking}
+                      onClick={() => run(async () => { await onRevokeInvite(invite.code); if (inviteCode === invite.code) setInviteCode(null); })}
+                      className="text-xs font-semibold text-red-600 hover:underline"
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          {myRole !== 'owner' && (
+            <button disabled={isWorking} onClick={() => run(() => onRemoveMember(userId))} className="text-sm font-semibold text-red-600 hover:underline">
+              Leave this budget
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-2 border-t border-gray-100 dark:border-gray-700 pt-3">
+        <div className="flex space-x-2">
+          <input type="text" placeholder="New shared budget name" value={newName} onChange={(e) => setNewName(e.target.value)} className={inputClass} />
+          <button
+            disabled={isWorking || !newName.trim()}
+            onClick={() => run(async () => { await onCreate(newName, copyCurrentData); setNewName(''); })}
+            className={buttonClass}
+          >
+            Create
+          </button>
+        </div>
+        <label className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+          <input type="checkbox" checked={copyCurrentData} onChange={(e) => setCopyCurrentData(e.target.checked)} className="mr-2" />
+          Start with a copy of the budget shown now
+        </label>
+        <div className="flex space-x-2">
+          <input type="text" placeholder="Invite code" value={joinCode} onChange={(e) => setJoinCode(e.target.value)} className={`${inputClass} font-mono uppercase`} />
+          <button
+            disabled={isWorking || !joinCode.trim()}
+            onClick={() => run(async () => { await onJoin(joinCode); setJoinCode(''); })}
+            className={buttonClass}
+          >
+            Join
+          </button>
         </div>
       </div>
-      <button
-        onClick={handleSave}
-        className="w-full bg-indigo-600 text-white p-3 rounded-xl font-semibold hover:bg-indigo-700 transition mt-4"
-      >
-        Save Settings
+    </div>
+  );
+};
+
+const RecurringRulesCard = ({ rules, categoryMap, currencyCode, onAdd, onEdit, onTogglePause, onDelete }) => (
+  <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+    <div className="flex justify-between items-center">
+      <h3 className="text-lg font-bold text-gray-900 dark:text-white">Recurring Transactions</h3>
+      <button onClick={onAdd} className="flex items-center px-3 py-1.5 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition">
+        <Plus size={16} className="mr-1" /> Add Rule
       </button>
     </div>
+    <div className="mt-3 divide-y divide-gray-100 dark:divide-gray-700">
+      {rules.length === 0 && (
+        <p className="text-center text-gray-500 italic text-sm py-2">No recurring rules yet. Add your salary, rent or subscriptions.</p>
+      )}
+      {rules.map(rule => {
+        const isExpense = rule.type === 'expense';
+        const label = isExpense ? (categoryMap[rule.categoryId]?.name || 'Uncategorized') : (categoryMap[rule.categoryId]?.name || 'Income');
+        return (
+          <div key={rule.id} className={`flex items-center justify-between py-2 ${rule.paused ? 'opacity-50' : ''}`}>
+            <div className="flex flex-col text-sm">
+              <span className="font-medium text-gray-900 dark:text-white">
+                {label}{rule.source ? ` · ${rule.source}` : ''}
+              </span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {describeRecurrence(rule)}{rule.paused ? ' (Paused)' : ''}
+              </span>
+            </div>
+            <div className="flex items-center space-x-1">
+              <span className={`text-sm font-bold mr-1 ${isExpense ? 'text-pink-600' : 'text-green-600'}`}>
+                {isExpense ? '-' : '+'} {formatCurrency(rule.amount, rule.currencyCode || currencyCode)}
+              </span>
+              <button onClick={() => onTogglePause(rule)} className="text-gray-500 hover:text-gray-700 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700" aria-label={rule.paused ? 'Resume rule' : 'Pause rule'}>
+                {rule.paused ? <Play size={16} /> : <Pause size={16} />}
+              </button>
+              <button onClick={() => onEdit(rule)} className="text-indigo-500 hover:text-indigo-700 p-1 rounded-full hover:bg-indigo-50 dark:hover:bg-gray-700" aria-label="Edit rule">
+                <Pencil size={16} />
+              </button>
+              <button onClick={() => onDelete(rule.id)} className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-50 dark:hover:bg-gray-700" aria-label="Delete rule">
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+// Filters for the History tab. Text fields are applied on Enter or when they lose focus, everything else right away.
+const HistoryFilterBar = ({ filters, onChange, categories, incomeCategories, sources, accounts, showFilters, onToggleFilters }) => {
+  const [draft, setDraft] = useState({ q: filters.q, min: filters.min, max: filters.max });
+
+  useEffect(() => {
+    setDraft({ q: filters.q, min: filters.min, max: filters.max });
+  }, [filters.q, filters.min, filters.max]);
+
+  const applyDraft = () => {
+    if (draft.q !== filters.q || draft.min !== filters.min || draft.max !== filters.max) onChange(draft);
+  };
+
+  const inputClass = 'w-full p-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white focus:ring-indigo-500 focus:border-indigo-500';
+  const activeCount = countActiveFilters(filters);
+
+  return (
+    <form onSubmit={(e) => { e.preventDefault(); applyDraft(); }} className="space-y-2">
+      <div className="flex space-x-2">
+        <div className="relative flex-grow">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            value={draft.q}
+            onChange={(e) => setDraft({ ...draft, q: e.target.value })}
+            onBlur={applyDraft}
+            placeholder="Search notes, #tags, sources or categories"
+            className="w-full pl-9 p-3 border border-gray-300 dark:border-gray-600 rounded-xl dark:bg-gray-800 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+            aria-label="Search transactions"
+          />
+        </div>
+        <button
+          type="button"
+          onClick={onToggleFilters}
+          className="px-3 text-sm font-semibold text-indigo-600 dark:text-indigo-400 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-xl flex-shrink-0"
+          aria-expanded={showFilters}
+        >
+          Filters{activeCount > 0 ? ` (${activeCount})` : ''}
+        </button>
+      </div>
+      {showFilters && (
+        <div className="grid grid-cols-2 gap-2 p-3 bg-white dark:bg-gray-800 rounded-xl shadow">
+          <select value={filters.type} onChange={(e) => onChange({ type: e.target.value })} className={inputClass} aria-label="Type">
+            <option value="all">All Types</option>
+            <option value="expense">Expenses</option>
+            <option value="budget">Income</option>
+            <option value="transfer">Transfers</option>
+          </select>
+          <select value={filters.categoryId} onChange={(e) => onChange({ categoryId: e.target.value })} className={inputClass} aria-label="Category">
+            <option value="">All Categories</option>
+            <CategoryOptions categories={categories} />
+            {incomeCategories.length > 0 && (
+              <optgroup label="Income">
+                {incomeCategories.map(cat => <option key={cat.id} value={cat.id}>{cat.name}</option>)}
+              </optgroup>
+            )}
+          </select>
+          <select value={filters.source} onChange={(e) => onChange({ source: e.target.value })} className={`${accounts.length > 0 ? '' : 'col-span-2 '}${inputClass}`} aria-label="Source">
+            <option value="">All Sources</option>
+            {sources.map(source => <option key={source} value={source}>{source}</option>)}
+          </select>
+          {accounts.length > 0 && (
+            <select value={filters.accountId} onChange={(e) => onChange({ accountId: e.target.value })} className={inputClass} aria-label="Account">
+              <option value="">All Accounts</option>
+              {accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+          )}
+          <input type="date" value={filters.from} onChange={(e) => onChange({ from: e.target.value })} className={inputClass} aria-label="From date" />
+          <input type="date" value={filters.to} onChange={(e) => onChange({ to: e.target.value })} className={inputClass} aria-label="To date" />
+          <input
+            type="number"
+            value={draft.min}
+            onChange={(e) => setDraft({ ...draft, min: e.target.value })}
+            onBlur={applyDraft}
+            placeholder="Min amount"
+            className={inputClass}
+            step="0.01"
+            min="0"
+          />
+          <input
+            type="number"
+            value={draft.max}
+            onChange={(e) => setDraft({ ...draft, max: e.target.value })}
+            onBlur={applyDraft}
+            placeholder="Max amount"
+            className={inputClass}
+            step="0.01"
+            min="0"
+          />
+          {activeCount > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange(EMPTY_HISTORY_FILTERS)}
+              className="col-span-2 p-2 text-sm font-semibold text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              Clear All Filters
+            </button>
+          )}
+        </div>
+      )}
+    </form>
+  );
+};
+
+// Spending per tag. An entry with several tags counts in full toward each of them, so the rows can add up to more than the total.
+const TagBreakdownCard = ({ expenses, cycle, currencyCode, scope, onScopeChange }) => {
+  const now = new Date();
+  const inScope = expenses.filter(t => (
+    t.type === 'expense' && !isScheduled(t, now) && (scope === 'all' || (t.timestamp >= cycle.start && t.timestamp < cycle.end))
+  ));
+  const totals = inScope.reduce((acc, t) => {
+    (t.tags && t.tags.length > 0 ? t.tags : [null]).forEach(tag => {
+      const key = tag === null ? '' : tag;
+      acc[key] = (acc[key] || 0) + t.baseAmount;
+    });
+    return acc;
+  }, {});
+  const rows = Object.entries(totals).filter(([tag]) => tag !== '').sort(([, a], [, b]) => b - a);
+  const largest = rows.length > 0 ? rows[0][1] : 0;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Spending by Tag</h3>
+        <select
+          value={scope}
+          onChange={(e) => onScopeChange(e.target.value)}
+          className="p-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+          aria-label="Period"
+        >
+          <option value="cycle">This Cycle</option>
+          <option value="all">All Time</option>
+        </select>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-center text-gray-500 dark:text-gray-400 py-6">Add tags such as #trip-goa to your expenses to see them here.</p>
+      ) : (
+        <div className="space-y-3">
+          {rows.map(([tag, amount]) => (
+            <div key={tag}>
+              <div className="flex justify-between text-sm">
+                <span className="font-medium text-indigo-700 dark:text-indigo-300">#{tag}</span>
+                <span className="font-bold text-gray-800 dark:text-gray-200">{formatCurrency(amount, currencyCode)}</span>
+              </div>
+              <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden mt-1">
+                <div className="h-full rounded-full bg-indigo-500" style={{ width: `${(amount / largest) * 100}%` }}></div>
+              </div>
+            </div>
+          ))}
+          {totals[''] > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">Untagged: {formatCurrency(totals[''], currencyCode)}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Income per income category, this cycle or all time, with uncategorized income as its own slice
+const IncomeBreakdownCard = ({ entries, categoryMap, cycle, currencyCode, scope, onScopeChange }) => {
+  const now = new Date();
+  const totals = entries
+    .filter(t => (
+      t.type === 'budget' && !isScheduled(t, now) && (scope === 'all' || (t.timestamp >= cycle.start && t.timestamp < cycle.end))
+    ))
+    .reduce((acc, t) => {
+      const key = categoryMap[t.categoryId] ? t.categoryId : UNCATEGORIZED_INCOME_ID;
+      acc[key] = (acc[key] || 0) + t.baseAmount;
+      return acc;
+    }, {});
+  const pieData = Object.entries(totals)
+    .map(([id, value], index) => ({
+      id,
+      name: categoryMap[id]?.name || 'Uncategorized',
+      value,
+      color: categoryMap[id]?.color || COLORS[index % COLORS.length],
+    }))
+    .sort((a, b) => b.value - a.value);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Income Distribution</h3>
+        <select
+          value={scope}
+          onChange={(e) => onScopeChange(e.target.value)}
+          className="p-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+          aria-label="Period"
+        >
+          <option value="cycle">This Cycle</option>
+          <option value="all">All Time</option>
+        </select>
+      </div>
+      {pieData.length > 0 ? (
+        <ResponsiveContainer width="100%" height={260}>
+          <PieChart>
+            <Pie
+              data={pieData}
+              cx="50%"
+              cy="50%"
+              innerRadius={50}
+              outerRadius={90}
+              paddingAngle={5}
+              dataKey="value"
+              labelLine={false}
+              label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
+            >
+              {pieData.map(entry => <Cell key={entry.id} fill={entry.color} />)}
+            </Pie>
+            <Tooltip formatter={(value) => formatCurrency(value, currencyCode)} />
+            <Legend layout="vertical" align="right" verticalAlign="middle" wrapperStyle={{ paddingLeft: '20px' }} />
+          </PieChart>
+        </ResponsiveContainer>
+      ) : (
+        <p className="text-center text-gray-500 dark:text-gray-400 py-6">Log income to see where it comes from.</p>
+      )}
+    </div>
   );
 };
 
-const ExpenseCycleBarChart = ({ expenses, cycleMonths, currencyCode }) => {
+const ExpenseCycleBarChart = ({ expenses, cycleConfig, currencyCode }) => {
   const cycleData = useMemo(() => {
-    if (expenses.length === 0 || cycleMonths === 0) return [];
+    if (expenses.length === 0) return [];
 
     const now = new Date();
     const numCycles = 5; // Show current + 4 previous cycles
+    const currentCycle = getCycleForDate(cycleConfig, now);
     const data = [];
 
     for (let i = 0; i < numCycles; i++) {
-      const endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      endDate.setMonth(now.getMonth() - (i * cycleMonths));
-      // Adjust end date to the end of the month/cycle
-
-      const startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      startDate.setMonth(now.getMonth() - ((i + 1) * cycleMonths) + 1);
-
-      const labelStart = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
-      const labelEnd = new Date(endDate.getFullYear(), endDate.getMonth() + 1, 0);
-
-      const label = i === 0
-        ? 'Current'
-        : `${labelStart.toLocaleString('default', { month: 'short' })}-${labelEnd.toLocaleString('default', { month: 'short', year: 'numeric' }).slice(2)}`;
-
-      const cycleExpenses = expenses.filter(exp => exp.type === 'expense' && exp.timestamp >= startDate && exp.timestamp <= endDate);
-      const totalExpense = cycleExpenses.reduce((sum, exp) => sum + exp.amount, 0);
+      const cycle = shiftCycle(cycleConfig, currentCycle, -i);
+      const cycleEntries = expenses.filter(exp => (
+        exp.timestamp >= cycle.start && exp.timestamp < cycle.end && (i > 0 || !isScheduled(exp, now))
+      ));
+      const total = (type) => cycleEntries.filter(exp => exp.type === type).reduce((sum, exp) => sum + exp.baseAmount, 0);
+      const totalIncome = total('budget');
+      const totalExpense = total('expense');
 
       data.push({
-        name: label,
+        name: i === 0 ? 'Current' : formatCycleRange(cycle),
+        Income: totalIncome,
         Expenses: totalExpense,
+        savingsRate: calculateSavingsRate(totalIncome, totalExpense),
         isCurrent: i === 0,
       });
     }
     return data.reverse(); // Reverse to show oldest on left
-  }, [expenses, cycleMonths]);
+  }, [expenses, cycleConfig]);
 
   const CurrencySymbol = CURRENCIES[currencyCode]?.symbol || '$';
 
@@ -389,7 +4767,7 @@ const ExpenseCycleBarChart = ({ expenses, cycleMonths, currencyCode }) => {
 
   return (
     <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
-      <h3 className="text-xl font-semibold mb-4 text-gray-900 dark:text-white">Cycle-to-Cycle Comparison</h3>
+      <h3 className="text-xl font-semibold mb-4 text-gray-900 dark:text-white">Income vs. Expenses by Cycle</h3>
       <ResponsiveContainer width="100%" height={300}>
         <RechartsBarChart data={cycleData} margin={{ top: 10, right: 10, left: 0, bottom: 5 }}>
           <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" className="dark:stroke-gray-600" />
@@ -401,14 +4779,86 @@ const ExpenseCycleBarChart = ({ expenses, cycleMonths, currencyCode }) => {
             className="text-xs dark:text-gray-400"
           />
           <Tooltip formatter={(value) => formatCurrency(value, currencyCode)} labelFormatter={(name) => `Cycle: ${name}`} />
-          <Bar dataKey="Expenses" fill="#6366f1" radius={[4, 4, 0, 0]} />
+          <Legend />
+          <Bar dataKey="Income" fill="#10b981" radius={[4, 4, 0, 0]} />
+          <Bar dataKey="Expenses" fill="#ec4899" radius={[4, 4, 0, 0]} />
         </RechartsBarChart>
       </ResponsiveContainer>
-      <p className="text-center text-xs text-gray-500 dark:text-gray-400 mt-2">Comparison over the last {cycleData.length} cycles (each {cycleMonths} month{cycleMonths > 1 ? 's' : ''}).</p>
+      <div className="mt-3">
+        <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Savings Rate</h4>
+        <div className="grid grid-cols-5 gap-1 text-center">
+          {cycleData.map(d => (
+            <div key={d.name} className={`p-1 rounded-lg ${d.isCurrent ? 'bg-indigo-50 dark:bg-gray-700' : ''}`}>
+              <p className={`text-sm font-bold ${d.savingsRate === null ? 'text-gray-400' : d.savingsRate < 0 ? 'text-pink-600' : 'text-green-600'}`}>
+                {d.savingsRate === null ? '—' : `${Math.round(d.savingsRate * 100)}%`}
+              </p>
+              <p className="text-[10px] text-gray-500 dark:text-gray-400 truncate">{d.name}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+      <p className="text-center text-xs text-gray-500 dark:text-gray-400 mt-2">Comparison over the last {cycleData.length} cycles ({describeCycle(cycleConfig).toLowerCase()}).</p>
     </div>
   );
 };
 
+// Header badge summarising connectivity, unsynced local writes and failed writes
+const SyncStatusBadge = ({ isLocal, isOnline, hasPendingWrites, failedCount, onClick }) => {
+  let Icon = Cloud;
+  let label = 'Synced';
+  let color = 'text-green-600 bg-green-50 dark:bg-gray-700';
+  if (failedCount > 0) {
+    Icon = AlertTriangle;
+    label = `${failedCount} Failed`;
+    color = 'text-red-600 bg-red-50 dark:bg-gray-700';
+  } else if (isLocal) {
+    // The local backend never syncs, so connectivity is irrelevant
+    Icon = Archive;
+    label = 'Local';
+    color = 'text-gray-600 bg-gray-100 dark:bg-gray-700 dark:text-gray-300';
+  } else if (!isOnline) {
+    Icon = CloudOff;
+    label = hasPendingWrites ? 'Offline · Pending' : 'Offline';
+    color = 'text-amber-600 bg-amber-50 dark:bg-gray-700';
+  } else if (hasPendingWrites) {
+    Icon = RefreshCw;
+    label = 'Syncing';
+    color = 'text-indigo-600 bg-indigo-50 dark:bg-gray-700';
+  }
+  return (
+    <button onClick={onClick} className={`flex items-center px-2 py-1 text-xs font-semibold rounded-lg ${color}`} aria-label={`Sync status: ${label}`}>
+      <Icon size={14} className={`mr-1 ${Icon === RefreshCw ? 'animate-spin' : ''}`} /> {label}
+    </button>
+  );
+};
+
+const SyncIssuesModal = ({ isLocal, isOnline, hasPendingWrites, failedWrites, onRetry, onDiscard, closeModal }) => (
+  <Modal title="Sync Status" closeModal={closeModal}>
+    <div className="space-y-3 text-sm">
+      <p className="text-gray-600 dark:text-gray-400">
+        {isLocal ? 'Firebase is not configured. All data is stored in this browser only; use Backup on the Manage tab to keep a copy.' : isOnline ? 'You are online.' : 'You are offline. New entries are saved on this device and sync when the connection returns.'}
+        {!isLocal && (hasPendingWrites ? ' Some changes are waiting to sync.' : ' All changes are synced.')}
+      </p>
+      {failedWrites.length === 0 ? (
+        <p className="text-center text-gray-500 italic">No failed writes.</p>
+      ) : (
+        <div className="divide-y divide-gray-100 dark:divide-gray-700">
+          {failedWrites.map(write => (
+            <div key={write.id} className="py-2">
+              <p className="font-medium text-gray-900 dark:text-white">{write.label}</p>
+              <p className="text-xs text-red-600 dark:text-red-400">{write.message}</p>
+              <div className="flex justify-end space-x-2 mt-1">
+                <button onClick={() => onDiscard(write.id)} className="px-3 py-1 text-xs font-semibold text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700">Discard</button>
+                <button onClick={() => onRetry(write.id)} className="px-3 py-1 text-xs font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700">Retry</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  </Modal>
+);
+
 const TabButton = ({ name, label, Icon, activeTab, setActiveTab }) => {
   const isActive = activeTab === name;
   const color = isActive ? 'text-indigo-600 dark:text-indigo-400' : 'text-gray-500 dark:text-gray-400';
@@ -430,31 +4880,70 @@ const TabButton = ({ name, label, Icon, activeTab, setActiveTab }) => {
 // --- App Component ---
 
 const App = () => {
-  const [db, setDb] = useState(null);
+  const [store, setStore] = useState(null); // Data-access layer (Firestore or local IndexedDB)
+  const [firebase, setFirebase] = useState(null); // { auth, firestore } when Firebase is configured
   const [userId, setUserId] = useState(null);
+  const [authUser, setAuthUser] = useState(null); // See describeAuthUser
+  const [sharedBudgets, setSharedBudgets] = useState(null); // null until the first snapshot arrives
+  const [budgetInvites, setBudgetInvites] = useState([]); // Invites the user created for the active budget
+  const [activeBudgetId, setActiveBudgetId] = useState(() => localStorage.getItem(ACTIVE_BUDGET_STORAGE_KEY)); // null = personal budget
+  const [memberFilter, setMemberFilter] = useState('all'); // Overview filter: 'all' or a member uid
   const [loading, setLoading] = useState(true);
   // Added 'transactions' tab and renamed 'expenses' to 'budget' and 'allocate' to 'manage'
-  const [activeTab, setActiveTab] = useState('overview'); // overview, transactions, budget, manage, analysis
+  const [activeTab, setActiveTab] = useState('overview'); // overview, transactions, budget, manage, balances, analysis
+  const [historyFilters, setHistoryFilters] = useState(readHistoryFiltersFromUrl);
+  const [historyPage, setHistoryPage] = useState(0);
+  const [showHistoryFilters, setShowHistoryFilters] = useState(() => countActiveFilters({ ...readHistoryFiltersFromUrl(), q: '' }) > 0);
+  // Like the history filters, these live here: the tab components are recreated on every render of App
+  const [expandedBudgetIds, setExpandedBudgetIds] = useState([]); // Budget tab: parent categories showing their subcategories
+  const [drillParentId, setDrillParentId] = useState(null); // Analysis tab: the parent category whose subcategories the pie shows
+  const [tagBreakdownScope, setTagBreakdownScope] = useState('cycle'); // Analysis tab: 'cycle' or 'all'
+  const [incomeBreakdownScope, setIncomeBreakdownScope] = useState('cycle'); // Analysis tab: 'cycle' or 'all'
   const [showFabMenu, setShowFabMenu] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [modalType, setModalType] = useState(null); // 'expense', 'budget', 'category'
+  const [modalType, setModalType] = useState(null); // 'expense', 'budget', 'category', 'recurring', 'import', 'export', 'restore', 'sync', 'account', 'settle', 'ledger', 'sourceMigration', 'transfer', 'goal', 'contribution'
+  const [editingTransactionId, setEditingTransactionId] = useState(null); // Set when the expense/budget modal edits an existing entry
+  const [editingRuleId, setEditingRuleId] = useState(null); // Set when the recurring modal edits an existing rule
+  const [settleContactId, setSettleContactId] = useState(null); // Contact shown in the settle-up modal
+  const [ledgerAccountId, setLedgerAccountId] = useState(null); // Account shown in the ledger modal
+  const [editingGoalId, setEditingGoalId] = useState(null); // Goal edited in the goal modal; null creates a new one
+  const [contributionGoalId, setContributionGoalId] = useState(null); // Goal preselected in the contribution modal
+  const [formError, setFormError] = useState(null);
+
+  // Sync States
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [pendingWrites, setPendingWrites] = useState({}); // listener name -> snapshot.metadata.hasPendingWrites
+  const [failedWrites, setFailedWrites] = useState([]); // { id, label, message, retry }
+  const [waitingWorker, setWaitingWorker] = useState(null); // Set when a new service worker version is ready
 
   // Data States
   const [categories, setCategories] = useState([]);
+  const [incomeCategories, setIncomeCategories] = useState([]); // Categories with kind: 'income'
   const [expenses, setExpenses] = useState([]);
-  const [settings, setSettings] = useState({
-    currencyCode: DEFAULT_CURRENCY_CODE,
-    cycleMonths: 1, // 1, 2, 3, 6, 12
-  });
+  const [recurringRules, setRecurringRules] = useState([]);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [contacts, setContacts] = useState([]); // People bills are split with
+  const [settlements, setSettlements] = useState([]);
+  const [accounts, setAccounts] = useState([]); // Cash, bank, card and wallet accounts entries are paid from or into
+  const [goals, setGoals] = useState([]); // Savings goals
+  const [goalContributions, setGoalContributions] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [unsavedCycleAnchor, setUnsavedCycleAnchor] = useState(null); // Anchor derived for settings saved before cycle anchors
 
   // Data for current modals
-  const [newExpense, setNewExpense] = useState({ amount: '', categoryId: '', source: '' });
-  const [newBudget, setNewBudget] = useState({ amount: '', categoryId: '', source: '' });
+  const [newExpense, setNewExpense] = useState(emptyTransactionForm);
+  const [newBudget, setNewBudget] = useState(emptyTransactionForm);
+  const [newTransfer, setNewTransfer] = useState(() => emptyTransferForm([], DEFAULT_CURRENCY_CODE));
+  const [newRule, setNewRule] = useState(emptyRecurringForm);
   // Updated state structure to include baseFrequency and baseLimit
   const [newCategory, setNewCategory] = useState({ 
     name: '', 
     baseLimit: '', 
     baseFrequency: 'monthly', // New default
+    baseFrequencyDays: '',
+    parentId: '',
+    rolloverMode: 'none',
+    rolloverCap: '',
     color: COLORS[0], 
     icon: 'Tag' 
   });
@@ -468,47 +4957,88 @@ const App = () => {
     manifestLink.href = URL.createObjectURL(manifestBlob);
     document.head.appendChild(manifestLink);
 
-    // B. Register the Service Worker
+    // B. Register the Service Worker and watch for a new version waiting to take over
+    let onControllerChange = null;
     if ('serviceWorker' in navigator) {
-      // Create a Blob from the Service Worker content string
-      const swBlob = new Blob([SERVICE_WORKER_CONTENT], { type: 'application/javascript' });
-      // Create a URL for the Blob
-      const swUrl = URL.createObjectURL(swBlob);
+      const trackInstalling = (worker) => {
+        worker.addEventListener('statechange', () => {
+          // An installed worker while another one controls the page is an update, not the first install
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            setWaitingWorker(worker);
+          }
+        });
+      };
 
-      navigator.serviceWorker.register(swUrl)
+      navigator.serviceWorker.register(SERVICE_WORKER_URL)
         .then(registration => {
           console.log('Service Worker registration successful with scope: ', registration.scope);
+          if (registration.waiting && navigator.serviceWorker.controller) {
+            setWaitingWorker(registration.waiting);
+          }
+          if (registration.installing) {
+            trackInstalling(registration.installing);
+          }
+          registration.addEventListener('updatefound', () => trackInstalling(registration.installing));
         })
         .catch(error => {
           console.error('Service Worker registration failed: ', error);
         });
+
+      // Reload once the new worker has taken control after the user accepted the update
+      let reloading = false;
+      onControllerChange = () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+      };
+      navigator.serviceWorker.addEventListener('controllerchange', onControllerChange);
     }
 
     return () => {
         document.head.removeChild(manifestLink);
+        if (onControllerChange) {
+          navigator.serviceWorker.removeEventListener('controllerchange', onControllerChange);
+        }
     };
   }, []);
 
 
-  // 2. Firebase Initialization and Authentication
+  // 2. Data Store Initialization and Authentication
   useEffect(() => {
     if (!firebaseConfig) {
-      console.error("Firebase config is missing.");
+      // Without Firebase the app runs fully local on IndexedDB
+      console.info("Firebase config is missing; using local storage.");
+      setStore(createLocalStore());
+      setUserId('local');
       setLoading(false);
       return;
     }
 
     try {
       const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
+      // Offline persistence: writes apply to the local cache immediately and sync once a connection is available
+      const firestore = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+      });
       const authentication = getAuth(app);
-      setDb(firestore);
+      if (firebaseEmulators) {
+        // Emulators must be connected before the first request
+        if (firebaseEmulators.auth) connectAuthEmulator(authentication, firebaseEmulators.auth, { disableWarnings: true });
+        if (firebaseEmulators.firestore) {
+          const [host, port] = firebaseEmulators.firestore.split(':');
+          connectFirestoreEmulator(firestore, host, parseInt(port, 10));
+        }
+      }
+      setFirebase({ auth: authentication, firestore });
       
       const unsubscribe = onAuthStateChanged(authentication, async (user) => {
         if (user) {
           setUserId(user.uid);
+          setAuthUser(describeAuthUser(user));
           setLoading(false);
         } else {
+          // No user (first visit or after signing out): start as a guest
+          setAuthUser(null);
           try {
             if (initialAuthToken) {
               await signInWithCustomToken(authentication, initialAuthToken);
@@ -528,197 +5058,1091 @@ const App = () => {
     }
   }, []);
 
-  // 3. Data Listeners (Categories, Expenses, Settings)
+  // 2b. Shared budgets the user belongs to
+  useEffect(() => {
+    if (!firebase || !userId) return;
+    setSharedBudgets(null);
+    return subscribeToSharedBudgets(firebase.firestore, userId, setSharedBudgets, (error) => console.error("Error fetching shared budgets:", error));
+  }, [firebase, userId]);
+
+  // Owners see the invites they created for the active budget, so they can revoke them
+  const ownsActiveBudget = !!activeBudgetId && sharedBudgets?.find(b => b.id === activeBudgetId)?.members[userId]?.role === 'owner';
+  useEffect(() => {
+    setBudgetInvites([]);
+    if (!firebase || !userId || !ownsActiveBudget) return;
+    return subscribeToBudgetInvites(firebase.firestore, activeBudgetId, userId, setBudgetInvites, (error) => console.error("Error fetching invites:", error));
+  }, [firebase, userId, activeBudgetId, ownsActiveBudget]);
+
+  // 2c. The store follows the active budget: the user's personal path or a shared budget's path
+  useEffect(() => {
+    if (!firebase || !userId) return;
+    setStore(createFirestoreStore(firebase.firestore, activeBudgetId ? sharedBudgetPath(activeBudgetId) : userDataPath(userId)));
+  }, [firebase, userId, activeBudgetId]);
+
+  // Falls back to the personal budget once the user is no longer a member of the active one (removed, left, or signed in as someone else)
+  useEffect(() => {
+    if (sharedBudgets && activeBudgetId && !sharedBudgets.some(b => b.id === activeBudgetId)) {
+      setActiveBudgetId(null);
+    }
+  }, [sharedBudgets, activeBudgetId]);
+
+  useEffect(() => {
+    if (activeBudgetId) {
+      localStorage.setItem(ACTIVE_BUDGET_STORAGE_KEY, activeBudgetId);
+    } else {
+      localStorage.removeItem(ACTIVE_BUDGET_STORAGE_KEY);
+    }
+    setMemberFilter('all');
+  }, [activeBudgetId]);
+
+  // 2d. Connectivity tracking for the sync indicator
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  // 2e. History filters are kept in the URL query so they survive reloads and can be bookmarked
+  useEffect(() => {
+    writeHistoryFiltersToUrl(historyFilters);
+  }, [historyFilters]);
+
+  // 3. Data Listeners (Categories, Expenses, Recurring Rules, Exchange Rates, Contacts, Settlements, Accounts, Settings)
   useEffect(() => {
-    if (!db || !userId) return;
+    if (!store) return;
+    // A new store means a different user: drop the previous user's settings and failed writes
+    setSettings(DEFAULT_SETTINGS);
+    setUnsavedCycleAnchor(null);
+    setFailedWrites([]);
+    setPendingWrites({});
+
+    const trackPending = (name, hasPending) => setPendingWrites(prev => (
+      prev[name] === hasPending ? prev : { ...prev, [name]: hasPending }
+    ));
 
     // Categories Listener
-    const categoriesRef = collection(db, `artifacts/${appId}/users/${userId}/categories`);
-    const qCategories = query(categoriesRef);
-    const unsubCategories = onSnapshot(qCategories, (snapshot) => {
-      const cats = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const unsubCategories = store.subscribe('categories', ({ docs, hasPendingWrites }) => {
+      trackPending('categories', hasPendingWrites);
+      const allCats = docs.map(({ id, data }) => ({ id, ...data }));
+      setIncomeCategories(allCats.filter(isIncomeCategory).sort((a, b) => a.name.localeCompare(b.name)));
+      const cats = allCats.filter(cat => !isIncomeCategory(cat));
       // Ensure new categories have default frequency and limit if undefined (for old data)
       const sanitizedCats = cats.map(cat => ({
           ...cat,
           baseLimit: parseFloat(cat.baseLimit) || parseFloat(cat.budgetLimit) || 0, // Fallback for old budgetLimit
           baseFrequency: cat.baseFrequency || 'monthly',
+          rolloverMode: cat.rolloverMode || 'none',
+          limitMode: cat.limitMode || 'sum',
+          // Only one level of nesting: a parent that is missing or itself a subcategory makes this a top-level category
+          parentId: cats.some(p => p.id === cat.parentId && p.id !== cat.id && !p.parentId) ? cat.parentId : null,
       }));
       setCategories(sanitizedCats.sort((a, b) => a.name.localeCompare(b.name)));
     }, (error) => console.error("Error fetching categories:", error));
 
     // Expenses Listener
-    const expensesRef = collection(db, `artifacts/${appId}/users/${userId}/expenses`);
-    const qExpenses = query(expensesRef);
-    const unsubExpenses = onSnapshot(qExpenses, (snapshot) => {
-      const exps = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), amount: parseFloat(doc.data().amount), timestamp: doc.data().timestamp?.toDate() || new Date() }));
+    const unsubExpenses = store.subscribe('expenses', ({ docs, hasPendingWrites }) => {
+      trackPending('expenses', hasPendingWrites);
+      const exps = docs.map(({ id, data, pendingWrite }) => ({
+        id,
+        ...data,
+        amount: parseFloat(data.amount),
+        timestamp: data.timestamp || new Date(),
+        pendingWrite,
+      }));
       setExpenses(exps);
     }, (error) => console.error("Error fetching expenses:", error));
 
+    // Recurring Rules Listener
+    const unsubRecurring = store.subscribe('recurring', ({ docs, hasPendingWrites }) => {
+      trackPending('recurring', hasPendingWrites);
+      const rules = docs.map(({ id, data }) => ({
+        id,
+        ...data,
+        amount: parseFloat(data.amount) || 0,
+        startDate: data.startDate || null,
+        endDate: data.endDate || null,
+        lastGeneratedDate: data.lastGeneratedDate || null,
+      }));
+      setRecurringRules(rules.sort((a, b) => (a.source || '').localeCompare(b.source || '')));
+    }, (error) => console.error("Error fetching recurring rules:", error));
+
+    // Exchange Rates Listener
+    const unsubRates = store.subscribe('exchangeRates', ({ docs, hasPendingWrites }) => {
+      trackPending('exchangeRates', hasPendingWrites);
+      const rates = docs.map(({ id, data }) => ({
+        id,
+        ...data,
+        rate: parseFloat(data.rate) || 0,
+        effectiveDate: data.effectiveDate || new Date(0),
+      }));
+      setExchangeRates(rates);
+    }, (error) => console.error("Error fetching exchange rates:", error));
+
+    // Contacts Listener
+    const unsubContacts = store.subscribe('contacts', ({ docs, hasPendingWrites }) => {
+      trackPending('contacts', hasPendingWrites);
+      setContacts(docs.map(({ id, data }) => ({ id, ...data })).sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => console.error("Error fetching contacts:", error));
+
+    // Settlements Listener
+    const unsubSettlements = store.subscribe('settlements', ({ docs, hasPendingWrites }) => {
+      trackPending('settlements', hasPendingWrites);
+      setSettlements(docs.map(({ id, data }) => ({
+        id,
+        ...data,
+        amount: parseFloat(data.amount) || 0,
+        timestamp: data.timestamp || new Date(),
+      })));
+    }, (error) => console.error("Error fetching settlements:", error));
+
+    // Accounts Listener
+    const unsubAccounts = store.subscribe('accounts', ({ docs, hasPendingWrites }) => {
+      trackPending('accounts', hasPendingWrites);
+      setAccounts(docs.map(({ id, data }) => ({
+        id,
+        ...data,
+        type: data.type || 'cash',
+        openingBalance: parseFloat(data.openingBalance) || 0,
+      })).sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => console.error("Error fetching accounts:", error));
+
+    // Savings Goals Listener
+    const unsubGoals = store.subscribe('goals', ({ docs, hasPendingWrites }) => {
+      trackPending('goals', hasPendingWrites);
+      setGoals(docs.map(({ id, data }) => ({
+        id,
+        ...data,
+        targetAmount: parseFloat(data.targetAmount) || 0,
+        targetDate: data.targetDate || null,
+        leftoverShare: parseFloat(data.leftoverShare) || 0,
+        leftoverCycleStart: data.leftoverCycleStart || null,
+      })).sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => console.error("Error fetching goals:", error));
+
+    // Goal Contributions Listener
+    const unsubGoalContributions = store.subscribe('goalContributions', ({ docs, hasPendingWrites }) => {
+      trackPending('goalContributions', hasPendingWrites);
+      setGoalContributions(docs.map(({ id, data }) => ({
+        id,
+        ...data,
+        amount: parseFloat(data.amount) || 0,
+        timestamp: data.timestamp || new Date(),
+      })).sort((a, b) => b.timestamp - a.timestamp));
+    }, (error) => console.error("Error fetching goal contributions:", error));
+
     // Settings Listener (Single document)
-    const settingsRef = doc(db, `artifacts/${appId}/users/${userId}/settings/user_settings`);
-    const unsubSettings = onSnapshot(settingsRef, (docSnap) => {
-      if (docSnap.exists()) {
-        setSettings(prev => ({ ...prev, ...docSnap.data() }));
+    const unsubSettings = store.subscribeDoc('settings', 'user_settings', ({ exists, data, hasPendingWrites }) => {
+      trackPending('settings', hasPendingWrites);
+      if (exists) {
+        const legacyAnchor = data.cycleAnchorDate ? null : legacyCycleAnchorDate(data.cycleMonths, new Date());
+        setSettings(prev => ({ ...prev, ...data, ...(legacyAnchor && { cycleAnchorDate: legacyAnchor }) }));
+        setUnsavedCycleAnchor(legacyAnchor);
       }
     }, (error) => console.error("Error fetching settings:", error));
 
     return () => {
       unsubCategories();
       unsubExpenses();
+      unsubRecurring();
+      unsubRates();
+      unsubContacts();
+      unsubSettlements();
+      unsubAccounts();
+      unsubGoals();
+      unsubGoalContributions();
       unsubSettings();
     };
-  }, [db, userId]);
+  }, [store]);
+
+  const activeBudget = (activeBudgetId && sharedBudgets?.find(b => b.id === activeBudgetId)) || null;
+  // The personal budget is always editable; in a shared budget the member's role decides
+  const canEdit = !activeBudget || canEditBudget(activeBudget.members[userId]?.role);
+
+  // Saves the anchor derived for older settings, so their cycles stay put once the month changes
+  useEffect(() => {
+    if (!store || !canEdit || !unsavedCycleAnchor) return;
+    store.set('settings', 'user_settings', { cycleAnchorDate: unsavedCycleAnchor }, { merge: true })
+      .catch(e => console.error("Error saving the cycle start date: ", e));
+  }, [store, canEdit, unsavedCycleAnchor]);
+
+  // 4. Recurring Generation: create any missed occurrences into the expenses collection.
+  // Each rule is processed in a transaction that re-reads the rule and writes occurrences under
+  // deterministic IDs, so two devices loading at the same time never create the same occurrence twice.
+  const settingsLoaded = 'settings' in pendingWrites;
+  useEffect(() => {
+    // Viewers cannot write, so generation is left to the budget's editors. Rules saved without a currency are in the
+    // base currency, so generation waits for the settings that name it.
+    if (!store || !canEdit || !settingsLoaded) return;
+    const now = new Date();
+    const dueRules = recurringRules.filter(rule => getDueOccurrences(rule, now, 1).length > 0);
+
+    dueRules.forEach(async (rule) => {
+      try {
+        await store.transact(async (transaction) => {
+          const freshRule = await transaction.get('recurring', rule.id);
+          if (!freshRule) return;
+          const due = getDueOccurrences(freshRule, now);
+          if (due.length === 0) return;
+
+          const occurrenceIds = due.map(date => `recurring_${rule.id}_${toDateInputValue(date)}`);
+          const existing = await Promise.all(occurrenceIds.map(id => transaction.get('expenses', id)));
+
+          occurrenceIds.forEach((id, index) => {
+            if (existing[index]) return;
+            transaction.set('expenses', id, {
+              amount: parseFloat(freshRule.amount),
+              currencyCode: freshRule.currencyCode || settings.currencyCode,
+              categoryId: freshRule.type === 'expense' ? freshRule.categoryId : (freshRule.categoryId || UNCATEGORIZED_INCOME_ID),
+              source: freshRule.source || (freshRule.type === 'expense' ? 'Unknown' : 'Uncategorized Income'),
+              timestamp: due[index],
+              type: freshRule.type,
+              accountId: freshRule.accountId || null,
+              recurringRuleId: rule.id,
+            });
+          });
+          transaction.update('recurring', rule.id, { lastGeneratedDate: due[due.length - 1] });
+        });
+      } catch (e) {
+        console.error("Error generating recurring transactions: ", e);
+      }
+    });
+  }, [store, recurringRules, canEdit, settingsLoaded, settings.currencyCode]);
 
   // --- Core CRUD Operations ---
 
+  // With offline persistence, a rejected write is a permanent failure (e.g. permission denied), not a connectivity problem.
+  // It is kept so the user can retry or discard it; Firestore has already rolled back its local effect.
+  const reportFailedWrite = (label, retry, error) => {
+    setFailedWrites(prev => [...prev, { id: `${Date.now()}-${prev.length}`, label, retry, message: error?.message || String(error) }]);
+  };
+
+  const handleRetryWrite = (id) => {
+    const write = failedWrites.find(w => w.id === id);
+    setFailedWrites(prev => prev.filter(w => w.id !== id));
+    if (write) write.retry();
+  };
+
+  const handleDiscardWrite = (id) => {
+    setFailedWrites(prev => prev.filter(w => w.id !== id));
+  };
+
   const handleDeleteTransaction = async (id) => {
-    if (!db || !userId) return;
+    if (!store) return;
     try {
       // The expenses collection holds both 'expense' and 'budget' entries
-      const expRef = doc(db, `artifacts/${appId}/users/${userId}/expenses`, id);
-      await deleteDoc(expRef);
+      await store.remove('expenses', id);
     } catch (e) {
       console.error("Error deleting transaction: ", e);
+      reportFailedWrite('Delete transaction', () => handleDeleteTransaction(id), e);
     }
   };
 
   const handleAddCategory = async (catData) => {
-    if (!db || !userId) return;
+    if (!store) return;
     try {
-      const categoriesRef = collection(db, `artifacts/${appId}/users/${userId}/categories`);
-      await addDoc(categoriesRef, {
+      await store.add('categories', {
         name: catData.name.trim(),
         baseLimit: parseFloat(catData.baseLimit || 0), // Use baseLimit
         baseFrequency: catData.baseFrequency, // New frequency field
+        baseFrequencyDays: catData.baseFrequency === 'custom' ? getFrequency(catData).days : null,
+        parentId: catData.parentId || null,
+        limitMode: 'sum',
+        rolloverMode: catData.rolloverMode || 'none',
+        rolloverCap: parseFloat(catData.rolloverCap) > 0 ? parseFloat(catData.rolloverCap) : null,
         color: catData.color,
         icon: catData.icon,
       });
     } catch (e) {
       console.error("Error adding category: ", e);
+      reportFailedWrite('Add category', () => handleAddCategory(catData), e);
     }
   };
 
   const handleUpdateCategory = async (id, updatedFields) => {
-    if (!db || !userId) return;
+    if (!store) return;
     try {
-      const catRef = doc(db, `artifacts/${appId}/users/${userId}/categories`, id);
-      await updateDoc(catRef, updatedFields);
+      await store.update('categories', id, updatedFields);
     } catch (e) {
       console.error("Error updating category: ", e);
+      reportFailedWrite('Update category', () => handleUpdateCategory(id, updatedFields), e);
     }
   };
 
   const handleDeleteCategory = async (id) => {
-    if (!db || !userId) return;
+    if (!store) return;
     try {
-      const catRef = doc(db, `artifacts/${appId}/users/${userId}/categories`, id);
-      await deleteDoc(catRef);
+      // Subcategories of a deleted parent become top-level categories
+      await store.commit([
+        ...getSubcategories(categories, id).map(child => ({ collection: 'categories', id: child.id, data: { parentId: null }, merge: true })),
+        { collection: 'categories', id, delete: true },
+      ]);
     } catch (e) {
       console.error("Error deleting category: ", e);
+      reportFailedWrite('Delete category', () => handleDeleteCategory(id), e);
     }
   };
 
   const handleAddExpense = async (expData) => {
-    if (!db || !userId) return;
+    if (!store) return;
     try {
-      const expensesRef = collection(db, `artifacts/${appId}/users/${userId}/expenses`);
-      await addDoc(expensesRef, {
+      await store.add('expenses', {
         amount: parseFloat(expData.amount),
+        currencyCode: expData.currencyCode || settings.currencyCode,
         categoryId: expData.categoryId,
         source: expData.source.trim() || 'Unknown',
-        timestamp: new Date(),
+        timestamp: combineDateAndTime(expData.date, expData.time) || new Date(),
         type: 'expense',
+        split: expData.split ? buildStoredSplit(parseFloat(expData.amount), expData.split) : null,
+        accountId: expData.accountId || null,
+        note: (expData.note || '').trim(),
+        tags: parseTags(expData.tagsText),
+        loggedBy: userId,
       });
     } catch (e) {
       console.error("Error adding expense: ", e);
+      reportFailedWrite('Add expense', () => handleAddExpense(expData), e);
     }
   };
 
   const handleAddBudgetEntry = async (budData) => {
-    if (!db || !userId) return;
+    if (!store) return;
     try {
-      const expensesRef = collection(db, `artifacts/${appId}/users/${userId}/expenses`);
-      await addDoc(expensesRef, {
+      await store.add('expenses', {
         amount: parseFloat(budData.amount),
-        // NOTE: categoryId is currently unused for income but is kept for schema consistency.
-        categoryId: 'income',
-        source: budData.source.trim() || 'Uncategorized Income',
-        timestamp: new Date(),
+        currencyCode: budData.currencyCode || settings.currencyCode,
+        categoryId: budData.categoryId || UNCATEGORIZED_INCOME_ID,
+        source: budData.source.trim() || categoryMap[budData.categoryId]?.name || 'Uncategorized Income',
+        timestamp: combineDateAndTime(budData.date, budData.time) || new Date(),
         type: 'budget', // Mark as budget/income
+        accountId: budData.accountId || null,
+        note: (budData.note || '').trim(),
+        tags: parseTags(budData.tagsText),
+        loggedBy: userId,
       });
     } catch (e) {
       console.error("Error adding budget entry: ", e);
+      reportFailedWrite('Add income', () => handleAddBudgetEntry(budData), e);
+    }
+  };
+
+  const handleUpdateTransaction = async (id, txData, type) => {
+    if (!store) return;
+    try {
+      // Only the user-editable fields are written; the type follows the modal, so an entry can move between expense and income
+      await store.update('expenses', id, {
+        type,
+        amount: parseFloat(txData.amount),
+        currencyCode: txData.currencyCode || settings.currencyCode,
+        categoryId: type === 'expense' ? txData.categoryId : (txData.categoryId || UNCATEGORIZED_INCOME_ID),
+        source: txData.source.trim() || (type === 'expense' ? 'Unknown' : categoryMap[txData.categoryId]?.name || 'Uncategorized Income'),
+        timestamp: combineDateAndTime(txData.date, txData.time) || new Date(),
+        split: type === 'expense' && txData.split ? buildStoredSplit(parseFloat(txData.amount), txData.split) : null,
+        accountId: txData.accountId || null,
+        note: (txData.note || '').trim(),
+        tags: parseTags(txData.tagsText),
+      });
+    } catch (e) {
+      console.error("Error updating transaction: ", e);
+      reportFailedWrite('Update transaction', () => handleUpdateTransaction(id, txData, type), e);
+    }
+  };
+
+  // Converts the transfer modal form into the stored transfer fields
+  const buildTransfer = (transferData) => ({
+    amount: parseFloat(transferData.amount),
+    currencyCode: transferData.currencyCode || settings.currencyCode,
+    fromAccountId: transferData.fromAccountId,
+    toAccountId: transferData.toAccountId,
+    fee: parseFloat(transferData.fee) || 0,
+    timestamp: combineDateAndTime(transferData.date, transferData.time) || new Date(),
+    note: (transferData.note || '').trim(),
+    tags: parseTags(transferData.tagsText),
+  });
+
+  const handleAddTransfer = async (transferData) => {
+    if (!store) return;
+    try {
+      await store.add('expenses', { ...buildTransfer(transferData), type: 'transfer', loggedBy: userId });
+    } catch (e) {
+      console.error("Error adding transfer: ", e);
+      reportFailedWrite('Add transfer', () => handleAddTransfer(transferData), e);
+    }
+  };
+
+  const handleUpdateTransfer = async (id, transferData) => {
+    if (!store) return;
+    try {
+      await store.update('expenses', id, buildTransfer(transferData));
+    } catch (e) {
+      console.error("Error updating transfer: ", e);
+      reportFailedWrite('Update transfer', () => handleUpdateTransfer(id, transferData), e);
+    }
+  };
+
+  // Writes confirmed CSV import rows in one batch (chunked, in order, above Firestore's batch limit).
+  // Errors are rethrown so the import modal can show them; offline, Firestore only settles the write once it syncs,
+  // so the rows are left to sync in the background and a later rejection is reported like any other write.
+  const handleImportTransactions = async (rows) => {
+    if (!store) return;
+    // A retry started from the sync panel has no modal to show its error, so it is reported there again.
+    // Rows saved before the failure are skipped, so a retry never duplicates them.
+    const reportFailure = (e) => {
+      const remaining = rows.slice(e?.committedCount || 0);
+      reportFailedWrite('Import transactions', () => handleImportTransactions(remaining).catch(reportFailure), e);
+    };
+    try {
+      const write = store.commit(rows.map(row => ({
+        collection: 'expenses',
+        data: {
+          amount: row.amount,
+          currencyCode: settings.currencyCode,
+          categoryId: row.type === 'expense' ? row.categoryId : UNCATEGORIZED_INCOME_ID,
+          source: row.description || (row.type === 'expense' ? 'Unknown' : 'Uncategorized Income'),
+          timestamp: row.timestamp,
+          type: row.type,
+          accountId: row.accountId || null,
+          loggedBy: userId,
+        },
+      })));
+      if (store.kind === 'firestore' && !isOnline) {
+        write.catch(e => {
+          console.error("Error importing transactions: ", e);
+          reportFailure(e);
+        });
+        return;
+      }
+      await write;
+    } catch (e) {
+      console.error("Error importing transactions: ", e);
+      throw e;
+    }
+  };
+
+  const handleAddExchangeRate = async (rateData) => {
+    if (!store) return;
+    try {
+      await store.add('exchangeRates', rateData);
+    } catch (e) {
+      console.error("Error adding exchange rate: ", e);
+      reportFailedWrite('Add exchange rate', () => handleAddExchangeRate(rateData), e);
+    }
+  };
+
+  const handleDeleteExchangeRate = async (id) => {
+    if (!store) return;
+    try {
+      await store.remove('exchangeRates', id);
+    } catch (e) {
+      console.error("Error deleting exchange rate: ", e);
+      reportFailedWrite('Delete exchange rate', () => handleDeleteExchangeRate(id), e);
+    }
+  };
+
+  const handleAddContact = async (name) => {
+    if (!store) return;
+    try {
+      await store.add('contacts', { name: name.trim() });
+    } catch (e) {
+      console.error("Error adding contact: ", e);
+      reportFailedWrite('Add person', () => handleAddContact(name), e);
+    }
+  };
+
+  const handleDeleteContact = async (id) => {
+    if (!store) return;
+    try {
+      await store.remove('contacts', id);
+    } catch (e) {
+      console.error("Error deleting contact: ", e);
+      reportFailedWrite('Delete person', () => handleDeleteContact(id), e);
+    }
+  };
+
+  const handleAddIncomeCategory = async (catData) => {
+    if (!store) return;
+    try {
+      await store.add('categories', { ...catData, kind: 'income' });
+    } catch (e) {
+      console.error("Error adding income category: ", e);
+      reportFailedWrite('Add income category', () => handleAddIncomeCategory(catData), e);
+    }
+  };
+
+  // Creates the suggested income categories in one commit
+  const handleAddDefaultIncomeCategories = async () => {
+    if (!store) return;
+    try {
+      await store.commit(DEFAULT_INCOME_CATEGORIES.map((name, index) => ({
+        collection: 'categories',
+        data: { name, color: COLORS[index % COLORS.length], kind: 'income' },
+      })));
+    } catch (e) {
+      console.error("Error adding income categories: ", e);
+      reportFailedWrite('Add income categories', handleAddDefaultIncomeCategories, e);
+    }
+  };
+
+  const handleDeleteIncomeCategory = async (id) => {
+    if (!store) return;
+    try {
+      await store.remove('categories', id);
+    } catch (e) {
+      console.error("Error deleting income category: ", e);
+      reportFailedWrite('Delete income category', () => handleDeleteIncomeCategory(id), e);
+    }
+  };
+
+  const handleAddAccount = async (accountData) => {
+    if (!store) return;
+    try {
+      await store.add('accounts', accountData);
+    } catch (e) {
+      console.error("Error adding account: ", e);
+      reportFailedWrite('Add account', () => handleAddAccount(accountData), e);
+    }
+  };
+
+  const handleDeleteAccount = async (id) => {
+    if (!store) return;
+    try {
+      await store.remove('accounts', id);
+    } catch (e) {
+      console.error("Error deleting account: ", e);
+      reportFailedWrite('Delete account', () => handleDeleteAccount(id), e);
+    }
+  };
+
+  // Links the entries of each mapped source to its account in one commit; new accounts are created in the same commit
+  const handleMigrateSources = async (mapping) => {
+    if (!store) return;
+    try {
+      const operations = [];
+      mapping.forEach(({ transactionIds, accountId, newAccount }) => {
+        let targetId = accountId;
+        if (newAccount) {
+          targetId = generateLocalId();
+          operations.push({ collection: 'accounts', id: targetId, data: newAccount });
+        }
+        transactionIds.forEach(id => operations.push({ collection: 'expenses', id, data: { accountId: targetId }, merge: true }));
+      });
+      await store.commit(operations);
+    } catch (e) {
+      console.error("Error migrating sources: ", e);
+      reportFailedWrite('Link sources to accounts', () => handleMigrateSources(mapping), e);
+    }
+  };
+
+  // A goal that starts taking a leftover share begins with the current cycle, so earlier cycles are not paid out
+  const handleSaveGoal = async (goalData, id) => {
+    if (!store) return;
+    const goal = id ? goals.find(g => g.id === id) : null;
+    const startsLeftover = goalData.leftoverShare > 0 && !(goal?.leftoverShare > 0);
+    const fields = {
+      ...goalData,
+      leftoverCycleStart: startsLeftover ? currentCycle.start : (goal?.leftoverCycleStart || currentCycle.start),
+    };
+    try {
+      if (goal) {
+        await store.update('goals', goal.id, fields);
+      } else {
+        await store.add('goals', fields);
+      }
+    } catch (e) {
+      console.error("Error saving goal: ", e);
+      reportFailedWrite(goal ? 'Update goal' : 'Add goal', () => handleSaveGoal(goalData, id), e);
+    }
+  };
+
+  // Deletes a goal together with its contributions
+  const handleDeleteGoal = async (id) => {
+    if (!store) return;
+    try {
+      await store.commit([
+        ...goalContributions.filter(c => c.goalId === id).map(c => ({ collection: 'goalContributions', id: c.id, delete: true })),
+        { collection: 'goals', id, delete: true },
+      ]);
+    } catch (e) {
+      console.error("Error deleting goal: ", e);
+      reportFailedWrite('Delete goal', () => handleDeleteGoal(id), e);
+    }
+  };
+
+  const handleAddGoalContribution = async (contribution) => {
+    if (!store) return;
+    try {
+      await store.add('goalContributions', { ...contribution, automatic: false });
+    } catch (e) {
+      console.error("Error adding goal contribution: ", e);
+      reportFailedWrite('Add goal contribution', () => handleAddGoalContribution(contribution), e);
+    }
+  };
+
+  const handleDeleteGoalContribution = async (id) => {
+    if (!store) return;
+    try {
+      await store.remove('goalContributions', id);
+    } catch (e) {
+      console.error("Error deleting goal contribution: ", e);
+      reportFailedWrite('Delete goal contribution', () => handleDeleteGoalContribution(id), e);
+    }
+  };
+
+  const handleAddSettlement = async (settlement) => {
+    if (!store) return;
+    try {
+      await store.add('settlements', { ...settlement, loggedBy: userId });
+    } catch (e) {
+      console.error("Error adding settlement: ", e);
+      reportFailedWrite('Record settlement', () => handleAddSettlement(settlement), e);
+    }
+  };
+
+  const handleDeleteSettlement = async (id) => {
+    if (!store) return;
+    try {
+      await store.remove('settlements', id);
+    } catch (e) {
+      console.error("Error deleting settlement: ", e);
+      reportFailedWrite('Delete settlement', () => handleDeleteSettlement(id), e);
+    }
+  };
+
+  const handleDownloadBackup = () => {
+    const content = buildBackup({
+      categories: allCategories, expenses, recurring: recurringRules, exchangeRates, contacts, settlements, accounts, goals, goalContributions, settings,
+    });
+    downloadFile(`fintrack-backup-${toDateInputValue(new Date())}.json`, content, 'application/json');
+  };
+
+  // Executes a plan produced by planRestore; backup documents keep their original IDs
+  // Errors are rethrown so the restore modal can show them; offline, the restore is left to sync like a CSV import.
+  const handleRestoreBackup = async (plan) => {
+    if (!store) return;
+    // Writes are idempotent and come before the deletes, so retrying the whole plan after a partial failure is safe
+    const reportFailure = (e) => reportFailedWrite('Restore backup', () => handleRestoreBackup(plan).catch(reportFailure), e);
+    try {
+      const write = store.commit(restorePlanOperations(plan));
+      if (store.kind === 'firestore' && !isOnline) {
+        write.catch(e => {
+          console.error("Error restoring backup: ", e);
+          reportFailure(e);
+        });
+        return;
+      }
+      await write;
+    } catch (e) {
+      console.error("Error restoring backup: ", e);
+      throw e;
+    }
+  };
+
+  // Converts the recurring modal form into the stored rule fields
+  const buildRecurringRule = (ruleData) => ({
+    amount: parseFloat(ruleData.amount),
+    currencyCode: ruleData.currencyCode || settings.currencyCode,
+    type: ruleData.type,
+    categoryId: ruleData.type === 'expense' ? ruleData.categoryId : (ruleData.categoryId || UNCATEGORIZED_INCOME_ID),
+    source: ruleData.source.trim(),
+    accountId: ruleData.accountId || null,
+    interval: ruleData.interval,
+    every: parseInt(ruleData.every, 10) || 1,
+    startDate: combineDateAndTime(ruleData.startDate, '00:00'),
+    endType: ruleData.endType,
+    endDate: ruleData.endType === 'until' ? combineDateAndTime(ruleData.endDate, '23:59') : null,
+    occurrenceCount: ruleData.endType === 'count' ? parseInt(ruleData.occurrenceCount, 10) : null,
+  });
+
+  const handleAddRecurringRule = async (ruleData) => {
+    if (!store) return;
+    try {
+      await store.add('recurring', {
+        ...buildRecurringRule(ruleData),
+        paused: false,
+        lastGeneratedDate: null,
+      });
+    } catch (e) {
+      console.error("Error adding recurring rule: ", e);
+      reportFailedWrite('Add recurring rule', () => handleAddRecurringRule(ruleData), e);
+    }
+  };
+
+  const handleUpdateRecurringRule = async (id, updatedFields) => {
+    if (!store) return;
+    try {
+      await store.update('recurring', id, updatedFields);
+    } catch (e) {
+      console.error("Error updating recurring rule: ", e);
+      reportFailedWrite('Update recurring rule', () => handleUpdateRecurringRule(id, updatedFields), e);
+    }
+  };
+
+  const handleToggleRecurringRule = (rule) => {
+    // Resuming skips the occurrences that fell inside the paused period instead of back-filling them
+    const updates = rule.paused ? { paused: false, lastGeneratedDate: new Date() } : { paused: true };
+    return handleUpdateRecurringRule(rule.id, updates);
+  };
+
+  const handleDeleteRecurringRule = async (id) => {
+    if (!store) return;
+    try {
+      // Occurrences already generated stay in the expenses collection
+      await store.remove('recurring', id);
+    } catch (e) {
+      console.error("Error deleting recurring rule: ", e);
+      reportFailedWrite('Delete recurring rule', () => handleDeleteRecurringRule(id), e);
+    }
+  };
+
+  // --- Account Linking ---
+
+  // Links the guest account to a permanent identity. The uid, and so the data path, stays the same.
+  const handleLinkAccount = async ({ method, email, password }) => {
+    const user = firebase.auth.currentUser;
+    try {
+      const result = method === 'google'
+        ? await linkWithPopup(user, new GoogleAuthProvider())
+        : await linkWithCredential(user, EmailAuthProvider.credential(email, password));
+      setAuthUser(describeAuthUser(result.user));
+      return { status: 'linked' };
+    } catch (e) {
+      if (!isAccountInUseError(e)) throw e;
+      // The identity already has its own account: hand back a credential so the user can sign in to it instead
+      const credential = method === 'google' ? GoogleAuthProvider.credentialFromError(e) : EmailAuthProvider.credential(email, password);
+      // Without a credential there is nothing to sign in with, so the original error is shown instead
+      if (!credential) throw e;
+      return { status: 'conflict', credential };
+    }
+  };
+
+  // Signs in to an existing account, optionally merging the guest's data into it first.
+  // The guest's own documents are left in place; nothing points at them once its session ends.
+  const handleSignInExisting = async (credential, moveGuestData) => {
+    const guestData = moveGuestData ? await readStoreData(store) : null;
+    const result = await signInWithCredential(firebase.auth, credential);
+    if (guestData) {
+      const target = createFirestoreStore(firebase.firestore, userDataPath(result.user.uid));
+      // Merge mode keeps the account's data and settings and skips duplicates, exactly like a backup merge
+      const plan = planRestore(guestData, await readStoreData(target), 'merge');
+      await target.commit(restorePlanOperations(plan));
+    }
+  };
+
+  // The auth effect signs back in as a new guest once the user is signed out
+  const handleSignOut = () => signOut(firebase.auth);
+
+  // --- Shared Budgets ---
+  // These wait for the server (membership is checked by the security rules), so errors go back to SharedBudgetsCard.
+
+  const handleCreateSharedBudget = async (name, copyCurrentData) => {
+    const budgetId = await createSharedBudget(firebase.firestore, userId, authUser.label, name);
+    if (copyCurrentData) {
+      const target = createFirestoreStore(firebase.firestore, sharedBudgetPath(budgetId));
+      const emptyBudget = {
+        categories: [], expenses: [], recurring: [], exchangeRates: [], contacts: [], settlements: [], accounts: [], goals: [], goalContributions: [], settings: {},
+      };
+      await target.commit(restorePlanOperations(planRestore(await readStoreData(store), emptyBudget, 'replace')));
     }
+    setActiveBudgetId(budgetId);
+  };
+
+  const handleJoinSharedBudget = async (code) => {
+    setActiveBudgetId(await joinSharedBudget(firebase.firestore, userId, authUser.label, code));
   };
 
+  const handleCreateInvite = (role) => createBudgetInvite(firebase.firestore, activeBudget, userId, role);
+
+  const handleRevokeInvite = (code) => revokeBudgetInvite(firebase.firestore, code);
+
+  const handleChangeMemberRole = (memberId, role) => updateBudgetMemberRole(firebase.firestore, activeBudgetId, memberId, role);
+
+  const handleRemoveMember = (memberId) => removeBudgetMember(firebase.firestore, activeBudgetId, memberId);
+
   const handleUpdateSettings = async (updates) => {
-    if (!db || !userId) return;
+    if (!store) return;
     try {
-      const settingsRef = doc(db, `artifacts/${appId}/users/${userId}/settings/user_settings`);
-      await setDoc(settingsRef, updates, { merge: true });
+      // Entries and recurring rules saved before per-transaction currencies keep meaning the old base currency
+      const operations = [];
+      if (updates.currencyCode && updates.currencyCode !== settings.currencyCode) {
+        expenses
+          .filter(t => !t.currencyCode)
+          .forEach(t => operations.push({ collection: 'expenses', id: t.id, data: { currencyCode: settings.currencyCode }, merge: true }));
+        recurringRules
+          .filter(rule => !rule.currencyCode)
+          .forEach(rule => operations.push({ collection: 'recurring', id: rule.id, data: { currencyCode: settings.currencyCode }, merge: true }));
+      }
+      operations.push({ collection: 'settings', id: 'user_settings', data: updates, merge: true });
+      await store.commit(operations);
     } catch (e) {
       console.error("Error updating settings: ", e);
+      reportFailedWrite('Update settings', () => handleUpdateSettings(updates), e);
     }
   };
 
+  // History filters are mirrored into the URL; any change starts again from the first page
+  const handleUpdateHistoryFilters = (changes) => {
+    setHistoryFilters(prev => ({ ...prev, ...changes }));
+    setHistoryPage(0);
+  };
+
+  // Tells the waiting service worker to activate; the controllerchange listener then reloads the page
+  const handleApplyUpdate = () => {
+    if (waitingWorker) waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
   // --- Calculations and Derived State ---
 
-  const { cycleExpenses, cycleBudgets, currentCycleStart } = useMemo(() => {
-    const cycleMonths = settings.cycleMonths || 1;
-    const currentStart = startOfCycle(cycleMonths);
-    
-    const filterData = (data, startDate) => {
-      return data.filter(item => item.timestamp >= startDate);
+  // Every entry gets a baseAmount in the settings currency; entries without a usable rate get null and are left out of totals
+  const { convertedExpenses, unconvertedCount } = useMemo(() => {
+    const baseCurrency = settings.currencyCode || DEFAULT_CURRENCY_CODE;
+    // Split bills only count the user's own share; transfers only move money between accounts and count nowhere
+    const converted = expenses.filter(t => t.type !== 'transfer').map(t => ({ ...t, baseAmount: convertToBaseCurrency({ ...t, amount: ownAmount(t) }, baseCurrency, exchangeRates) }));
+    return {
+      convertedExpenses: converted.filter(t => t.baseAmount !== null),
+      unconvertedCount: converted.filter(t => t.baseAmount === null).length,
+    };
+  }, [expenses, exchangeRates, settings.currencyCode]);
+
+  const cycleConfig = useMemo(() => getCycleConfig(settings), [settings]);
+
+  const { cycleExpenses, cycleBudgets, currentCycle } = useMemo(() => {
+    const now = new Date();
+    const cycle = getCycleForDate(cycleConfig, now);
+
+    // Scheduled (future-dated) entries only count once their date arrives
+    const filterData = (data) => {
+      return data.filter(item => item.timestamp >= cycle.start && item.timestamp < cycle.end && !isScheduled(item, now));
     };
 
-    const cycleExpenses = filterData(expenses.filter(e => e.type === 'expense'), currentStart);
-    const cycleBudgets = filterData(expenses.filter(e => e.type === 'budget'), currentStart);
+    const cycleExpenses = filterData(convertedExpenses.filter(e => e.type === 'expense'));
+    const cycleBudgets = filterData(convertedExpenses.filter(e => e.type === 'budget'));
+
+    return { cycleExpenses, cycleBudgets, currentCycle: cycle };
+  }, [convertedExpenses, cycleConfig]);
+
+  const { balances, unconverted: unconvertedBalanceCount } = useMemo(
+    () => calculateBalances(expenses, settlements, settings.currencyCode || DEFAULT_CURRENCY_CODE, exchangeRates),
+    [expenses, settlements, exchangeRates, settings.currencyCode]
+  );
+
+  const contactMap = useMemo(() => contacts.reduce((acc, c) => ({ ...acc, [c.id]: c }), {}), [contacts]);
+  const accountMap = useMemo(() => accounts.reduce((acc, a) => ({ ...acc, [a.id]: a }), {}), [accounts]);
 
-    return { cycleExpenses, cycleBudgets, currentCycleStart: currentStart };
-  }, [expenses, settings.cycleMonths]);
+  // Running balance of every account, in the account's own currency
+  const accountBalances = useMemo(
+    () => calculateAccountBalances(accounts, expenses, settings.currencyCode || DEFAULT_CURRENCY_CODE, exchangeRates),
+    [accounts, expenses, exchangeRates, settings.currencyCode]
+  );
+
+  // Expense and income categories together, as stored in the categories collection
+  const allCategories = useMemo(() => [...categories, ...incomeCategories], [categories, incomeCategories]);
 
   const categoryMap = useMemo(() => {
-    return categories.reduce((acc, cat) => {
+    return allCategories.reduce((acc, cat) => {
       acc[cat.id] = cat;
       return acc;
     }, {});
-  }, [categories]);
+  }, [allCategories]);
+
+  // Amounts each category carries in from its completed cycles
+  const rollovers = useMemo(
+    () => calculateRollovers(categories, convertedExpenses, cycleConfig, currentCycle),
+    [categories, convertedExpenses, cycleConfig, currentCycle]
+  );
+
+  // Goal contributions made this cycle, in the base currency (those without a rate are left out)
+  const cycleGoalContributions = useMemo(() => {
+    const now = new Date();
+    return goalContributions
+      .filter(c => c.timestamp >= currentCycle.start && c.timestamp < currentCycle.end && !isScheduled(c, now))
+      .map(c => ({ ...c, baseAmount: convertToBaseCurrency(c, settings.currencyCode || DEFAULT_CURRENCY_CODE, exchangeRates) }))
+      .filter(c => c.baseAmount !== null);
+  }, [goalContributions, currentCycle, exchangeRates, settings.currencyCode]);
 
   const summary = useMemo(() => {
-    const cycleMonths = settings.cycleMonths || 1;
-    
-    // Calculate total budget limits using the new frequency logic
-    const totalBudgetLimit = categories.reduce((sum, cat) => {
-      return sum + calculateCycleBudget(cat.baseLimit, cat.baseFrequency, cycleMonths);
-    }, 0);
-    
-    const totalActualBudget = cycleBudgets.reduce((sum, entry) => sum + entry.amount, 0); // Total Income
-    const totalExpenses = cycleExpenses.reduce((sum, entry) => sum + entry.amount, 0);
-    const remaining = totalBudgetLimit - totalExpenses; // Tracked against calculated category limits
+    const totalActualBudget = cycleBudgets.reduce((sum, entry) => sum + entry.baseAmount, 0); // Total Income
+    const totalExpenses = cycleExpenses.reduce((sum, entry) => sum + entry.baseAmount, 0);
 
     const expenseByCategory = cycleExpenses.reduce((acc, expense) => {
       const categoryId = expense.categoryId;
-      acc[categoryId] = (acc[categoryId] || 0) + expense.amount;
+      acc[categoryId] = (acc[categoryId] || 0) + expense.baseAmount;
       return acc;
     }, {});
 
-    const chartData = categories.map((cat, index) => {
+    const allCategoryData = categories.map((cat, index) => {
       // Calculate the total budget for this category across the entire cycle
-      const calculatedLimit = calculateCycleBudget(cat.baseLimit, cat.baseFrequency, cycleMonths);
+      const calculatedLimit = calculateCategoryBudget(cat, categories, cycleConfig, currentCycle);
+      const subcategories = getSubcategories(categories, cat.id);
+      const carried = getCarriedAmount(categories, cat, rollovers);
 
       return {
         name: cat.name,
-        value: expenseByCategory[cat.id] || 0,
+        value: getCategoryFamilyIds(categories, cat).reduce((sum, id) => sum + (expenseByCategory[id] || 0), 0), // Includes subcategories
+        ownValue: expenseByCategory[cat.id] || 0, // Logged directly on this category
         color: cat.color || COLORS[index % COLORS.length],
         id: cat.id,
-        budgetLimit: calculatedLimit, // This is the total cycle budget limit
+        parentId: cat.parentId || null,
+        hasSubcategories: subcategories.length > 0,
+        cycleLimit: calculatedLimit, // This is the total cycle budget limit
+        carried,
+        budgetLimit: calculatedLimit + carried, // What is available this cycle after rollover
         baseFrequency: cat.baseFrequency,
         baseLimit: parseFloat(cat.baseLimit) || 0,
       };
-    }).filter(item => item.value > 0 || (item.budgetLimit > 0)); // Keep categories with budget limit
+    });
+
+    // Subcategory budgets are part of their parent's, so only top-level categories add up to the total
+    const totalBudgetLimit = allCategoryData.filter(item => !item.parentId).reduce((sum, item) => sum + item.budgetLimit, 0);
+    const remaining = totalBudgetLimit - totalExpenses; // Tracked against calculated category limits
+
+    const chartData = allCategoryData.filter(item => item.value > 0 || item.cycleLimit > 0 || item.carried !== 0); // Keep categories with budget limit
+
+    // Money put toward goals is savings, so it stays out of the category spending and the remaining budget above
+    const totalGoalContributions = cycleGoalContributions.reduce((sum, c) => sum + c.baseAmount, 0);
+
+    return { totalBudgetLimit, totalActualBudget, totalExpenses, remaining, expenseByCategory, chartData, totalGoalContributions };
+  }, [categories, cycleExpenses, cycleBudgets, cycleGoalContributions, cycleConfig, currentCycle, rollovers]);
+
+  // End-of-cycle projection; like chartData, each category includes its subcategories
+  const forecast = useMemo(() => {
+    const projection = forecastCycleSpending({
+      entries: convertedExpenses,
+      recurringRules,
+      baseCurrency: settings.currencyCode || DEFAULT_CURRENCY_CODE,
+      rates: exchangeRates,
+      cycleConfig,
+      cycle: currentCycle,
+    });
+    const categoryForecasts = summary.chartData.reduce((acc, data) => {
+      const projected = roundToCents(getCategoryFamilyIds(categories, data)
+        .reduce((sum, id) => sum + (projection.byCategory[id]?.projected || 0), 0));
+      return { ...acc, [data.id]: { projected, overspend: projected > Math.max(data.budgetLimit, 0) + 0.005 } };
+    }, {});
+    // What is left of the budget once the known upcoming expenses are paid, spread over the rest of the cycle
+    const safePerDay = roundToCents(Math.max(0, summary.remaining - projection.upcoming) / projection.daysLeft);
+    return { ...projection, categories: categoryForecasts, safePerDay };
+  }, [convertedExpenses, recurringRules, settings.currencyCode, exchangeRates, cycleConfig, currentCycle, summary, categories]);
+
+  // Transaction history: all entries newest first, narrowed by the history filters. Computed here rather than in
+  // TransactionsTab, which is recreated on every render and would lose its memos.
+  const sortedTransactions = useMemo(() => [...expenses].sort((a, b) => b.timestamp - a.timestamp), [expenses]);
+  const sources = useMemo(() => [...new Set(expenses.map(t => t.source).filter(Boolean))].sort((a, b) => a.localeCompare(b)), [expenses]);
+  const filteredTransactions = useMemo(() => filterTransactions(sortedTransactions, historyFilters, {
+    categories,
+    categoryMap,
+    baseCurrency: settings.currencyCode,
+    rates: exchangeRates,
+  }), [sortedTransactions, historyFilters, categories, categoryMap, settings.currencyCode, exchangeRates]);
+
+  // Running totals of the whole filtered set, in the base currency; like the summary, split bills count only the user's share
+  // and entries without a rate are counted separately
+  const filteredTotals = useMemo(() => filteredTransactions.reduce((acc, t) => {
+    if (t.type === 'transfer') return acc;
+    const baseAmount = convertToBaseCurrency({ ...t, amount: ownAmount(t) }, settings.currencyCode, exchangeRates);
+    if (baseAmount === null) return { ...acc, unconverted: acc.unconverted + 1 };
+    return t.type === 'expense' ? { ...acc, expenses: acc.expenses + baseAmount } : { ...acc, income: acc.income + baseAmount };
+  }, { expenses: 0, income: 0, unconverted: 0 }), [filteredTransactions, settings.currencyCode, exchangeRates]);
+
+  // 5. Budget Notifications: each crossed threshold is shown once per cycle on this device,
+  // and the first run in a new cycle sums up the one that just ended unless the service worker already has
+  const dataLoaded = ['categories', 'expenses', 'settings'].every(name => name in pendingWrites);
+  useEffect(() => {
+    if (!dataLoaded) return;
+    const scope = activeBudgetId || userId;
+    if (!settings.notificationsEnabled || !canShowNotifications()) {
+      writeScheduledSummary(scope, null).catch(e => console.error("Error cancelling the cycle summary: ", e));
+      return;
+    }
+    const cycleStart = currentCycle.start.toISOString();
+    const log = readNotificationLog(scope);
+    const sent = log.cycleStart === cycleStart ? log.sent : [];
+    const summaryEnabled = settings.cycleSummaryEnabled !== false;
+
+    const alerts = collectBudgetAlerts({
+      chartData: summary.chartData,
+      categoryMap,
+      settings,
+      totalExpenses: summary.totalExpenses,
+      totalIncome: summary.totalActualBudget,
+    }).filter(alert => alert.keys.some(key => !sent.includes(key)));
+    const endedCycle = log.cycleStart && log.cycleStart !== cycleStart && summaryEnabled ? shiftCycle(cycleConfig, currentCycle, -1) : null;
+    if (alerts.length > 0 || log.cycleStart !== cycleStart) {
+      writeNotificationLog(scope, { cycleStart, sent: [...sent, ...alerts.flatMap(alert => alert.keys)] });
+    }
+
+    // The running cycle's summary so far, for the service worker to show if the cycle ends while the app is closed
+    const upcoming = summaryEnabled ? buildCycleSummaryAlert(currentCycle, convertedExpenses, categories, cycleConfig, settings.currencyCode) : null;
+    const scheduled = upcoming && { ...upcoming, cycleStart, cycleEnd: currentCycle.end.toISOString(), tag: `${scope}:summary`, shown: false };
+    if (scheduled) registerNotificationSync().catch(e => console.error("Error registering background sync: ", e));
+
+    (async () => {
+      // Read before it is replaced: it tells whether the worker has already shown the summary of the cycle that ended
+      const previous = await readScheduledSummary(scope);
+      await writeScheduledSummary(scope, scheduled);
+      const shownInBackground = endedCycle && previous?.shown && previous.cycleStart === endedCycle.start.toISOString();
+      const cycleSummary = endedCycle && !shownInBackground
+        ? buildCycleSummaryAlert(endedCycle, convertedExpenses, categories, cycleConfig, settings.currencyCode)
+        : null;
+      return cycleSummary ? [...alerts, { ...cycleSummary, keys: ['summary'] }] : alerts;
+    })()
+      .catch((e) => {
+        console.error("Error scheduling the cycle summary: ", e);
+        return alerts;
+      })
+      .then(notifications => notifications.forEach(({ keys, title, body }) => {
+        showSystemNotification(title, { body, tag: `${scope}:${keys[keys.length - 1]}`, icon: '/icons/192x192.png' })
+          .catch(e => console.error("Error showing notification: ", e));
+      }));
+  }, [dataLoaded, settings, summary, categoryMap, categories, convertedExpenses, cycleConfig, currentCycle, activeBudgetId, userId]);
+
+  // 6. Leftover Goal Contributions: once a cycle has ended, each goal with a leftover share receives that share of the
+  // budget left unspent in it. Like recurring generation, every goal is handled in a transaction that re-reads it and
+  // writes under deterministic IDs, so two devices never pay out the same cycle twice. It waits for the exchange rates
+  // and for every entry to have one, since a leftover worked out without some spending would overpay and is never redone.
+  const goalsLoaded = dataLoaded && 'goals' in pendingWrites && 'exchangeRates' in pendingWrites;
+  useEffect(() => {
+    if (!store || !canEdit || !goalsLoaded || unconvertedCount > 0) return;
+    const dueGoals = goals.filter(goal => goal.leftoverShare > 0 && goal.leftoverCycleStart && goal.leftoverCycleStart < currentCycle.start);
+
+    dueGoals.forEach(async (goal) => {
+      try {
+        await store.transact(async (transaction) => {
+          const freshGoal = await transaction.get('goals', goal.id);
+          if (!freshGoal || !(freshGoal.leftoverShare > 0) || !freshGoal.leftoverCycleStart) return;
+          const allEnded = [];
+          for (let cycle = getCycleForDate(cycleConfig, freshGoal.leftoverCycleStart); cycle.end <= currentCycle.start; cycle = shiftCycle(cycleConfig, cycle, 1)) {
+            allEnded.push(cycle);
+          }
+          if (allEnded.length === 0) return;
+          // After a long time away only the most recent cycles are paid out
+          const endedCycles = allEnded.slice(-MAX_LEFTOVER_CYCLES);
 
-    return { totalBudgetLimit, totalActualBudget, totalExpenses, remaining, expenseByCategory, chartData };
-  }, [categories, cycleExpenses, cycleBudgets, settings.cycleMonths]);
+          const contributionIds = endedCycles.map(ended => `leftover_${goal.id}_${toDateInputValue(ended.start)}`);
+          const existing = await Promise.all(contributionIds.map(id => transaction.get('goalContributions', id)));
+
+          contributionIds.forEach((id, index) => {
+            const ended = endedCycles[index];
+            const amount = roundToCents(calculateCycleLeftover(categories, convertedExpenses, cycleConfig, ended) * freshGoal.leftoverShare / 100);
+            if (existing[index] || amount <= 0) return;
+            transaction.set('goalContributions', id, {
+              goalId: goal.id,
+              amount,
+              currencyCode: settings.currencyCode || DEFAULT_CURRENCY_CODE,
+              timestamp: new Date(ended.end.getTime() - 1), // The last moment of the cycle it came from
+              note: `Leftover from ${formatCycleRange(ended)}`,
+              automatic: true,
+            });
+          });
+          transaction.update('goals', goal.id, { leftoverCycleStart: currentCycle.start });
+        });
+      } catch (e) {
+        console.error("Error adding leftover goal contributions: ", e);
+      }
+    });
+  }, [store, canEdit, goalsLoaded, unconvertedCount, goals, categories, convertedExpenses, cycleConfig, currentCycle, settings.currencyCode]);
 
   // --- UI Handlers ---
 
@@ -728,39 +6152,160 @@ const App = () => {
       setShowFabMenu(!showFabMenu);
     } else if (activeTab === 'budget') { // Log Expense Modal
       setModalType('expense');
-      setNewExpense({ amount: '', categoryId: categories[0]?.id || '', source: '' });
+      setNewExpense(emptyTransactionForm(categories[0]?.id || '', settings.currencyCode, accounts[0]?.id || ''));
       setIsModalOpen(true);
     } else if (activeTab === 'manage') { // Add Category Modal
       setModalType('category');
       // Reset state with new frequency default
-      setNewCategory({ name: '', baseLimit: '', baseFrequency: 'monthly', color: COLORS[0], icon: 'Tag' });
+      setNewCategory({ name: '', baseLimit: '', baseFrequency: 'monthly', baseFrequencyDays: '', parentId: '', rolloverMode: 'none', rolloverCap: '', color: COLORS[0], icon: 'Tag' });
       setIsModalOpen(true);
     }
   };
 
   const handleOpenModal = (type) => {
+    setEditingTransactionId(null);
+    setEditingRuleId(null);
+    setFormError(null);
     setModalType(type);
     if (type === 'budget') {
-      setNewBudget({ amount: '', categoryId: categories[0]?.id || '', source: '' });
+      setNewBudget(emptyTransactionForm('', settings.currencyCode, accounts[0]?.id || ''));
     } else if (type === 'expense') {
-      setNewExpense({ amount: '', categoryId: categories[0]?.id || '', source: '' });
+      setNewExpense(emptyTransactionForm(categories[0]?.id || '', settings.currencyCode, accounts[0]?.id || ''));
+    } else if (type === 'transfer') {
+      setNewTransfer(emptyTransferForm(accounts, settings.currencyCode));
+    } else if (type === 'recurring') {
+      setNewRule(emptyRecurringForm(categories[0]?.id || '', settings.currencyCode));
     }
     setShowFabMenu(false);
     setIsModalOpen(true);
   };
 
+  // Opens the expense, income or transfer modal pre-filled with an existing transaction
+  const handleEditTransaction = (transaction) => {
+    if (transaction.type === 'transfer') {
+      setNewTransfer({
+        amount: String(transaction.amount),
+        fee: transaction.fee ? String(transaction.fee) : '',
+        fromAccountId: transaction.fromAccountId || '',
+        toAccountId: transaction.toAccountId || '',
+        currencyCode: transaction.currencyCode || settings.currencyCode,
+        date: toDateInputValue(transaction.timestamp),
+        time: toTimeInputValue(transaction.timestamp),
+        note: transaction.note || '',
+        tagsText: (transaction.tags || []).join(', '),
+      });
+      setEditingTransactionId(transaction.id);
+      setFormError(null);
+      setModalType('transfer');
+      setIsModalOpen(true);
+      return;
+    }
+    const formData = {
+      amount: String(transaction.amount),
+      currencyCode: transaction.currencyCode || settings.currencyCode,
+      categoryId: transaction.categoryId && transaction.categoryId !== UNCATEGORIZED_INCOME_ID ? transaction.categoryId : '',
+      accountId: transaction.accountId || '',
+      source: transaction.source || '',
+      date: toDateInputValue(transaction.timestamp),
+      time: toTimeInputValue(transaction.timestamp),
+      split: transaction.split ? splitToForm(transaction.split) : null,
+      note: transaction.note || '',
+      tagsText: (transaction.tags || []).join(', '),
+    };
+    if (transaction.type === 'expense') {
+      setNewExpense(formData);
+    } else {
+      setNewBudget(formData);
+    }
+    setEditingTransactionId(transaction.id);
+    setFormError(null);
+    setModalType(transaction.type);
+    setIsModalOpen(true);
+  };
+
+  // Moves the form of the entry being edited into the other modal. Expense categories and income categories do not mix,
+  // so the category starts over (an expense needs one picked; income falls back to uncategorized), and splits only apply to expenses.
+  const handleSwitchEditType = (type) => {
+    const formData = type === 'expense' ? newBudget : newExpense;
+    const switched = { ...formData, categoryId: '', split: null };
+    if (type === 'expense') {
+      setNewExpense(switched);
+    } else {
+      setNewBudget(switched);
+    }
+    setFormError(null);
+    setModalType(type);
+  };
+
+  // Opens the recurring modal pre-filled with an existing rule
+  const handleEditRecurringRule = (rule) => {
+    setNewRule({
+      amount: String(rule.amount),
+      currencyCode: rule.currencyCode || settings.currencyCode,
+      type: rule.type,
+      categoryId: rule.categoryId && rule.categoryId !== UNCATEGORIZED_INCOME_ID ? rule.categoryId : '',
+      source: rule.source || '',
+      accountId: rule.accountId || '',
+      interval: rule.interval || 'monthly',
+      every: String(rule.every || 1),
+      startDate: rule.startDate ? toDateInputValue(rule.startDate) : '',
+      endType: rule.endType || 'never',
+      endDate: rule.endDate ? toDateInputValue(rule.endDate) : '',
+      occurrenceCount: String(rule.occurrenceCount || 12),
+    });
+    setEditingRuleId(rule.id);
+    setFormError(null);
+    setModalType('recurring');
+    setIsModalOpen(true);
+  };
+
   const closeModal = useCallback(() => {
     setIsModalOpen(false);
     setModalType(null);
     setShowFabMenu(false);
+    setEditingTransactionId(null);
+    setEditingRuleId(null);
+    setFormError(null);
   }, []); // Memoize closeModal for use in modal props
 
   const handleModalSubmit = (e) => {
     e.preventDefault();
-    if (modalType === 'expense') {
-      handleAddExpense(newExpense);
-    } else if (modalType === 'budget') {
-      handleAddBudgetEntry(newBudget);
+    if (modalType === 'expense' || modalType === 'budget') {
+      const formData = modalType === 'expense' ? newExpense : newBudget;
+      const error = validateTransaction(formData, modalType);
+      if (error) {
+        setFormError(error);
+        return;
+      }
+      if (editingTransactionId) {
+        handleUpdateTransaction(editingTransactionId, formData, modalType);
+      } else if (modalType === 'expense') {
+        handleAddExpense(formData);
+      } else {
+        handleAddBudgetEntry(formData);
+      }
+    } else if (modalType === 'transfer') {
+      const error = validateTransfer(newTransfer);
+      if (error) {
+        setFormError(error);
+        return;
+      }
+      if (editingTransactionId) {
+        handleUpdateTransfer(editingTransactionId, newTransfer);
+      } else {
+        handleAddTransfer(newTransfer);
+      }
+    } else if (modalType === 'recurring') {
+      const error = validateRecurringRule(newRule);
+      if (error) {
+        setFormError(error);
+        return;
+      }
+      if (editingRuleId) {
+        handleUpdateRecurringRule(editingRuleId, buildRecurringRule(newRule));
+      } else {
+        handleAddRecurringRule(newRule);
+      }
     } else if (modalType === 'category') {
       handleAddCategory(newCategory);
     }
@@ -779,7 +6324,19 @@ const App = () => {
   // --- Tab Content Components ---
 
   const OverviewTab = () => {
-    const { totalActualBudget, totalExpenses, remaining } = summary;
+    const { remaining } = summary;
+    // In a shared budget the income, expense and source figures can be narrowed to one member; limits stay household-wide
+    const members = activeBudget ? Object.entries(activeBudget.members).sort(([, a], [, b]) => a.name.localeCompare(b.name)) : [];
+    const isLoggedBySelected = (entry) => memberFilter === 'all' || entry.loggedBy === memberFilter;
+    const memberExpenses = cycleExpenses.filter(isLoggedBySelected);
+    // Spending this cycle per account; entries without one are grouped under ''
+    const spentByAccount = memberExpenses.reduce((acc, exp) => {
+      const key = accountMap[exp.accountId] ? exp.accountId : '';
+      acc[key] = (acc[key] || 0) + exp.baseAmount;
+      return acc;
+    }, {});
+    const totalExpenses = memberExpenses.reduce((sum, entry) => sum + entry.baseAmount, 0);
+    const totalActualBudget = cycleBudgets.filter(isLoggedBySelected).reduce((sum, entry) => sum + entry.baseAmount, 0);
     const CurrencyIcon = CURRENCIES[settings.currencyCode]?.icon || DollarSign;
 
     // New Check: Expenses exceed actual income/budget
@@ -788,7 +6345,7 @@ const App = () => {
     return (
       <div className="p-4 space-y-6">
         <div className="text-center">
-          <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Total Budget Remaining ({settings.cycleMonths} Month{settings.cycleMonths > 1 ? 's' : ''})</div>
+          <div className="text-sm font-medium text-gray-500 dark:text-gray-400">Total Budget Remaining ({formatCycleRange(currentCycle)})</div>
           <h1 className="text-4xl font-extrabold mt-1 text-gray-900 dark:text-white flex items-center justify-center">
             <CurrencyIcon size={30} className="mr-2 text-pink-600" />
             {formatCurrency(remaining, settings.currencyCode)}
@@ -798,7 +6355,30 @@ const App = () => {
           </p>
         </div>
         
+        {members.length > 1 && (
+          <div className="flex justify-between items-center">
+            <label htmlFor="member-filter" className="text-sm font-medium text-gray-700 dark:text-gray-300">Logged by:</label>
+            <select
+              id="member-filter"
+              value={memberFilter}
+              onChange={(e) => setMemberFilter(e.target.value)}
+              className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+            >
+              <option value="all">All Members</option>
+              {members.map(([uid, member]) => <option key={uid} value={uid}>{member.name}</option>)}
+            </select>
+          </div>
+        )}
+
         {/* WARNING BANNER: Show if total expenses are more than total recorded income */}
+        {unconvertedCount > 0 && (
+          <div className="p-4 bg-amber-100 dark:bg-amber-900 border-l-4 border-amber-500 rounded-xl shadow-md">
+            <p className="text-sm text-amber-800 dark:text-amber-200">
+              {unconvertedCount} transaction{unconvertedCount > 1 ? 's are' : ' is'} in a currency without an exchange rate to {settings.currencyCode} and {unconvertedCount > 1 ? 'are' : 'is'} left out of these totals. Add a rate on the Manage tab.
+            </p>
+          </div>
+        )}
+
         {isOverActualBudget && (
           <div className="p-4 bg-red-100 dark:bg-red-900 border-l-4 border-red-500 rounded-xl shadow-md transition-all duration-300">
             <h4 className="font-bold text-red-800 dark:text-red-300 flex items-center">
@@ -816,22 +6396,51 @@ const App = () => {
           <Card title="Total Expenses" value={formatCurrency(totalExpenses, settings.currencyCode)} icon={TrendingUp} color="text-pink-600" />
         </div>
 
+        <ForecastCard forecast={forecast} totalBudgetLimit={summary.totalBudgetLimit} chartData={summary.chartData} currencyCode={settings.currencyCode} />
+
+        <GoalsCard
+          goals={goals}
+          contributions={goalContributions}
+          baseCurrency={settings.currencyCode}
+          rates={exchangeRates}
+          savedThisCycle={summary.totalGoalContributions}
+          canEdit={canEdit}
+          onAdd={() => { setEditingGoalId(null); handleOpenModal('goal'); }}
+          onEdit={(id) => { setEditingGoalId(id); handleOpenModal('goal'); }}
+          onContribute={(id) => { setContributionGoalId(id); handleOpenModal('contribution'); }}
+        />
+
         <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
-          <h3 className="text-lg font-bold mb-3 text-gray-900 dark:text-white">Expense Sources</h3>
+          <h3 className="text-lg font-bold mb-3 text-gray-900 dark:text-white">Accounts</h3>
           <div className="space-y-2">
-            {Object.entries(cycleExpenses.reduce((acc, exp) => {
-              if (exp.type === 'expense') {
-                acc[exp.source] = (acc[exp.source] || 0) + exp.amount;
-              }
-              return acc;
-            }, {})).sort(([, a], [, b]) => b - a).map(([source, amount]) => (
-              <div key={source} className="flex justify-between items-center text-sm">
-                <span className="font-medium text-gray-600 dark:text-gray-400">{source || 'Unspecified'}</span>
-                <span className="font-semibold text-gray-800 dark:text-gray-200">{formatCurrency(amount, settings.currencyCode)}</span>
+            {accounts.map(account => {
+              const { icon: Icon } = getAccountType(account);
+              const { balance = account.openingBalance } = accountBalances[account.id] || {};
+              return (
+                <button
+                  key={account.id}
+                  onClick={() => { setLedgerAccountId(account.id); handleOpenModal('ledger'); }}
+                  className="w-full flex justify-between items-center text-sm text-left"
+                >
+                  <span className="flex items-center font-medium text-gray-600 dark:text-gray-400">
+                    <Icon size={16} className="mr-2 text-indigo-500" />
+                    {account.name}
+                  </span>
+                  <span className="flex flex-col items-end">
+                    <span className={`font-semibold ${balance < 0 ? 'text-pink-600' : 'text-gray-800 dark:text-gray-200'}`}>{formatCurrency(balance, account.currencyCode || settings.currencyCode)}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{formatCurrency(spentByAccount[account.id] || 0, settings.currencyCode)} spent this cycle</span>
+                  </span>
+                </button>
+              );
+            })}
+            {spentByAccount[''] > 0 && (
+              <div className="flex justify-between items-center text-sm">
+                <span className="font-medium text-gray-600 dark:text-gray-400">Not linked to an account</span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{formatCurrency(spentByAccount[''], settings.currencyCode)} spent this cycle</span>
               </div>
-            ))}
-            {cycleExpenses.length === 0 && (
-              <p className="text-center text-gray-500 italic text-sm">No expenses logged yet in this cycle.</p>
+            )}
+            {accounts.length === 0 && (
+              <p className="text-center text-gray-500 italic text-sm">Add your cash, bank, card and wallet accounts on the Manage tab to track their balances.</p>
             )}
           </div>
         </div>
@@ -840,11 +6449,6 @@ const App = () => {
   };
 
   const TransactionsTab = () => {
-    // Sort all entries (expense and budget) by timestamp descending
-    const sortedTransactions = useMemo(() => {
-        return [...expenses].sort((a, b) => b.timestamp - a.timestamp);
-    }, [expenses]);
-
     if (sortedTransactions.length === 0) {
         return (
             <div className="text-center p-10 bg-white dark:bg-gray-800 rounded-2xl shadow-lg m-4">
@@ -852,9 +6456,13 @@ const App = () => {
             </div>
         );
     }
+
+    const pageCount = Math.max(1, Math.ceil(filteredTransactions.length / HISTORY_PAGE_SIZE));
+    const page = Math.min(historyPage, pageCount - 1);
+    const pageTransactions = filteredTransactions.slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE);
     
     // Group transactions by date for a cleaner look
-    const groupedTransactions = sortedTransactions.reduce((acc, transaction) => {
+    const groupedTransactions = pageTransactions.reduce((acc, transaction) => {
       // Use date string for grouping
       const dateKey = transaction.timestamp.toDateString(); 
       if (!acc[dateKey]) {
@@ -867,6 +6475,35 @@ const App = () => {
     return (
         <div className="p-4 space-y-4">
             <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">Transaction History</h2>
+            <HistoryFilterBar
+                filters={historyFilters}
+                onChange={handleUpdateHistoryFilters}
+                categories={categories}
+                incomeCategories={incomeCategories}
+                sources={sources}
+                accounts={accounts}
+                showFilters={showHistoryFilters}
+                onToggleFilters={() => setShowHistoryFilters(!showHistoryFilters)}
+            />
+            <div className="p-3 bg-white dark:bg-gray-800 rounded-xl shadow text-sm">
+                <div className="flex justify-between">
+                    <span className="text-gray-500 dark:text-gray-400">
+                        {filteredTransactions.length === sortedTransactions.length
+                            ? `${sortedTransactions.length} transactions`
+                            : `${filteredTransactions.length} of ${sortedTransactions.length} transactions`}
+                    </span>
+                    <span className={`font-bold ${filteredTotals.income - filteredTotals.expenses >= 0 ? 'text-green-600' : 'text-pink-600'}`}>
+                        Net {formatCurrency(filteredTotals.income - filteredTotals.expenses, settings.currencyCode)}
+                    </span>
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    <span>Out {formatCurrency(filteredTotals.expenses, settings.currencyCode)} · In {formatCurrency(filteredTotals.income, settings.currencyCode)}</span>
+                    {filteredTotals.unconverted > 0 && <span>{filteredTotals.unconverted} without a rate not counted</span>}
+                </div>
+            </div>
+            {filteredTransactions.length === 0 && (
+                <p className="text-center text-gray-500 dark:text-gray-400 py-6">No transactions match these filters.</p>
+            )}
             
             {Object.entries(groupedTransactions).map(([dateKey, transactions]) => (
                 <div key={dateKey} className="space-y-2">
@@ -876,14 +6513,18 @@ const App = () => {
                     <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg divide-y divide-gray-100 dark:divide-gray-700">
                         {transactions.map(t => {
                             const isExpense = t.type === 'expense';
-                            const category = categoryMap[t.categoryId];
+                            const isTransfer = t.type === 'transfer';
                             
                             // Determine color and icon based on type
-                            const colorClass = isExpense ? 'text-pink-600' : 'text-green-600';
-                            const bgColorClass = isExpense ? 'bg-pink-100 dark:bg-pink-900' : 'bg-green-100 dark:bg-green-900';
-                            const Icon = isExpense ? ArrowUpRight : ArrowDownLeft;
-                            const categoryName = isExpense ? (category?.name || 'Uncategorized') : 'Income';
+                            const colorClass = isTransfer ? 'text-sky-600' : isExpense ? 'text-pink-600' : 'text-green-600';
+                            const bgColorClass = isTransfer ? 'bg-sky-100 dark:bg-sky-900' : isExpense ? 'bg-pink-100 dark:bg-pink-900' : 'bg-green-100 dark:bg-green-900';
+                            const Icon = isTransfer ? ArrowLeftRight : isExpense ? ArrowUpRight : ArrowDownLeft;
+                            const categoryName = isTransfer ? transferLabel(t, accountMap) : transactionCategoryName(t, categoryMap);
                             const timeString = t.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                            const scheduled = isScheduled(t);
+                            const isForeign = !!t.currencyCode && t.currencyCode !== settings.currencyCode;
+                            const baseAmount = convertToBaseCurrency(t, settings.currencyCode, exchangeRates);
+                            const loggedByName = activeBudget && t.loggedBy ? (activeBudget.members[t.loggedBy]?.name || 'Former member') : null;
 
                             return (
                                 <div key={t.id} className="flex items-center justify-between p-3 transition hover:bg-gray-50 dark:hover:bg-gray-700">
@@ -892,22 +6533,79 @@ const App = () => {
                                             <Icon size={20} className={colorClass} />
                                         </div>
                                         <div className="flex flex-col">
-                                            <span className="text-sm font-medium text-gray-900 dark:text-white">{categoryName}</span>
-                                            <span className="text-xs text-gray-500 dark:text-gray-400">{t.source} - {timeString}</span>
+                                            <span className="text-sm font-medium text-gray-900 dark:text-white">
+                                                {categoryName}
+                                                {t.recurringRuleId && (
+                                                    <Repeat size={12} className="inline ml-1.5 text-indigo-400" aria-label="Recurring" />
+                                                )}
+                                                {scheduled && (
+                                                    <span className="ml-2 px-1.5 py-0.5 text-xs font-semibold text-amber-700 bg-amber-100 dark:text-amber-300 dark:bg-amber-900 rounded">Scheduled</span>
+                                                )}
+                                            </span>
+                                            {t.note && <span className="text-xs text-gray-700 dark:text-gray-300">{t.note}</span>}
+                                            {t.tags && t.tags.length > 0 && (
+                                                <span className="flex flex-wrap gap-1 my-0.5">
+                                                    {t.tags.map(tag => (
+                                                        <button
+                                                            key={tag}
+                                                            onClick={() => handleUpdateHistoryFilters({ q: `#${tag}` })}
+                                                            className="px-1.5 py-0.5 text-xs text-indigo-700 bg-indigo-50 dark:text-indigo-300 dark:bg-indigo-900 rounded"
+                                                        >
+                                                            #{tag}
+                                                        </button>
+                                                    ))}
+                                                </span>
+                                            )}
+                                            <span className="text-xs text-gray-500 dark:text-gray-400 flex items-center">
+                                                {isTransfer ? 'Transfer' : t.source} - {timeString}
+                                                {accountMap[t.accountId] && ` · ${accountMap[t.accountId].name}`}
+                                                {loggedByName && ` · by ${loggedByName}`}
+                                                {t.pendingWrite
+                                                    ? <RefreshCw size={12} className="ml-1.5 text-amber-500" aria-label="Pending sync" />
+                                                    : <Cloud size={12} className="ml-1.5 text-gray-300 dark:text-gray-600" aria-label="Synced" />}
+                                            </span>
                                         </div>
                                     </div>
                                     
                                     <div className="flex items-center space-x-2">
-                                        <span className={`text-sm font-bold ${colorClass}`}>
-                                            {isExpense ? '-' : '+'} {formatCurrency(t.amount, settings.currencyCode)}
-                                        </span>
-                                        <button 
-                                            onClick={() => handleDeleteTransaction(t.id)} 
-                                            className="text-red-400 hover:text-red-600 p-1 rounded-full hover:bg-red-50 dark:hover:bg-gray-700 flex-shrink-0"
-                                            aria-label="Delete transaction"
-                                        >
-                                            <Trash2 size={16} />
-                                        </button>
+                                        <div className="flex flex-col items-end">
+                                            <span className={`text-sm font-bold ${colorClass}`}>
+                                                {isTransfer ? '' : isExpense ? '- ' : '+ '}{baseAmount !== null ? formatCurrency(baseAmount, settings.currencyCode) : formatCurrency(t.amount, t.currencyCode)}
+                                            </span>
+                                            {isTransfer && t.fee > 0 && (
+                                                <span className="text-xs text-gray-500 dark:text-gray-400">
+                                                    Fee {formatCurrency(t.fee, t.currencyCode || settings.currencyCode)}
+                                                </span>
+                                            )}
+                                            {isForeign && (
+                                                <span className="text-xs text-gray-500 dark:text-gray-400">
+                                                    {baseAmount !== null ? formatCurrency(t.amount, t.currencyCode) : 'No exchange rate'}
+                                                </span>
+                                            )}
+                                            {t.split && (
+                                                <span className="text-xs text-gray-500 dark:text-gray-400">
+                                                    Split · your share {formatCurrency(ownAmount(t), t.currencyCode || settings.currencyCode)}
+                                                </span>
+                                            )}
+                                        </div>
+                                        {canEdit && (
+                                            <>
+                                                <button
+                                                    onClick={() => handleEditTransaction(t)}
+                                                    className="text-indigo-400 hover:text-indigo-600 p-1 rounded-full hover:bg-indigo-50 dark:hover:bg-gray-700 flex-shrink-0"
+                                                    aria-label="Edit transaction"
+                                                >
+                                                    <Pencil size={16} />
+                                                </button>
+                                                <button 
+                                                    onClick={() => handleDeleteTransaction(t.id)} 
+                                                    className="text-red-400 hover:text-red-600 p-1 rounded-full hover:bg-red-50 dark:hover:bg-gray-700 flex-shrink-0"
+                                                    aria-label="Delete transaction"
+                                                >
+                                                    <Trash2 size={16} />
+                                                </button>
+                                            </>
+                                        )}
                                     </div>
                                 </div>
                             );
@@ -915,63 +6613,128 @@ const App = () => {
                     </div>
                 </div>
             ))}
+
+            {pageCount > 1 && (
+                <div className="flex items-center justify-between pt-2">
+                    <button
+                        onClick={() => setHistoryPage(page - 1)}
+                        disabled={page === 0}
+                        className="flex items-center px-3 py-2 text-sm font-semibold text-indigo-600 dark:text-indigo-400 rounded-lg disabled:opacity-40"
+                    >
+                        <ChevronLeft size={16} /> Newer
+                    </button>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">Page {page + 1} of {pageCount}</span>
+                    <button
+                        onClick={() => setHistoryPage(page + 1)}
+                        disabled={page >= pageCount - 1}
+                        className="flex items-center px-3 py-2 text-sm font-semibold text-indigo-600 dark:text-indigo-400 rounded-lg disabled:opacity-40"
+                    >
+                        Older <ChevronRight size={16} />
+                    </button>
+                </div>
+            )}
         </div>
     );
 };
 
 const ExpensesTab = () => {
+    const toggleExpanded = (id) => setExpandedBudgetIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    // Subcategories show inside their parent's card, unless the parent has nothing to show this cycle
+    const topLevelData = summary.chartData.filter(d => !d.parentId || !summary.chartData.some(p => p.id === d.parentId));
+
+    const renderBudgetCard = (data, index, isSubcategory) => {
+      const spent = data.value || 0;
+      const limit = data.budgetLimit || 0; // Calculated cycle limit plus the carried amount
+      
+      // Carried overspend can leave nothing to spend, so any spending then counts as over
+      const percentage = limit > 0 ? (spent / limit) * 100 : (spent > 0 ? Infinity : 0);
+      const barColor = percentage > 100 ? 'bg-red-500' : (percentage > 75 ? 'bg-yellow-500' : 'bg-green-500');
+
+      const category = categories.find(c => c.id === data.id);
+      const color = category?.color || COLORS[index % COLORS.length];
+      const subcategoryData = summary.chartData.filter(d => d.parentId === data.id);
+      const isExpanded = expandedBudgetIds.includes(data.id);
+      let derivation = '';
+      if (category) {
+        derivation = usesSubcategoryLimits(categories, category)
+          ? `Sum of ${getSubcategories(categories, category.id).length} subcategory limits`
+          : describeCycleBudget(category, cycleConfig, currentCycle, settings.currencyCode);
+      }
+
+      return (
+        <div key={data.id} className={isSubcategory ? 'pt-3' : 'bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg border border-gray-100 dark:border-gray-700'}>
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center space-x-3">
+              <div className={`${isSubcategory ? 'w-6 h-6' : 'w-8 h-8'} rounded-full flex items-center justify-center`} style={{ backgroundColor: color }}>
+                <IconComponent name={category?.icon} size={isSubcategory ? 14 : 18} color="white" />
+              </div>
+              <span className={`${isSubcategory ? 'text-sm font-medium' : 'text-lg font-semibold'} text-gray-900 dark:text-white`}>{data.name}</span>
+            </div>
+            <div className="text-right">
+              <p className="text-sm font-bold text-gray-800 dark:text-gray-200">{formatCurrency(spent, settings.currencyCode)}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">of {formatCurrency(limit, settings.currencyCode)} (Cycle Budget)</p>
+            </div>
+          </div>
+          <p className="text-xs text-indigo-500 dark:text-indigo-400 mb-2">
+            {derivation}
+            {data.carried !== 0 && (
+              <span className={data.carried > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                {' '}· Carried: {data.carried > 0 ? '+' : '−'}{formatCurrency(Math.abs(data.carried), settings.currencyCode)}
+              </span>
+            )}
+          </p>
+          {forecast.categories[data.id] && percentage <= 100 && (
+            <p className={`text-xs mb-2 ${forecast.categories[data.id].overspend ? 'text-amber-600 dark:text-amber-400 font-semibold' : 'text-gray-500 dark:text-gray-400'}`}>
+              Projected by cycle end: {formatCurrency(forecast.categories[data.id].projected, settings.currencyCode)}
+              {forecast.categories[data.id].overspend && ' · on track to overspend'}
+            </p>
+          )}
+
+          <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full transition-all duration-500 ${barColor}`}
+              style={{ width: `${Math.min(percentage, 100)}%` }}
+            ></div>
+            {percentage > 100 && (
+              <div className="text-xs text-center text-red-600 font-semibold mt-1">
+                OVERSPENT by {formatCurrency(spent - Math.max(limit, 0), settings.currencyCode)}
+              </div>
+            )}
+          </div>
+
+          {subcategoryData.length > 0 && (
+            <>
+              <button
+                onClick={() => toggleExpanded(data.id)}
+                className="mt-3 flex items-center text-xs font-semibold text-indigo-600 dark:text-indigo-400"
+                aria-expanded={isExpanded}
+              >
+                {isExpanded ? <ChevronDown size={14} className="mr-1" /> : <ChevronRight size={14} className="mr-1" />}
+                {subcategoryData.length} subcategor{subcategoryData.length === 1 ? 'y' : 'ies'}
+                {data.ownValue > 0 && ` · ${formatCurrency(data.ownValue, settings.currencyCode)} logged on ${data.name} itself`}
+              </button>
+              {isExpanded && (
+                <div className="mt-1 pl-4 border-l-2 border-gray-100 dark:border-gray-700">
+                  {subcategoryData.map((child, childIndex) => renderBudgetCard(child, childIndex, true))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      );
+    };
+
     return (
       <div className="p-4 space-y-4">
         <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">Budget Tracker (Category Limits)</h2>
-        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">Budget limit shown is calculated for the full {settings.cycleMonths} month cycle.</p>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">Budget limits are prorated over the calendar days of the full cycle ({formatCycleRange(currentCycle)}).</p>
         
         {summary.chartData.length === 0 && (
           <div className="text-center p-10 bg-white dark:bg-gray-800 rounded-2xl shadow-lg">
             <p className="text-gray-500 dark:text-gray-400">No categories found or no expenses logged. Go to **Manage** tab to set up your budget!</p>
           </div>
         )}
-        {summary.chartData.map((data, index) => {
-          const spent = data.value || 0;
-          const limit = data.budgetLimit || 0; // Calculated cycle limit
-          const baseLimit = data.baseLimit || 0;
-          const baseFrequency = FREQUENCIES.find(f => f.code === data.baseFrequency)?.name || 'Monthly';
-          
-          const percentage = limit > 0 ? (spent / limit) * 100 : 0;
-          const barColor = percentage > 100 ? 'bg-red-500' : (percentage > 75 ? 'bg-yellow-500' : 'bg-green-500');
-
-          const category = categories.find(c => c.id === data.id);
-          const color = category?.color || COLORS[index % COLORS.length];
-
-          return (
-            <div key={data.id} className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg border border-gray-100 dark:border-gray-700">
-              <div className="flex items-center justify-between mb-2">
-                <div className="flex items-center space-x-3">
-                  <div className="w-8 h-8 rounded-full flex items-center justify-center" style={{ backgroundColor: color }}>
-                    <IconComponent name={category?.icon} size={18} color="white" />
-                  </div>
-                  <span className="text-lg font-semibold text-gray-900 dark:text-white">{data.name}</span>
-                </div>
-                <div className="text-right">
-                  <p className="text-sm font-bold text-gray-800 dark:text-gray-200">{formatCurrency(spent, settings.currencyCode)}</p>
-                  <p className="text-xs text-gray-500 dark:text-gray-400">of {formatCurrency(limit, settings.currencyCode)} (Cycle Budget)</p>
-                </div>
-              </div>
-              <p className="text-xs text-indigo-500 dark:text-indigo-400 mb-2">Base: {formatCurrency(baseLimit, settings.currencyCode)} / {baseFrequency}</p>
-
-              <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
-                <div
-                  className={`h-full rounded-full transition-all duration-500 ${barColor}`}
-                  style={{ width: `${Math.min(percentage, 100)}%` }}
-                ></div>
-                {percentage > 100 && (
-                  <div className="text-xs text-center text-red-600 font-semibold mt-1">
-                    OVERSPENT by {formatCurrency(spent - limit, settings.currencyCode)}
-                  </div>
-                )}
-              </div>
-            </div>
-          );
-        })}
+        {topLevelData.map((data, index) => renderBudgetCard(data, index, false))}
       </div>
     );
   };
@@ -980,17 +6743,25 @@ const ExpensesTab = () => {
     const [editingCatId, setEditingCatId] = useState(null);
     const [editName, setEditName] = useState('');
     const [editLimit, setEditLimit] = useState('');
-    const [editFrequency, setEditFrequency] = useState('monthly'); // New state
+    const [editFrequency, setEditFrequency] = useState({ frequency: 'monthly', days: '' }); // New state
     const [editColor, setEditColor] = useState('');
     const [editIcon, setEditIcon] = useState('Tag');
+    const [editRollover, setEditRollover] = useState({ mode: 'none', cap: '' });
+    const [editAlerts, setEditAlerts] = useState(''); // Blank uses the default thresholds from settings
+    const [editParentId, setEditParentId] = useState('');
+    const [editLimitMode, setEditLimitMode] = useState('sum');
 
     const startEdit = (cat) => {
       setEditingCatId(cat.id);
       setEditName(cat.name);
       setEditLimit(cat.baseLimit); // Use baseLimit
-      setEditFrequency(cat.baseFrequency || 'monthly'); // New frequency
+      setEditFrequency({ frequency: cat.baseFrequency || 'monthly', days: cat.baseFrequencyDays ?? '' }); // New frequency
       setEditColor(cat.color);
       setEditIcon(cat.icon);
+      setEditRollover({ mode: cat.rolloverMode || 'none', cap: cat.rolloverCap ?? '' });
+      setEditAlerts(Array.isArray(cat.alertThresholds) ? formatThresholds(cat.alertThresholds) : '');
+      setEditParentId(cat.parentId || '');
+      setEditLimitMode(cat.limitMode || 'sum');
     };
 
     const saveEdit = async () => {
@@ -998,17 +6769,97 @@ const ExpensesTab = () => {
       await handleUpdateCategory(editingCatId, {
         name: editName.trim(),
         baseLimit: parseFloat(editLimit),
-        baseFrequency: editFrequency, // Save frequency
+        baseFrequency: editFrequency.frequency, // Save frequency
+        baseFrequencyDays: editFrequency.frequency === 'custom' ? getFrequency({ baseFrequency: 'custom', baseFrequencyDays: editFrequency.days }).days : null,
+        rolloverMode: editRollover.mode,
+        rolloverCap: parseFloat(editRollover.cap) > 0 ? parseFloat(editRollover.cap) : null,
+        alertThresholds: parseThresholds(editAlerts).length > 0 ? parseThresholds(editAlerts) : null,
+        parentId: editParentId || null,
+        limitMode: editLimitMode,
         color: editColor,
         icon: editIcon,
       });
       setEditingCatId(null);
     };
 
+    // Shared budgets need Firebase, so the local backend has no card
+    const sharedBudgetsCard = firebase && (
+      <SharedBudgetsCard
+        userId={userId}
+        budgets={sharedBudgets}
+        activeBudget={activeBudget}
+        onSwitch={setActiveBudgetId}
+        onCreate={handleCreateSharedBudget}
+        onJoin={handleJoinSharedBudget}
+        invites={budgetInvites}
+        onCreateInvite={handleCreateInvite}
+        onRevokeInvite={handleRevokeInvite}
+        onChangeRole={handleChangeMemberRole}
+        onRemoveMember={handleRemoveMember}
+      />
+    );
+
+    if (!canEdit) {
+      return (
+        <div className="p-4 space-y-4">
+          <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">Manage Categories & Budgets</h2>
+          {sharedBudgetsCard}
+          <p className="p-4 text-sm text-gray-600 dark:text-gray-400 bg-white dark:bg-gray-800 rounded-2xl shadow-lg">
+            You have view-only access to {activeBudget.name}. Ask an owner to make you an editor to change categories, settings or entries.
+          </p>
+          <DataManagementCard onExport={() => handleOpenModal('export')} onBackup={handleDownloadBackup} />
+        </div>
+      );
+    }
+
     return (
       <div className="p-4 space-y-4">
         <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">Manage Categories & Budgets</h2>
+        {sharedBudgetsCard}
         <SettingsCard settings={settings} onUpdateSettings={handleUpdateSettings} currencyCode={settings.currencyCode} />
+        <NotificationsCard settings={settings} onUpdateSettings={handleUpdateSettings} />
+        <IncomeCategoriesCard
+          incomeCategories={incomeCategories}
+          referencedIds={new Set([...expenses, ...recurringRules].filter(t => t.type === 'budget').map(t => t.categoryId))}
+          onAdd={handleAddIncomeCategory}
+          onAddDefaults={handleAddDefaultIncomeCategories}
+          onDelete={handleDeleteIncomeCategory}
+        />
+        <AccountsCard
+          accounts={accounts}
+          balances={accountBalances}
+          baseCurrency={settings.currencyCode}
+          referencedIds={new Set([
+            ...expenses.flatMap(t => [t.accountId, t.fromAccountId, t.toAccountId]),
+            ...recurringRules.map(rule => rule.accountId),
+          ].filter(Boolean))}
+          unlinkedCount={expenses.filter(t => !t.accountId && t.type !== 'transfer').length}
+          onAdd={handleAddAccount}
+          onDelete={handleDeleteAccount}
+          onOpenLedger={(id) => { setLedgerAccountId(id); handleOpenModal('ledger'); }}
+          onMigrate={() => handleOpenModal('sourceMigration')}
+        />
+        <ExchangeRatesCard
+          rates={exchangeRates}
+          baseCurrency={settings.currencyCode}
+          onAdd={handleAddExchangeRate}
+          onDelete={handleDeleteExchangeRate}
+        />
+        <DataManagementCard
+          onImport={() => handleOpenModal('import')}
+          onExport={() => handleOpenModal('export')}
+          onBackup={handleDownloadBackup}
+          onRestore={() => handleOpenModal('restore')}
+        />
+        <RecurringRulesCard
+          rules={recurringRules}
+          categoryMap={categoryMap}
+          currencyCode={settings.currencyCode}
+          onAdd={() => handleOpenModal('recurring')}
+          onEdit={handleEditRecurringRule}
+          onTogglePause={handleToggleRecurringRule}
+          onDelete={handleDeleteRecurringRule}
+        />
 
         {categories.length === 0 && (
           <div className="text-center p-10 bg-white dark:bg-gray-800 rounded-2xl shadow-lg">
@@ -1017,12 +6868,13 @@ const ExpensesTab = () => {
         )}
 
         <div className="space-y-3">
-          {categories.map((cat, index) => {
-            const cycleBudget = calculateCycleBudget(cat.baseLimit, cat.baseFrequency, settings.cycleMonths);
-            const baseFrequencyName = FREQUENCIES.find(f => f.code === cat.baseFrequency)?.name || 'Monthly';
+          {groupCategories(categories).flatMap(({ parent, children }) => [parent, ...children]).map((cat, index) => {
+            const cycleBudget = calculateCategoryBudget(cat, categories, cycleConfig, currentCycle);
+            const subcategoryCount = getSubcategories(categories, cat.id).length;
+            const sumsSubcategories = usesSubcategoryLimits(categories, cat);
 
             return (
-              <div key={cat.id} className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg border-l-4" style={{ borderLeftColor: cat.color || COLORS[index % COLORS.length] }}>
+              <div key={cat.id} className={`bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg border-l-4 ${cat.parentId ? 'ml-6' : ''}`} style={{ borderLeftColor: cat.color || COLORS[index % COLORS.length] }}>
                 {editingCatId === cat.id ? (
                   <div className="space-y-3">
                     <input
@@ -1032,6 +6884,26 @@ const ExpensesTab = () => {
                       className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
                       placeholder="Category Name"
                     />
+                    {subcategoryCount === 0 ? (
+                      <select
+                        value={editParentId}
+                        onChange={(e) => setEditParentId(e.target.value)}
+                        className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+                        aria-label="Parent Category"
+                      >
+                        <option value="">No Parent (Top-Level Category)</option>
+                        {categories.filter(c => !c.parentId && c.id !== cat.id).map(c => <option key={c.id} value={c.id}>Subcategory of {c.name}</option>)}
+                      </select>
+                    ) : (
+                      <select
+                        value={editLimitMode}
+                        onChange={(e) => setEditLimitMode(e.target.value)}
+                        className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+                        aria-label="Parent Limit"
+                      >
+                        {CATEGORY_LIMIT_MODES.map(m => <option key={m.code} value={m.code}>Limit: {m.name}</option>)}
+                      </select>
+                    )}
                     <input
                       type="number"
                       value={editLimit}
@@ -1039,13 +6911,25 @@ const ExpensesTab = () => {
                       className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
                       placeholder="Base Budget Amount"
                     />
-                    <select
-                        value={editFrequency}
-                        onChange={(e) => setEditFrequency(e.target.value)}
-                        className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
-                    >
-                        {FREQUENCIES.map(f => <option key={f.code} value={f.code}>{f.name}</option>)}
-                    </select>
+                    <FrequencyFields
+                      frequency={editFrequency.frequency}
+                      days={editFrequency.days}
+                      onChange={setEditFrequency}
+                      inputClass="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <RolloverFields
+                      mode={editRollover.mode}
+                      cap={editRollover.cap}
+                      onChange={setEditRollover}
+                      inputClass="p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <input
+                      type="text"
+                      value={editAlerts}
+                      onChange={(e) => setEditAlerts(e.target.value)}
+                      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+                      placeholder={`Alerts at (default ${formatThresholds(settings.alertThresholds || DEFAULT_ALERT_THRESHOLDS)})`}
+                    />
 
                     <div className="flex space-x-2 overflow-x-auto pb-2">
                       {COLORS.map(color => (
@@ -1074,12 +6958,28 @@ const ExpensesTab = () => {
                       </div>
                       <div className="flex flex-col text-sm">
                         <span className="text-lg font-medium text-gray-900 dark:text-white">{cat.name}</span>
-                        <span className="text-gray-500 dark:text-gray-400">Base: {formatCurrency(cat.baseLimit, settings.currencyCode)} / {baseFrequencyName}</span>
+                        {sumsSubcategories ? (
+                          <span className="text-gray-500 dark:text-gray-400">Limit: sum of {subcategoryCount} subcategor{subcategoryCount === 1 ? 'y' : 'ies'}</span>
+                        ) : (
+                          <>
+                            <span className="text-gray-500 dark:text-gray-400">Base: {formatCurrency(cat.baseLimit, settings.currencyCode)} / {getFrequency(cat).name}</span>
+                            <span className="text-xs text-gray-500 dark:text-gray-400">This cycle: {describeCycleBudget(cat, cycleConfig, currentCycle, settings.currencyCode)}</span>
+                          </>
+                        )}
+                        {!sumsSubcategories && (
+                          <span className="text-xs text-gray-500 dark:text-gray-400">
+                            Rollover: {describeRollover(cat, settings.currencyCode)}
+                            {rollovers[cat.id] ? ` · ${rollovers[cat.id] > 0 ? '+' : '−'}${formatCurrency(Math.abs(rollovers[cat.id]), settings.currencyCode)} carried in` : ''}
+                          </span>
+                        )}
+                        {Array.isArray(cat.alertThresholds) && (
+                          <span className="text-xs text-gray-500 dark:text-gray-400">Alerts at {formatThresholds(cat.alertThresholds)}</span>
+                        )}
                       </div>
                     </div>
                     <div className="flex flex-col items-end space-y-1">
                       <span className="text-lg font-bold text-indigo-600 dark:text-indigo-400">{formatCurrency(cycleBudget, settings.currencyCode)}</span>
-                      <span className="text-xs text-gray-500 dark:text-gray-400">({settings.cycleMonths} Month Cycle)</span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400">(Per Cycle)</span>
                       <div className="flex space-x-2 mt-1">
                         <button onClick={() => startEdit(cat)} className="text-indigo-500 hover:text-indigo-700 p-1 rounded-full hover:bg-indigo-50 dark:hover:bg-gray-700">
                           <Pencil size={18} />
@@ -1099,20 +6999,161 @@ const ExpensesTab = () => {
     );
   };
 
+  const BalancesTab = () => {
+    const [newContactName, setNewContactName] = useState('');
+    const baseCurrency = settings.currencyCode;
+    // A contact can only be deleted once nothing refers to them, so no balance is lost silently
+    const referencedContactIds = new Set([
+      ...expenses.filter(t => t.split).flatMap(t => [t.split.paidBy, ...t.split.shares.map(s => s.contactId)]),
+      ...settlements.map(s => s.contactId),
+    ]);
+    const totalOwedToYou = Object.values(balances).filter(b => b > 0).reduce((sum, b) => sum + b, 0);
+    const totalYouOwe = -Object.values(balances).filter(b => b < 0).reduce((sum, b) => sum + b, 0);
+    const recentSettlements = [...settlements].sort((a, b) => b.timestamp - a.timestamp).slice(0, 20);
+
+    const addContact = (e) => {
+      e.preventDefault();
+      if (!newContactName.trim()) return;
+      handleAddContact(newContactName);
+      setNewContactName('');
+    };
+
+    return (
+      <div className="p-4 space-y-4">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">Balances</h2>
+        <div className="grid grid-cols-2 gap-4">
+          <Card title="Owed to You" value={formatCurrency(totalOwedToYou, baseCurrency)} icon={ArrowDownLeft} color="text-green-600" />
+          <Card title="You Owe" value={formatCurrency(totalYouOwe, baseCurrency)} icon={ArrowUpRight} color="text-pink-600" />
+        </div>
+
+        {unconvertedBalanceCount > 0 && (
+          <p className="p-3 text-sm text-amber-800 dark:text-amber-200 bg-amber-100 dark:bg-amber-900 rounded-xl">
+            {unconvertedBalanceCount} split bill{unconvertedBalanceCount > 1 ? 's or settlements have' : ' or settlement has'} no exchange rate to {baseCurrency} and {unconvertedBalanceCount > 1 ? 'are' : 'is'} left out of these balances.
+          </p>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg space-y-3">
+          <h3 className="text-lg font-bold text-gray-900 dark:text-white">People</h3>
+          {contacts.length === 0 && (
+            <p className="text-center text-gray-500 italic text-sm">Add the people you split bills with.</p>
+          )}
+          {contacts.map(contact => {
+            const balance = balances[contact.id] || 0;
+            return (
+              <div key={contact.id} className="flex items-center justify-between text-sm">
+                <div className="flex flex-col">
+                  <span className="font-medium text-gray-900 dark:text-white">{contact.name}</span>
+                  <span className={`text-xs ${balance > 0 ? 'text-green-600' : balance < 0 ? 'text-pink-600' : 'text-gray-500 dark:text-gray-400'}`}>
+                    {balance > 0 && `Owes you ${formatCurrency(balance, baseCurrency)}`}
+                    {balance < 0 && `You owe ${formatCurrency(-balance, baseCurrency)}`}
+                    {balance === 0 && 'Settled up'}
+                  </span>
+                </div>
+                {canEdit && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => { setSettleContactId(contact.id); handleOpenModal('settle'); }}
+                      className="px-3 py-1 text-xs font-semibold text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-gray-700 rounded-lg hover:bg-indigo-100 dark:hover:bg-gray-600"
+                    >
+                      Settle Up
+                    </button>
+                    {!referencedContactIds.has(contact.id) && (
+                      <button onClick={() => handleDeleteContact(contact.id)} className="text-red-400 hover:text-red-600 p-1" aria-label="Delete person">
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {canEdit && (
+            <form onSubmit={addContact} className="flex space-x-2 pt-2 border-t border-gray-100 dark:border-gray-700">
+              <input
+                type="text"
+                placeholder="Name"
+                value={newContactName}
+                onChange={(e) => setNewContactName(e.target.value)}
+                className="flex-grow p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <button type="submit" className="px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition">
+                Add Person
+              </button>
+            </form>
+          )}
+        </div>
+
+        {recentSettlements.length > 0 && (
+          <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg space-y-2">
+            <h3 className="text-lg font-bold text-gray-900 dark:text-white">Settlements</h3>
+            {recentSettlements.map(s => {
+              const name = contactMap[s.contactId]?.name || 'Removed person';
+              return (
+                <div key={s.id} className="flex items-center justify-between text-sm">
+                  <div className="flex flex-col">
+                    <span className="text-gray-800 dark:text-gray-200">{s.direction === 'received' ? `${name} paid you` : `You paid ${name}`}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{s.timestamp.toLocaleDateString()}</span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className="font-semibold text-gray-800 dark:text-gray-200">{formatCurrency(s.amount, s.currencyCode || baseCurrency)}</span>
+                    {canEdit && (
+                      <button onClick={() => handleDeleteSettlement(s.id)} className="text-red-400 hover:text-red-600 p-1" aria-label="Delete settlement">
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const AnalysisTab = () => {
     const { chartData } = summary;
+    const drillParent = chartData.find(d => d.id === drillParentId);
+
+    // Top level: each category with its subcategories rolled in. Drilled down: the parent's subcategories,
+    // plus a slice for spending logged on the parent itself
+    const pieData = (drillParent
+      ? [
+        ...chartData.filter(d => d.parentId === drillParent.id),
+        { ...drillParent, id: `${drillParent.id}-general`, name: `${drillParent.name} (general)`, value: drillParent.ownValue, hasSubcategories: false },
+      ]
+      : chartData.filter(d => !d.parentId)
+    ).filter(d => d.value > 0);
+
+    const handleSliceClick = (entry) => {
+      const slice = (entry && entry.payload) || entry; // Recharts passes the sector, which carries the data entry as payload
+      if (!drillParent && slice && slice.hasSubcategories) setDrillParentId(slice.id);
+    };
 
     return (
       <div className="p-4 space-y-8">
         <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Financial Analysis</h2>
 
         <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg">
-          <h3 className="text-xl font-semibold mb-4 text-gray-900 dark:text-white">Expense Distribution (Current Cycle)</h3>
-          {chartData.filter(d => d.value > 0).length > 0 ? (
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+              {drillParent ? `${drillParent.name} Breakdown` : 'Expense Distribution'} (Current Cycle)
+            </h3>
+            {drillParent && (
+              <button onClick={() => setDrillParentId(null)} className="flex items-center text-sm font-semibold text-indigo-600 dark:text-indigo-400">
+                <ChevronLeft size={16} /> All Categories
+              </button>
+            )}
+          </div>
+          {!drillParent && chartData.some(d => d.hasSubcategories && d.value > 0) && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 -mt-2 mb-2">Tap a category with subcategories to see its breakdown.</p>
+          )}
+          {pieData.length > 0 ? (
             <ResponsiveContainer width="100%" height={300}>
               <PieChart>
                 <Pie
-                  data={chartData.filter(d => d.value > 0)}
+                  data={pieData}
+                  onClick={handleSliceClick}
                   cx="50%"
                   cy="50%"
                   innerRadius={60}
@@ -1123,8 +7164,8 @@ const ExpensesTab = () => {
                   labelLine={false}
                   label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
                 >
-                  {chartData.filter(d => d.value > 0).map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={entry.color} />
+                  {pieData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.color} cursor={entry.hasSubcategories ? 'pointer' : undefined} />
                   ))}
                 </Pie>
                 <Tooltip formatter={(value) => formatCurrency(value, settings.currencyCode)} />
@@ -1136,10 +7177,27 @@ const ExpensesTab = () => {
           )}
         </div>
 
+        <IncomeBreakdownCard
+          entries={convertedExpenses}
+          categoryMap={categoryMap}
+          cycle={currentCycle}
+          currencyCode={settings.currencyCode}
+          scope={incomeBreakdownScope}
+          onScopeChange={setIncomeBreakdownScope}
+        />
+
+        <TagBreakdownCard
+          expenses={convertedExpenses}
+          cycle={currentCycle}
+          currencyCode={settings.currencyCode}
+          scope={tagBreakdownScope}
+          onScopeChange={setTagBreakdownScope}
+        />
+
         <ExpenseCycleBarChart
-          expenses={expenses}
+          expenses={convertedExpenses}
           categoryMap={categoryMap}
-          cycleMonths={settings.cycleMonths}
+          cycleConfig={cycleConfig}
           currencyCode={settings.currencyCode}
         />
       </div>
@@ -1169,11 +7227,13 @@ const ExpensesTab = () => {
       case 'transactions': return <TransactionsTab />; // NEW TAB
       case 'budget': return <ExpensesTab />;
       case 'manage': return <AllocateTab />;
+      case 'balances': return <BalancesTab />;
       case 'analysis': return <AnalysisTab />;
       default: return <OverviewTab />;
     }
   };
 
+  const hasPendingWrites = Object.values(pendingWrites).some(Boolean);
   const currentCurrency = CURRENCIES[settings.currencyCode];
   const CurrencySymbol = currentCurrency ? currentCurrency.symbol : '$';
 
@@ -1182,15 +7242,37 @@ const ExpensesTab = () => {
       <header className="sticky top-0 z-30 bg-white dark:bg-gray-800 shadow-sm p-4 border-b border-gray-200 dark:border-gray-700">
         <div className="flex justify-between items-center">
           <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Finance Tracker (PWA)</h1>
-          <div className="text-sm text-gray-500 dark:text-gray-400 font-mono p-1 bg-gray-100 dark:bg-gray-700 rounded-lg">
-            User: {userId ? userId.substring(0, 8) + '...' : 'Anon'}
+          <div className="flex items-center space-x-2">
+            <SyncStatusBadge
+              isLocal={store?.kind === 'local'}
+              isOnline={isOnline}
+              hasPendingWrites={hasPendingWrites}
+              failedCount={failedWrites.length}
+              onClick={() => handleOpenModal('sync')}
+            />
+            <button
+              onClick={() => handleOpenModal('account')}
+              className="text-sm text-gray-500 dark:text-gray-400 font-mono p-1 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600"
+            >
+              {store?.kind === 'local' ? 'Local' : (authUser ? authUser.label : 'Anon')}
+            </button>
           </div>
         </div>
         <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
-          Budget Cycle: <span className="font-semibold text-indigo-500">{settings.cycleMonths} month{settings.cycleMonths > 1 ? 's' : ''}</span> | Currency: <span className="font-semibold text-indigo-500">{CurrencySymbol}</span>
+          {activeBudget && <>Budget: <span className="font-semibold text-indigo-500">{activeBudget.name}</span> | </>}
+          Budget Cycle: <span className="font-semibold text-indigo-500">{describeCycle(cycleConfig)}</span> | Currency: <span className="font-semibold text-indigo-500">{CurrencySymbol}</span>
         </p>
       </header>
 
+      {waitingWorker && (
+        <div className="flex items-center justify-between p-3 bg-indigo-600 text-white text-sm">
+          <span>An update is available.</span>
+          <button onClick={handleApplyUpdate} className="px-3 py-1 font-semibold bg-white text-indigo-600 rounded-lg hover:bg-indigo-50 transition">
+            Reload
+          </button>
+        </div>
+      )}
+
       <main className="flex-grow pb-20">
         {renderContent()}
       </main>
@@ -1218,11 +7300,33 @@ const ExpensesTab = () => {
               </span>
               <ArrowUpRight size={20} />
             </button>
+            {accounts.length >= 2 && (
+              <button
+                onClick={() => handleOpenModal('transfer')}
+                className="flex items-center p-3 bg-sky-500 text-white rounded-full shadow-lg hover:bg-sky-600 transition transform hover:scale-105 group"
+              >
+                <span className="mr-3 p-1.5 bg-sky-600 text-xs font-semibold rounded-lg group-hover:bg-sky-700 transition">
+                  Transfer
+                </span>
+                <ArrowLeftRight size={20} />
+              </button>
+            )}
+            {goals.length > 0 && (
+              <button
+                onClick={() => { setContributionGoalId(null); handleOpenModal('contribution'); }}
+                className="flex items-center p-3 bg-emerald-500 text-white rounded-full shadow-lg hover:bg-emerald-600 transition transform hover:scale-105 group"
+              >
+                <span className="mr-3 p-1.5 bg-emerald-600 text-xs font-semibold rounded-lg group-hover:bg-emerald-700 transition">
+                  Add to Goal
+                </span>
+                <PiggyBank size={20} />
+              </button>
+            )}
           </div>
         )}
 
         {/* Main FAB Button for log/create operations */}
-        {(activeTab === 'overview' || activeTab === 'budget' || activeTab === 'manage') && (
+        {canEdit && (activeTab === 'overview' || activeTab === 'budget' || activeTab === 'manage') && (
           <button
             onClick={handleFabClick}
             className={`p-4 rounded-full shadow-2xl transition-transform duration-300 ease-out 
@@ -1244,6 +7348,11 @@ const ExpensesTab = () => {
           handleModalSubmit={handleModalSubmit}
           closeModal={closeModal}
           categories={categories}
+          contacts={contacts}
+          accounts={accounts}
+          isEditing={!!editingTransactionId}
+          onSwitchType={handleSwitchEditType}
+          error={formError}
         />
       )}
       {isModalOpen && modalType === 'budget' && (
@@ -1252,6 +7361,133 @@ const ExpensesTab = () => {
           setNewBudget={setNewBudget}
           handleModalSubmit={handleModalSubmit}
           closeModal={closeModal}
+          incomeCategories={incomeCategories}
+          accounts={accounts}
+          isEditing={!!editingTransactionId}
+          onSwitchType={handleSwitchEditType}
+          error={formError}
+        />
+      )}
+      {isModalOpen && modalType === 'transfer' && (
+        <TransferModal
+          newTransfer={newTransfer}
+          setNewTransfer={setNewTransfer}
+          handleModalSubmit={handleModalSubmit}
+          closeModal={closeModal}
+          accounts={accounts}
+          isEditing={!!editingTransactionId}
+          error={formError}
+        />
+      )}
+      {isModalOpen && modalType === 'recurring' && (
+        <AddRecurringModal
+          newRule={newRule}
+          setNewRule={setNewRule}
+          handleModalSubmit={handleModalSubmit}
+          closeModal={closeModal}
+          categories={categories}
+          incomeCategories={incomeCategories}
+          accounts={accounts}
+          isEditing={!!editingRuleId}
+          error={formError}
+        />
+      )}
+      {isModalOpen && modalType === 'import' && (
+        <ImportCsvModal
+          categories={categories}
+          accounts={accounts}
+          expenses={expenses}
+          currencyCode={settings.currencyCode}
+          onImport={handleImportTransactions}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'export' && (
+        <ExportModal
+          expenses={expenses}
+          categories={allCategories}
+          categoryMap={categoryMap}
+          accountMap={accountMap}
+          settings={settings}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'restore' && (
+        <RestoreModal
+          current={{ categories: allCategories, expenses, recurring: recurringRules, exchangeRates, contacts, settlements, accounts, goals, goalContributions, settings }}
+          onRestore={handleRestoreBackup}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'sync' && (
+        <SyncIssuesModal
+          isLocal={store?.kind === 'local'}
+          isOnline={isOnline}
+          hasPendingWrites={hasPendingWrites}
+          failedWrites={failedWrites}
+          onRetry={handleRetryWrite}
+          onDiscard={handleDiscardWrite}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'settle' && contactMap[settleContactId] && (
+        <SettleUpModal
+          contact={contactMap[settleContactId]}
+          balance={balances[settleContactId] || 0}
+          currencyCode={settings.currencyCode}
+          onSettle={handleAddSettlement}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'ledger' && accountMap[ledgerAccountId] && (
+        <AccountLedgerModal
+          account={accountMap[ledgerAccountId]}
+          expenses={expenses}
+          categoryMap={categoryMap}
+          accountMap={accountMap}
+          baseCurrency={settings.currencyCode}
+          rates={exchangeRates}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'goal' && (
+        <GoalModal
+          goal={goals.find(g => g.id === editingGoalId) || null}
+          goals={goals}
+          contributions={goalContributions}
+          currencyCode={settings.currencyCode}
+          onSave={(goalData) => handleSaveGoal(goalData, editingGoalId)}
+          onDelete={() => handleDeleteGoal(editingGoalId)}
+          onDeleteContribution={handleDeleteGoalContribution}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'contribution' && goals.length > 0 && (
+        <ContributionModal
+          goals={goals}
+          initialGoalId={contributionGoalId}
+          currencyCode={settings.currencyCode}
+          onSave={handleAddGoalContribution}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'sourceMigration' && (
+        <SourceMigrationModal
+          expenses={expenses}
+          accounts={accounts}
+          currencyCode={settings.currencyCode}
+          onApply={handleMigrateSources}
+          closeModal={closeModal}
+        />
+      )}
+      {isModalOpen && modalType === 'account' && (
+        <AccountModal
+          authUser={authUser}
+          isLocal={store?.kind === 'local'}
+          onLink={handleLinkAccount}
+          onSignInExisting={handleSignInExisting}
+          onSignOut={handleSignOut}
+          closeModal={closeModal}
         />
       )}
       {isModalOpen && modalType === 'category' && (
@@ -1260,6 +7496,7 @@ const ExpensesTab = () => {
           setNewCategory={setNewCategory}
           handleModalSubmit={handleModalSubmit}
           closeModal={closeModal}
+          categories={categories}
         />
       )}
 
@@ -1269,6 +7506,7 @@ const ExpensesTab = () => {
           <TabButton name="transactions" label="History" Icon={Wallet} activeTab={activeTab} setActiveTab={setActiveTab} />
           <TabButton name="budget" label="Budget" Icon={Tag} activeTab={activeTab} setActiveTab={setActiveTab} />
           <TabButton name="manage" label="Manage" Icon={Pencil} activeTab={activeTab} setActiveTab={setActiveTab} />
+          <TabButton name="balances" label="Balances" Icon={Users} activeTab={activeTab} setActiveTab={setActiveTab} />
           <TabButton name="analysis" label="Analysis" Icon={BarChart} activeTab={activeTab} setActiveTab={setActiveTab} />
         </div>
       </nav>
@@ -1,49 +1,149 @@
-const CACHE_NAME = 'finance-tracker-cache-v1';
-const urlsToCache = [
-  '/',
-  '/index.html', 
-  '/bundle.js', // Include your main JS bundle
-  '/manifest.json'
-  // Add paths to other critical assets like CSS files and icons
-];
+// Bump BUILD_VERSION by hand on every release: there is no build step that sets it, and a changed worker file
+// is what makes browsers install the new version, refresh the precache and show the update prompt.
+const BUILD_VERSION = '2026.10.19-3';
+const PRECACHE_NAME = `finance-tracker-precache-${BUILD_VERSION}`;
+const RUNTIME_CACHE_NAME = `finance-tracker-runtime-${BUILD_VERSION}`;
+// Not versioned: it holds the cycle summaries the app scheduled, not app files (see NOTIFICATION_CACHE_NAME in YAET.js)
+const NOTIFICATION_CACHE_NAME = 'finance-tracker-notifications';
+const NOTIFICATION_SYNC_TAG = 'budget-notifications';
+
+// Precache manifest: installation fails if a required entry is missing,
+// optional entries (build output and icons) are cached when they exist.
+const PRECACHE_MANIFEST = {
+  required: [
+    '/',
+    '/index.html',
+    '/manifest.json',
+  ],
+  optional: [
+    '/bundle.js',
+    '/icons/192x192.png',
+    '/icons/512x512.png',
+    '/icons/apple-touch-icon.png',
+  ],
+};
+
+const precacheEntry = (cache, url) => (
+  // 'reload' bypasses the HTTP cache so a new version never precaches stale files
+  fetch(new Request(url, { cache: 'reload' })).then((response) => {
+    if (!response.ok) {
+      throw new Error(`Precache request for ${url} failed with status ${response.status}`);
+    }
+    return cache.put(url, response);
+  })
+);
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
+    caches.open(PRECACHE_NAME).then((cache) => Promise.all([
+      ...PRECACHE_MANIFEST.required.map((url) => precacheEntry(cache, url)),
+      // Optional entries that this deployment does not serve are skipped
+      ...PRECACHE_MANIFEST.optional.map((url) => precacheEntry(cache, url).catch(() => undefined)),
+    ]))
   );
+  // No skipWaiting() here: the new version waits until the app asks for it via the update prompt.
 });
 
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
-        // Fallback to network
-        return fetch(event.request);
-      }
-    )
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Each scheduled summary is one JSON entry per budget: { cycleStart, cycleEnd, title, body, tag, shown }.
+// Once its cycle has ended it is shown and marked as shown, so the app does not repeat it on the next open.
+const showDueCycleSummaries = () => caches.open(NOTIFICATION_CACHE_NAME).then((cache) => cache.keys().then((requests) => Promise.all(
+  requests.map((request) => cache.match(request)
+    .then((response) => response.json())
+    .then((entry) => {
+      if (entry.shown || Date.now() < Date.parse(entry.cycleEnd)) return undefined;
+      return self.registration.showNotification(entry.title, { body: entry.body, tag: entry.tag, icon: '/icons/192x192.png' })
+        .then(() => cache.put(request, new Response(JSON.stringify({ ...entry, shown: true }), { headers: { 'Content-Type': 'application/json' } })));
+    })
+    // A summary that cannot be read or shown (e.g. permission revoked) is left for the app to handle
+    .catch(() => undefined))
+)));
+
+// Periodic Background Sync wakes the worker while the app is closed; the browser decides how often
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === NOTIFICATION_SYNC_TAG) {
+    event.waitUntil(showDueCycleSummaries());
+  }
+});
+
+// Budget alerts are shown by the app through registration.showNotification; a tap brings the app to the front
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const client = windowClients.find((c) => 'focus' in c);
+      return client ? client.focus() : self.clients.openWindow('/');
+    })
   );
 });
 
 self.addEventListener('activate', (event) => {
-  const cacheWhitelist = [CACHE_NAME];
+  const currentCaches = [PRECACHE_NAME, RUNTIME_CACHE_NAME, NOTIFICATION_CACHE_NAME];
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheWhitelist.indexOf(cacheName) === -1) {
-            // Delete old caches
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+    caches.keys()
+      .then((cacheNames) => Promise.all(
+        cacheNames
+          .filter((cacheName) => currentCaches.indexOf(cacheName) === -1)
+          .map((cacheName) => caches.delete(cacheName))
+      ))
+      .then(() => self.clients.claim())
   );
 });
+
+// Network-first for HTML: fresh when online, the cached page (or app shell) when offline
+const networkFirst = (request) => (
+  fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(RUNTIME_CACHE_NAME).then((cache) => cache.put(request, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(request)
+      .then((cached) => cached || caches.match('/index.html')))
+);
+
+// The cache that holds a request: the precache for manifest entries, the runtime cache for everything else
+const cacheFor = (request) => caches.open(PRECACHE_NAME).then((precache) => precache.match(request).then((cached) => (
+  cached ? { cache: precache, cached } : caches.open(RUNTIME_CACHE_NAME).then((cache) => cache.match(request).then((hit) => ({ cache, cached: hit })))
+)));
+
+// Stale-while-revalidate for assets: answer from cache and refresh that same cache in the background
+const staleWhileRevalidate = (event) => {
+  const { request } = event;
+  return cacheFor(request).then(({ cache, cached }) => {
+    const network = fetch(request).then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        event.waitUntil(cache.put(request, copy));
+      }
+      return response;
+    });
+    if (cached) {
+      event.waitUntil(network.catch(() => undefined));
+      return cached;
+    }
+    return network;
+  });
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Firestore, Auth and other cross-origin traffic handle their own offline behaviour
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  const acceptsHtml = (request.headers.get('accept') || '').indexOf('text/html') !== -1;
+  if (request.mode === 'navigate' || acceptsHtml) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});